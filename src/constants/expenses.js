@@ -0,0 +1,67 @@
+import { ROLES } from "./roles.js";
+
+export const EXPENSE_CATEGORIES = ["Daily", "Weekly", "Monthly"];
+
+/* Fields kept in an expense's revision history (and restored by a revert) */
+export const EXPENSE_REVISION_FIELDS = [
+  "category",
+  "title",
+  "amount",
+  "description",
+  "costCentre",
+  "date",
+  "stockReceipt",
+];
+
+export const EXPENSE_STATUS = {
+  PENDING: "pending", // above the creator's approval limit, waiting for an approver
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/* Only approved expenses count in totals, exports and reports.
+   Expenses recorded before approvals existed have no status and count too. */
+export const COUNTED_EXPENSE_MATCH = {
+  isDeleted: false,
+  status: { $nin: [EXPENSE_STATUS.PENDING, EXPENSE_STATUS.REJECTED] },
+};
+
+/* ==========================================================
+   💳 Approval limits — expenses above the limit need approval
+   Per role, with optional per-category overrides; null means
+   "no limit". Admins are never limited.
+   ========================================================== */
+export const LIMITED_ROLES = [ROLES.MANAGER, ROLES.STAFF, ROLES.CUSTOMER];
+
+export const DEFAULT_EXPENSE_LIMITS = {
+  [ROLES.MANAGER]: { limit: 1000, categories: {} },
+  [ROLES.STAFF]: { limit: 100, categories: {} },
+  [ROLES.CUSTOMER]: { limit: 0, categories: {} },
+};
+
+/* Receipts kept per expense (each upload adds up to MAX_RECEIPT_FILES) */
+export const MAX_EXPENSE_ATTACHMENTS = 20;
+
+/* ==========================================================
+   📊 Budget alerts — share of a budget spent (approved
+   expenses only) at which budget owners are emailed
+   ========================================================== */
+export const BUDGET_THRESHOLDS = {
+  WARNING: 0.8,
+  EXCEEDED: 1,
+};
+
+/* ==========================================================
+   🔁 Recurring expenses — templates the scheduler turns into
+   Expense documents on each occurrence
+   ========================================================== */
+export const RECURRING_FREQUENCIES = {
+  WEEKLY: "weekly", // every `interval` weeks on dayOfWeek (0 = Sunday)
+  MONTHLY: "monthly", // every `interval` months on dayOfMonth (clamped to the month's last day)
+};
+
+export const RECURRING_STATUS = {
+  ACTIVE: "active",
+  PAUSED: "paused",
+  ENDED: "ended", // past its end date
+};
@@ -0,0 +1,23 @@
+export const PRODUCT_KINDS = {
+  FINISHED: "finished", // bags and other goods we sell
+  RAW: "raw", // raw material consumed by production
+};
+
+export const MOVEMENT_TYPES = {
+  RECEIPT: "receipt", // purchased stock received from a supplier
+  ISSUE: "issue", // raw material issued to production
+  PRODUCTION_OUTPUT: "production-output", // finished goods from production
+  SALE: "sale", // goods shipped out on a completed order
+  ADJUSTMENT: "adjustment", // stock count correction (+ or -)
+  RETURN: "return", // goods returned into stock
+};
+
+/* Direction of each movement type: +1 adds stock, -1 removes it, 0 = signed by the entry */
+export const MOVEMENT_DIRECTION = {
+  [MOVEMENT_TYPES.RECEIPT]: 1,
+  [MOVEMENT_TYPES.ISSUE]: -1,
+  [MOVEMENT_TYPES.PRODUCTION_OUTPUT]: 1,
+  [MOVEMENT_TYPES.SALE]: -1,
+  [MOVEMENT_TYPES.ADJUSTMENT]: 0,
+  [MOVEMENT_TYPES.RETURN]: 1,
+};
@@ -0,0 +1,148 @@
+import { ROLES } from "./roles.js";
+
+/* ==========================================================
+   🔐 Permissions — "<area>:<action>"
+   ----------------------------------------------------------
+   Routes ask for a permission (requirePermission), never for
+   a role. DEFAULT_ROLE_PERMISSIONS maps roles to permissions;
+   admins can change the mapping for every role except admin
+   through /api/admin/permissions.
+   ========================================================== */
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+  ANALYTICS_VIEW: "analytics:view",
+
+  USERS_VIEW: "users:view",
+  USERS_CREATE: "users:create",
+  USERS_EDIT: "users:edit",
+  USERS_CHANGE_ROLE: "users:changeRole",
+  USERS_DEACTIVATE: "users:deactivate",
+  USERS_DELETE: "users:delete",
+  USERS_RESET_MFA: "users:resetMfa",
+
+  EMPLOYEES_VIEW: "employees:view",
+  EMPLOYEES_EDIT: "employees:edit",
+  EMPLOYEES_DELETE: "employees:delete",
+  EMPLOYEES_EXPORT: "employees:export",
+
+  TIMESHEETS_VIEW: "timesheets:view",
+  TIMESHEETS_CLOCK: "timesheets:clock",
+  TIMESHEETS_EDIT: "timesheets:edit",
+  TIMESHEETS_APPROVE: "timesheets:approve",
+
+  PAY_RULES_VIEW: "payRules:view",
+  PAY_RULES_EDIT: "payRules:edit",
+
+  SALARIES_VIEW: "salaries:view",
+  SALARIES_EDIT: "salaries:edit",
+  SALARIES_APPROVE: "salaries:approve",
+
+  PAYROLL_VIEW: "payroll:view",
+  PAYROLL_EDIT: "payroll:edit",
+  PAYROLL_APPROVE: "payroll:approve",
+
+  PAYSLIPS_VIEW: "payslips:view",
+  PAYSLIPS_SEND: "payslips:send",
+
+  EXPENSES_VIEW: "expenses:view",
+  EXPENSES_CREATE: "expenses:create",
+  EXPENSES_EDIT: "expenses:edit",
+  EXPENSES_DELETE: "expenses:delete",
+  EXPENSES_HARD_DELETE: "expenses:hardDelete",
+  EXPENSES_EXPORT: "expenses:export",
+  EXPENSES_APPROVE: "expenses:approve",
+  EXPENSES_LIMITS: "expenses:limits",
+  EXPENSES_RECURRING: "expenses:recurring",
+
+  BUDGETS_VIEW: "budgets:view",
+  BUDGETS_EDIT: "budgets:edit",
+
+  ORDERS_VIEW: "orders:view",
+  ORDERS_EDIT: "orders:edit",
+
+  CUSTOMERS_VIEW: "customers:view",
+  CUSTOMERS_EDIT: "customers:edit",
+  CUSTOMERS_DELETE: "customers:delete",
+
+  PRODUCTS_EDIT: "products:edit",
+  PRODUCTS_DELETE: "products:delete",
+
+  INVENTORY_VIEW: "inventory:view",
+  INVENTORY_MOVE: "inventory:move",
+  INVENTORY_ADJUST: "inventory:adjust",
+
+  PRODUCTION_VIEW: "production:view",
+  PRODUCTION_MANAGE: "production:manage",
+
+  TASKS_VIEW_ALL: "tasks:viewAll",
+  TASKS_ASSIGN: "tasks:assign",
+  TASKS_DELETE: "tasks:delete",
+
+  SECURITY_VIEW: "security:view",
+  SECURITY_UNLOCK: "security:unlock",
+  AUDIT_VIEW: "audit:view",
+  PERMISSIONS_MANAGE: "permissions:manage",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/* Admins always hold every permission, so they cannot lock themselves out */
+export const EDITABLE_ROLES = [ROLES.MANAGER, ROLES.STAFF, ROLES.CUSTOMER];
+
+const P = PERMISSIONS;
+
+const STAFF_PERMISSIONS = [
+  P.TIMESHEETS_CLOCK,
+  P.CUSTOMERS_VIEW,
+  P.CUSTOMERS_EDIT,
+  P.INVENTORY_VIEW,
+  P.INVENTORY_MOVE,
+  P.PRODUCTION_VIEW,
+];
+
+const MANAGER_PERMISSIONS = [
+  ...STAFF_PERMISSIONS,
+  P.DASHBOARD_VIEW,
+  P.ANALYTICS_VIEW,
+  P.INVENTORY_ADJUST,
+  P.USERS_VIEW,
+  P.USERS_CREATE,
+  P.USERS_EDIT,
+  P.USERS_CHANGE_ROLE,
+  P.USERS_DEACTIVATE,
+  P.USERS_DELETE,
+  P.EMPLOYEES_VIEW,
+  P.TIMESHEETS_VIEW,
+  P.TIMESHEETS_EDIT,
+  P.TIMESHEETS_APPROVE,
+  P.PAY_RULES_VIEW,
+  P.SALARIES_VIEW,
+  P.SALARIES_EDIT,
+  P.PAYROLL_VIEW,
+  P.PAYROLL_EDIT,
+  P.PAYSLIPS_VIEW,
+  P.PAYSLIPS_SEND,
+  P.EXPENSES_VIEW,
+  P.EXPENSES_CREATE,
+  P.EXPENSES_EDIT,
+  P.EXPENSES_DELETE,
+  P.EXPENSES_HARD_DELETE,
+  P.EXPENSES_EXPORT,
+  P.EXPENSES_RECURRING,
+  P.BUDGETS_VIEW,
+  P.ORDERS_VIEW,
+  P.ORDERS_EDIT,
+  P.CUSTOMERS_DELETE,
+  P.PRODUCTS_EDIT,
+  P.PRODUCTION_MANAGE,
+  P.TASKS_VIEW_ALL,
+  P.TASKS_ASSIGN,
+  P.TASKS_DELETE,
+];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.MANAGER]: MANAGER_PERMISSIONS,
+  [ROLES.STAFF]: STAFF_PERMISSIONS,
+  [ROLES.CUSTOMER]: [],
+};
@@ -6,3 +6,13 @@ export const ROLES = {
 };
 
 export const ELEVATED = [ROLES.ADMIN, ROLES.MANAGER];
+
+/* Role hierarchy — higher number, more authority */
+export const ROLE_LEVELS = {
+  [ROLES.CUSTOMER]: 0,
+  [ROLES.STAFF]: 1,
+  [ROLES.MANAGER]: 2,
+  [ROLES.ADMIN]: 3,
+};
+
+export const roleLevel = (role) => ROLE_LEVELS[String(role || "").toLowerCase()] ?? -1;
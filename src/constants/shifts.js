@@ -0,0 +1,20 @@
+export const SHIFTS = ["Morning", "Afternoon", "Evening", "Night"];
+
+/* ==========================================================
+   💰 Default pay rules — used until an admin saves their own
+   (see PayRules model / PUT /api/pay-rules)
+   - shifts[s].standardHours: hours per entry before overtime
+   - shifts[s].payMultiplier: rate multiplier for the shift
+   - overtime.weeklyThreshold: regular hours per week before overtime
+   - overtime.multiplier / holiday.multiplier: rate multipliers
+   ========================================================== */
+export const DEFAULT_PAY_RULES = {
+  shifts: {
+    Morning: { standardHours: 8, payMultiplier: 1 },
+    Afternoon: { standardHours: 8, payMultiplier: 1 },
+    Evening: { standardHours: 8, payMultiplier: 1 },
+    Night: { standardHours: 7, payMultiplier: 1.25 },
+  },
+  overtime: { weeklyThreshold: 48, multiplier: 1.5 },
+  holiday: { multiplier: 2 },
+};
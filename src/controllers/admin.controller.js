@@ -1,14 +1,46 @@
 import User from "../models/User.js";
 import Customer from "../models/Customer.js";
+import Product from "../models/Product.js";
+import ProductionBatch, { BATCH_STATUS } from "../models/ProductionBatch.js";
+import Order from "../models/Order.js";
+import Expense from "../models/Expense.js";
+import Salary from "../models/salary.model.js";
+import Task from "../models/Task.js";
+import { ORDER_STATUS } from "../constants/orders.js";
+import { COUNTED_EXPENSE_MATCH } from "../constants/expenses.js";
+import { ROLES } from "../constants/roles.js";
+import { parseDateRange, rangeMatch } from "../utils/dateRange.js";
+
+/* Plastic (kg) kept out of circulation per bag produced — tune via env */
+const ECO_KG_PER_BAG = Number(process.env.ECO_KG_PER_BAG) || 0.3;
 
 export const getAdminStats = async (req, res) => {
   try {
     // 🧮 Collect system statistics
     const totalStaff = await User.countDocuments();
     const totalCustomers = await Customer.countDocuments();
+    const totalOrders = await Order.countDocuments();
+
+    // 🏭 Bags produced by completed production batches
+    const [produced] = await ProductionBatch.aggregate([
+      { $match: { status: BATCH_STATUS.COMPLETED } },
+      { $lookup: { from: "products", localField: "product", foreignField: "_id", as: "product" } },
+      { $unwind: "$product" },
+      { $match: { "product.unit": "bag" } },
+      { $group: { _id: null, output: { $sum: "$actualOutput" }, scrap: { $sum: "$scrap" } } },
+    ]);
+    const totalBags = produced?.output || 0;
+    const ecoImpact = Math.round(totalBags * ECO_KG_PER_BAG); // kg of plastic avoided
 
-    const totalBags = 10450; // You can later make this dynamic
-    const ecoImpact = 3280;  // Example static metric
+    // 📦 Bags currently in stock + products that need reordering
+    const [bagStock] = await Product.aggregate([
+      { $match: { unit: "bag", isActive: true } },
+      { $group: { _id: null, total: { $sum: "$stockOnHand" } } },
+    ]);
+    const bagsInStock = bagStock?.total || 0;
+    const lowStock = await Product.findLowStock()
+      .select("sku name unit stockOnHand reorderLevel")
+      .lean();
 
     // 🕒 Calculate system uptime
     const uptimeSeconds = process.uptime();
@@ -21,8 +53,13 @@ export const getAdminStats = async (req, res) => {
       success: true,
       data: {
         totalBags,
+        bagsInStock,
+        bagsScrapped: produced?.scrap || 0,
         totalStaff,
-        totalOrders: totalCustomers,
+        totalOrders,
+        totalCustomers,
+        lowStockCount: lowStock.length,
+        lowStock,
         ecoImpact,
         systemUptime: formattedUptime, // ✅ Added field
       },
@@ -35,3 +72,187 @@ export const getAdminStats = async (req, res) => {
     });
   }
 };
+
+/* ============================================================
+   📊 Consolidated Dashboard
+   ------------------------------------------------------------
+   GET /api/admin/dashboard?from=&to=
+   Every figure is scoped to the optional from/to range:
+   - orders by creation date, revenue by completion date
+   - approved expenses by expense date, payroll by record date
+   - tasks by creation date, overdue tasks by due date
+   ============================================================ */
+const TASK_STATUSES = ["pending", "assigned", "in progress", "completed"];
+
+/* Turn [{ _id, ...values }] into { [_id]: values } with every key present */
+const keyed = (rows, keys, empty) => {
+  const out = Object.fromEntries(keys.map((k) => [k, { ...empty }]));
+  for (const { _id, ...values } of rows) out[_id ?? "unknown"] = values;
+  return out;
+};
+
+export const getDashboard = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    const within = (field) => {
+      const match = rangeMatch(range);
+      return match ? { [field]: match } : {};
+    };
+    const now = new Date();
+
+    const [
+      ordersByStatus,
+      [revenue],
+      [expenses],
+      [payroll],
+      tasksByStatus,
+      overdueTasks,
+      newUsers,
+      [production],
+    ] = await Promise.all([
+      // 🛒 Orders placed in range, by status
+      Order.aggregate([
+        { $match: within("createdAt") },
+        { $group: { _id: "$status", count: { $sum: 1 }, value: { $sum: "$grandTotal" } } },
+      ]),
+
+      // 💵 Revenue from orders completed in range
+      Order.aggregate([
+        { $match: { status: ORDER_STATUS.COMPLETED } },
+        { $unwind: "$statusHistory" },
+        {
+          $match: {
+            "statusHistory.status": ORDER_STATUS.COMPLETED,
+            ...within("statusHistory.changedAt"),
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: "$grandTotal" },
+            tax: { $sum: "$taxTotal" },
+            orders: { $sum: 1 },
+          },
+        },
+      ]),
+
+      // 🧾 Approved expenses by category and by month
+      Expense.aggregate([
+        { $match: { ...COUNTED_EXPENSE_MATCH, ...within("date") } },
+        {
+          $facet: {
+            total: [{ $group: { _id: null, amount: { $sum: "$amount" }, count: { $sum: 1 } } }],
+            byCategory: [{ $group: { _id: "$category", amount: { $sum: "$amount" }, count: { $sum: 1 } } }],
+            byMonth: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: "%Y-%m", date: "$date" } },
+                  amount: { $sum: "$amount" },
+                  count: { $sum: 1 },
+                },
+              },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]),
+
+      // 💰 Approved salary records in range
+      Salary.aggregate([
+        { $match: { ...within("createdAt"), ...Salary.finalFilter() } },
+        {
+          $facet: {
+            total: [{ $group: { _id: null, amount: { $sum: "$salary" }, count: { $sum: 1 } } }],
+            byMonth: [
+              { $group: { _id: "$month", amount: { $sum: "$salary" }, count: { $sum: 1 } } },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]),
+
+      // ✅ Tasks created in range, by status
+      Task.aggregate([
+        { $match: within("createdAt") },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+
+      // ⏰ Open tasks whose due date (in range) has passed
+      Task.find({
+        status: { $ne: "completed" },
+        dueDate: { ...(rangeMatch(range) || {}), $lt: now },
+      })
+        .select("title customerName assignedName status dueDate")
+        .sort({ dueDate: 1 })
+        .lean(),
+
+      // 👥 New accounts in range, by role
+      User.aggregate([
+        { $match: within("createdAt") },
+        { $group: { _id: "$role", count: { $sum: 1 } } },
+      ]),
+
+      // 🏭 Production finished in range
+      ProductionBatch.aggregate([
+        { $match: { status: BATCH_STATUS.COMPLETED, ...within("finishedAt") } },
+        {
+          $group: {
+            _id: null,
+            batches: { $sum: 1 },
+            output: { $sum: "$actualOutput" },
+            scrap: { $sum: "$scrap" },
+          },
+        },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      range: { from: range.from || null, to: range.to || null },
+      data: {
+        orders: {
+          byStatus: keyed(ordersByStatus, Object.values(ORDER_STATUS), { count: 0, value: 0 }),
+          total: ordersByStatus.reduce((sum, row) => sum + row.count, 0),
+        },
+        revenue: {
+          total: revenue?.total || 0,
+          tax: revenue?.tax || 0,
+          completedOrders: revenue?.orders || 0,
+        },
+        expenses: {
+          total: expenses.total[0]?.amount || 0,
+          count: expenses.total[0]?.count || 0,
+          byCategory: keyed(expenses.byCategory, Expense.schema.path("category").enumValues, {
+            amount: 0,
+            count: 0,
+          }),
+          byMonth: expenses.byMonth.map(({ _id, ...values }) => ({ month: _id, ...values })),
+        },
+        payroll: {
+          total: payroll.total[0]?.amount || 0,
+          records: payroll.total[0]?.count || 0,
+          byMonth: payroll.byMonth.map(({ _id, ...values }) => ({ month: _id, ...values })),
+        },
+        tasks: {
+          byStatus: keyed(tasksByStatus, TASK_STATUSES, { count: 0 }),
+          overdueCount: overdueTasks.length,
+          overdue: overdueTasks.slice(0, 20),
+        },
+        users: {
+          newByRole: keyed(newUsers, Object.values(ROLES), { count: 0 }),
+        },
+        production: {
+          batches: production?.batches || 0,
+          output: production?.output || 0,
+          scrap: production?.scrap || 0,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error building dashboard:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error while building dashboard",
+    });
+  }
+};
@@ -0,0 +1,173 @@
+import Expense from "../models/Expense.js";
+import Salary from "../models/salary.model.js";
+import Order from "../models/Order.js";
+import { COUNTED_EXPENSE_MATCH } from "../constants/expenses.js";
+import { parseDateRange } from "../utils/dateRange.js";
+import { resolveSeriesRange, toSeries } from "../utils/timeSeries.js";
+
+/* ============================================================
+   📈 Time-Series Analytics
+   ------------------------------------------------------------
+   Each endpoint takes ?interval=day|week|month&from=&to=
+   plus an optional groupBy, and answers with chart-ready,
+   zero-filled series: { labels, series: [{ name, data, total }] }
+   ============================================================ */
+
+/* $dateTrunc stage expression for the requested interval */
+const bucketOf = (dateExpr, interval) => ({
+  $dateTrunc: { date: dateExpr, unit: interval, startOfWeek: "monday", timezone: "UTC" },
+});
+
+/* Shared request parsing; throws status-400 errors on bad input */
+const parseSeriesQuery = (query, allowedGroups) => {
+  const { groupBy } = query;
+  if (groupBy && !allowedGroups.includes(groupBy)) {
+    throw Object.assign(new Error(`groupBy must be one of: ${allowedGroups.join(", ")}`), { status: 400 });
+  }
+  const range = parseDateRange(query);
+  return { ...resolveSeriesRange({ interval: query.interval, ...range }), groupBy };
+};
+
+const sendSeries = (res, range, payload) =>
+  res.status(200).json({
+    success: true,
+    interval: range.interval,
+    from: range.from,
+    to: range.to,
+    groupBy: range.groupBy || null,
+    ...payload,
+  });
+
+const sendError = (res, label) => (error) => {
+  console.error(`❌ Error building ${label} analytics:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while building ${label} analytics`,
+  });
+};
+
+/* ============================================================
+   🧾 Expenses — sum of approved amounts by Expense.date
+   groupBy: category | costCentre
+   ============================================================ */
+export const getExpenseSeries = async (req, res) => {
+  try {
+    const range = parseSeriesQuery(req.query, ["category", "costCentre"]);
+
+    const rows = await Expense.aggregate([
+      { $match: { ...COUNTED_EXPENSE_MATCH, date: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: {
+            bucket: bucketOf("$date", range.interval),
+            group: range.groupBy ? `$${range.groupBy}` : null,
+          },
+          value: { $sum: "$amount" },
+        },
+      },
+      { $project: { _id: 0, bucket: "$_id.bucket", group: "$_id.group", value: 1 } },
+    ]);
+
+    sendSeries(res, range, toSeries(rows, range, { defaultName: "amount" }));
+  } catch (error) {
+    sendError(res, "expense")(error);
+  }
+};
+
+/* ============================================================
+   💰 Payroll — sum of approved Salary.salary by pay month
+   Salary.month is free text; "YYYY-MM" and any date string
+   MongoDB can parse are used, otherwise the record date.
+   groupBy: position (job title) | shift (from the Employee)
+   ============================================================ */
+export const getPayrollSeries = async (req, res) => {
+  try {
+    const range = parseSeriesQuery(req.query, ["position", "shift"]);
+
+    const payDate = {
+      $dateFromString: {
+        dateString: { $concat: ["$month", "-01"] },
+        format: "%Y-%m-%d",
+        onNull: "$createdAt",
+        onError: { $dateFromString: { dateString: "$month", onNull: "$createdAt", onError: "$createdAt" } },
+      },
+    };
+
+    const pipeline = [
+      { $match: Salary.finalFilter() },
+      { $addFields: { payDate } },
+      { $match: { payDate: { $gte: range.from, $lte: range.to } } },
+    ];
+
+    if (range.groupBy === "shift") {
+      // 🔗 Match the record to its Employee by id when stored, else by name
+      pipeline.push(
+        {
+          $lookup: {
+            from: "employees",
+            let: {
+              sid: { $convert: { input: "$staffId", to: "objectId", onError: null, onNull: null } },
+              name: "$name",
+            },
+            pipeline: [
+              { $match: { $expr: { $or: [{ $eq: ["$_id", "$$sid"] }, { $eq: ["$fullName", "$$name"] }] } } },
+              { $limit: 1 },
+              { $project: { shift: 1 } },
+            ],
+            as: "employee",
+          },
+        },
+        { $addFields: { shift: { $ifNull: [{ $first: "$employee.shift" }, "Unassigned"] } } }
+      );
+    }
+
+    const groupField = { position: "$jobTitle", shift: "$shift" }[range.groupBy] || null;
+
+    pipeline.push(
+      {
+        $group: {
+          _id: { bucket: bucketOf("$payDate", range.interval), group: groupField },
+          value: { $sum: "$salary" },
+        },
+      },
+      { $project: { _id: 0, bucket: "$_id.bucket", group: "$_id.group", value: 1 } }
+    );
+
+    const rows = await Salary.aggregate(pipeline);
+    sendSeries(res, range, toSeries(rows, range, { defaultName: "amount" }));
+  } catch (error) {
+    sendError(res, "payroll")(error);
+  }
+};
+
+/* ============================================================
+   🛒 Orders — count (or ?metric=value for grand total) by
+   creation date. groupBy: status
+   ============================================================ */
+export const getOrderSeries = async (req, res) => {
+  try {
+    const range = parseSeriesQuery(req.query, ["status"]);
+    const metric = req.query.metric || "count";
+    if (!["count", "value"].includes(metric)) {
+      return res.status(400).json({ success: false, message: "metric must be count or value" });
+    }
+
+    const rows = await Order.aggregate([
+      { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: {
+            bucket: bucketOf("$createdAt", range.interval),
+            group: range.groupBy ? `$${range.groupBy}` : null,
+          },
+          value: metric === "count" ? { $sum: 1 } : { $sum: "$grandTotal" },
+        },
+      },
+      { $project: { _id: 0, bucket: "$_id.bucket", group: "$_id.group", value: 1 } },
+    ]);
+
+    sendSeries(res, range, { metric, ...toSeries(rows, range, { defaultName: metric }) });
+  } catch (error) {
+    sendError(res, "order")(error);
+  }
+};
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import { Parser } from "json2csv";
+import AuditLog from "../models/AuditLog.js";
+import { parseDateRange, rangeMatch } from "../utils/dateRange.js";
+
+/* ============================================================
+   📜 Audit Log — filterable list and CSV export
+   ============================================================ */
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+const CSV_LIMIT = 10000;
+
+/* ?action=&model=&targetId=&actor=(id or email)&from=&to= → Mongo filter */
+const buildFilter = (query) => {
+  const { action, model, targetId, actor } = query;
+  const filter = {};
+  if (action) filter.action = { $in: String(action).split(",") };
+  if (model) filter.targetModel = String(model);
+  if (targetId) filter.targetId = String(targetId);
+  if (actor) {
+    filter[mongoose.Types.ObjectId.isValid(actor) ? "actorId" : "actorEmail"] = String(actor).toLowerCase();
+  }
+
+  const createdAt = rangeMatch(parseDateRange(query));
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+/* Spreadsheets run cells starting with = + - @ (or tab / CR) as
+   formulas; a leading ' keeps user-entered text as plain text */
+const csvText = (value) => {
+  const text = value == null ? "" : String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+const formatChanges = (changes = []) =>
+  changes.map(({ field, from, to }) => `${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`).join("; ");
+
+/* ============================================================
+   📋 List Audit Entries
+   ?page=1&limit=50&format=csv plus the filters above
+   ============================================================ */
+export const listAuditLogs = async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+
+    if (req.query.format === "csv") {
+      const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(CSV_LIMIT).lean();
+      const rows = entries.map((entry) => ({
+        createdAt: entry.createdAt.toISOString(),
+        action: entry.action,
+        targetModel: entry.targetModel,
+        targetId: csvText(entry.targetId),
+        summary: csvText(entry.summary),
+        actorEmail: csvText(entry.actorEmail),
+        actorRole: entry.actorRole,
+        ip: entry.ip,
+        changes: csvText(formatChanges(entry.changes)),
+      }));
+
+      const parser = new Parser({
+        fields: ["createdAt", "action", "targetModel", "targetId", "summary", "actorEmail", "actorRole", "ip", "changes"],
+      });
+      res.header("Content-Type", "text/csv; charset=utf-8");
+      res.attachment("audit_log.csv");
+      return res.send(parser.parse(rows));
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.status(200).json({ success: true, total, page, limit, entries });
+  } catch (error) {
+    sendError(res, "fetching audit log")(error);
+  }
+};
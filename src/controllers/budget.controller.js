@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import Budget from "../models/Budget.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import { budgetReport, checkBudgetAlerts, monthBounds, monthOf } from "../utils/budgets.js";
+
+/* ============================================================
+   📊 Budgets
+   ------------------------------------------------------------
+   One budget per month, category (or all categories) and cost
+   centre (or all). Spending is compared with approved expenses
+   only; see utils/budgets.js for how alerts are sent.
+   ============================================================ */
+
+const BUDGET_FIELDS = ["month", "category", "costCentre", "amount", "notes"];
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  const duplicate = error.code === 11000;
+  res.status(duplicate ? 409 : error.status || 500).json({
+    success: false,
+    message: duplicate
+      ? "A budget for this month, category and cost centre already exists."
+      : error.status
+        ? error.message
+        : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+const findBudget = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error("Invalid budget ID format."), { status: 400 });
+  }
+  const budget = await Budget.findById(id);
+  if (!budget) throw Object.assign(new Error("Budget not found."), { status: 404 });
+  return budget;
+};
+
+/* ============================================================
+   📋 List Budgets — ?month=YYYY-MM
+   ============================================================ */
+export const listBudgets = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.month) filter.month = req.query.month;
+
+    const budgets = await Budget.find(filter).sort({ month: -1, category: 1, costCentre: 1 });
+    res.status(200).json({ success: true, count: budgets.length, budgets });
+  } catch (error) {
+    sendError(res, "fetching budgets")(error);
+  }
+};
+
+/* ============================================================
+   📈 Budget vs Actual — ?month=YYYY-MM (default: this month)
+   ============================================================ */
+export const getBudgetReport = async (req, res) => {
+  try {
+    const month = req.query.month || monthOf(new Date());
+    const rows = await budgetReport(month);
+
+    res.status(200).json({
+      success: true,
+      month,
+      budgets: rows,
+      alerts: rows.filter((row) => row.status !== "ok"),
+    });
+  } catch (error) {
+    sendError(res, "building budget report")(error);
+  }
+};
+
+/* ============================================================
+   ➕ Create a Budget
+   ------------------------------------------------------------
+   Body: { month: "YYYY-MM", amount, category?, costCentre?, notes? }
+   ============================================================ */
+export const createBudget = async (req, res) => {
+  try {
+    const data = {};
+    for (const key of BUDGET_FIELDS) if (req.body[key] !== undefined) data[key] = req.body[key];
+
+    const budget = await Budget.create({ ...data, createdBy: req.user.email });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Budget", after: budget });
+    await checkBudgetAlerts(monthBounds(budget.month).start);
+
+    res.status(201).json({ success: true, message: "✅ Budget created.", budget: await Budget.findById(budget._id) });
+  } catch (error) {
+    sendError(res, "creating budget")(error);
+  }
+};
+
+/* ============================================================
+   ✏️ Update a Budget
+   ============================================================ */
+export const updateBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req.params.id);
+    const before = auditSnapshot(budget);
+
+    for (const key of BUDGET_FIELDS) if (req.body[key] !== undefined) budget[key] = req.body[key];
+    budget.updatedBy = req.user.email;
+    await budget.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Budget", before, after: budget });
+    await checkBudgetAlerts(monthBounds(budget.month).start);
+
+    res.status(200).json({ success: true, message: "✅ Budget updated.", budget: await Budget.findById(budget._id) });
+  } catch (error) {
+    sendError(res, "updating budget")(error);
+  }
+};
+
+/* ============================================================
+   🗑️ Delete a Budget
+   ============================================================ */
+export const deleteBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req.params.id);
+    await budget.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Budget", before: budget });
+
+    res.status(200).json({ success: true, message: "🗑️ Budget deleted." });
+  } catch (error) {
+    sendError(res, "deleting budget")(error);
+  }
+};
@@ -0,0 +1,443 @@
+import mongoose from "mongoose";
+import PayrollRun, { PAYROLL_STATUS } from "../models/PayrollRun.js";
+import Salary, { SALARY_STATUS } from "../models/salary.model.js";
+import Employee from "../models/Employee.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import { computePay } from "../utils/payCalculator.js";
+import { getPayRules } from "../utils/payRules.js";
+import { recomputeEmployeeHours, timesheetHours, tracksTimesheets } from "../utils/timesheets.js";
+
+/* ============================================================
+   🧾 Payroll Runs
+   ------------------------------------------------------------
+   A run covers one pay period (YYYY-MM). Creating it snapshots
+   every Employee's hours, rate and pay into Salary line items.
+   Runs move draft → approved → paid; approving a run closes
+   the period and resets each employee's hours for the next.
+   Every change is gated on the run's stored status, and a run
+   is held in "refreshing" or "approving" while its lines are
+   being rebuilt or closed, so those steps never overlap.
+   ============================================================ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/* First and last instant of a YYYY-MM period (UTC) */
+const periodBounds = (period) => {
+  const [year, month] = period.split("-").map(Number);
+  return {
+    periodStart: new Date(Date.UTC(year, month - 1, 1)),
+    periodEnd: new Date(Date.UTC(year, month, 1) - 1),
+  };
+};
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+const findRun = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error("Invalid payroll run ID format."), { status: 400 });
+  }
+  const run = await PayrollRun.findById(id);
+  if (!run) throw Object.assign(new Error("Payroll run not found."), { status: 404 });
+  return run;
+};
+
+const requireDraft = (run) => {
+  if (run.status !== PAYROLL_STATUS.DRAFT) {
+    throw Object.assign(new Error(`Payroll run is ${run.status}; only draft runs can change.`), { status: 409 });
+  }
+};
+
+/* Move a run to its next status only if no one else moved it
+   first — returns the updated run, or null when it lost the race */
+const claimTransition = (run, status, fields) =>
+  PayrollRun.findOneAndUpdate({ _id: run._id, status: run.status }, { $set: { status, ...fields } }, { new: true });
+
+const changedMessage = "Payroll run is being changed by someone else — reload it and try again.";
+
+/* Hours and pay an employee is owed for a run. Timesheet hours
+   count only entries clocked in by the end of the run's period —
+   later entries stay for the next run. Hours entered by hand are
+   taken as they stand. */
+const periodPay = async (employee, run, rules) => {
+  if (!(await tracksTimesheets(employee))) {
+    const { hoursWorked, overtimeHours, holidayHours, shiftHours, payBreakdown } = employee;
+    const pay = {
+      base: payBreakdown?.base,
+      shiftPremium: payBreakdown?.shiftPremium,
+      overtimePremium: payBreakdown?.overtimePremium,
+      holidayPremium: payBreakdown?.holidayPremium,
+      total: employee.salary,
+    };
+    return { hoursWorked, overtimeHours, holidayHours, shiftHours, pay };
+  }
+
+  const hours = await timesheetHours(employee._id, { from: employee.periodStart, to: run.periodEnd });
+  const pay = computePay({ ...hours, hourlyRate: employee.hourlyRate, shift: employee.shift }, rules);
+  return { ...hours, pay };
+};
+
+/* Snapshot every employee with hours this period into Salary lines.
+   `keep` carries bonuses/deductions over when a draft is refreshed. */
+const snapshotLines = async (run, user, keep = new Map()) => {
+  const employees = await Employee.find({ hoursWorked: { $gt: 0 } }).sort({ fullName: 1 });
+  const rules = await getPayRules();
+
+  const lines = [];
+  for (const employee of employees) {
+    const owed = await periodPay(employee, run, rules);
+    if (!(owed.hoursWorked > 0)) continue;
+
+    const kept = keep.get(employee._id.toString()) || {};
+    lines.push({
+      managerId: user.id,
+      staffId: employee._id.toString(),
+      name: employee.fullName,
+      jobTitle: employee.position,
+      contact: employee.phone,
+      month: run.period,
+      payrollRun: run._id,
+      employeeId: employee._id,
+      hoursWorked: owed.hoursWorked,
+      overtimeHours: owed.overtimeHours,
+      holidayHours: owed.holidayHours,
+      shiftHours: owed.shiftHours,
+      hourlyRate: employee.hourlyRate,
+      basePay: owed.pay.total,
+      payComponents: {
+        base: owed.pay.base,
+        shiftPremium: owed.pay.shiftPremium,
+        overtimePremium: owed.pay.overtimePremium,
+        holidayPremium: owed.pay.holidayPremium,
+      },
+      bonuses: kept.bonuses || [],
+      deductions: kept.deductions || [],
+    });
+  }
+
+  // insertMany skips document middleware, so validate (and price) each line first
+  const docs = lines.map((line) => new Salary(line));
+  await Promise.all(docs.map((doc) => doc.validate()));
+  return Salary.insertMany(docs);
+};
+
+/* Recompute run totals from its lines */
+const refreshTotals = async (run) => {
+  const [totals] = await Salary.aggregate([
+    { $match: { payrollRun: run._id } },
+    {
+      $group: {
+        _id: null,
+        employees: { $sum: 1 },
+        hours: { $sum: "$hoursWorked" },
+        basePay: { $sum: "$basePay" },
+        bonuses: { $sum: { $sum: "$bonuses.amount" } },
+        deductions: { $sum: { $sum: "$deductions.amount" } },
+        netPay: { $sum: "$netPay" },
+      },
+    },
+  ]);
+
+  const { _id, ...values } = totals || {};
+  run.totals = {
+    employees: values.employees || 0,
+    hours: round(values.hours || 0),
+    basePay: round(values.basePay || 0),
+    bonuses: round(values.bonuses || 0),
+    deductions: round(values.deductions || 0),
+    netPay: round(values.netPay || 0),
+  };
+  return run.save();
+};
+
+/* ============================================================
+   📋 List Payroll Runs
+   ============================================================ */
+export const listRuns = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const runs = await PayrollRun.find(filter).sort({ period: -1 });
+    res.status(200).json({ success: true, count: runs.length, runs });
+  } catch (error) {
+    sendError(res, "fetching payroll runs")(error);
+  }
+};
+
+/* ============================================================
+   🔍 Get One Run with its Lines
+   ============================================================ */
+export const getRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    const lines = await Salary.find({ payrollRun: run._id }).sort({ name: 1 });
+    res.status(200).json({ success: true, run, lines });
+  } catch (error) {
+    sendError(res, "fetching payroll run")(error);
+  }
+};
+
+/* ============================================================
+   ➕ Create a Draft Run for a Period
+   ------------------------------------------------------------
+   Body: { period: "YYYY-MM", notes? }
+   ============================================================ */
+export const createRun = async (req, res) => {
+  try {
+    const { period, notes } = req.body;
+
+    const existing = await PayrollRun.findOne({ period });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A payroll run for ${period} already exists.`,
+        runId: existing._id,
+      });
+    }
+
+    // 🔒 Held as refreshing until its lines are in, so it can't be approved half-built
+    const building = await PayrollRun.create({
+      period,
+      ...periodBounds(period),
+      notes,
+      status: PAYROLL_STATUS.REFRESHING,
+      createdBy: req.user.email,
+    });
+
+    let run;
+    try {
+      await snapshotLines(building, req.user);
+      await refreshTotals(building);
+      run = await claimTransition(building, PAYROLL_STATUS.DRAFT);
+    } catch (error) {
+      // 🧹 Don't leave a half-built draft blocking the period
+      await Salary.deleteMany({ payrollRun: building._id });
+      await building.deleteOne();
+      throw error;
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "PayrollRun", after: run });
+
+    const lines = await Salary.find({ payrollRun: run._id }).sort({ name: 1 });
+    res.status(201).json({ success: true, message: "✅ Payroll run drafted.", run, lines });
+  } catch (error) {
+    sendError(res, "creating payroll run")(error);
+  }
+};
+
+/* ============================================================
+   🔄 Refresh a Draft Run from Current Employee Data
+   Bonuses and deductions already entered are kept.
+   ============================================================ */
+export const refreshRun = async (req, res) => {
+  try {
+    const current = await findRun(req.params.id);
+    requireDraft(current);
+    const before = auditSnapshot(current);
+
+    // 🔒 Hold the run while its lines are rebuilt — approve and delete wait for draft
+    const run = await claimTransition(current, PAYROLL_STATUS.REFRESHING);
+    if (!run) return res.status(409).json({ success: false, message: changedMessage });
+
+    let refreshed;
+    try {
+      const previous = await Salary.find({ payrollRun: run._id }).lean();
+      const keep = new Map(previous.map((line) => [String(line.employeeId), line]));
+
+      await Salary.deleteMany({ payrollRun: run._id });
+      await snapshotLines(run, req.user, keep);
+      await refreshTotals(run);
+    } finally {
+      refreshed = await claimTransition(run, PAYROLL_STATUS.DRAFT);
+    }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "PayrollRun",
+      before,
+      after: refreshed,
+      summary: "Refreshed from employee data",
+    });
+
+    const lines = await Salary.find({ payrollRun: run._id }).sort({ name: 1 });
+    res.status(200).json({ success: true, message: "✅ Payroll run refreshed.", run: refreshed, lines });
+  } catch (error) {
+    sendError(res, "refreshing payroll run")(error);
+  }
+};
+
+/* ============================================================
+   ✏️ Set Bonuses / Deductions on a Line (draft runs only)
+   ------------------------------------------------------------
+   Body: { bonuses?: [{ label, amount }], deductions?: [...] }
+   ============================================================ */
+export const updateLine = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    requireDraft(run);
+
+    const line = await Salary.findOne({ _id: req.params.lineId, payrollRun: run._id });
+    if (!line) return res.status(404).json({ success: false, message: "Payroll line not found." });
+    const before = auditSnapshot(line);
+
+    if (req.body.bonuses !== undefined) line.bonuses = req.body.bonuses;
+    if (req.body.deductions !== undefined) line.deductions = req.body.deductions;
+    await line.validate(); // prices the line
+
+    // 🔒 Only while the line is still a draft — approval finalises lines first
+    const { bonuses, deductions, grossPay, netPay, salary } = line;
+    const saved = await Salary.updateOne(
+      { _id: line._id, status: SALARY_STATUS.DRAFT },
+      { $set: { bonuses, deductions, grossPay, netPay, salary } }
+    );
+    if (saved.matchedCount === 0) return res.status(409).json({ success: false, message: changedMessage });
+    await refreshTotals(run);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "Salary",
+      before,
+      after: line,
+      summary: `Payroll line in run ${run.period}`,
+    });
+
+    res.status(200).json({ success: true, message: "✅ Payroll line updated.", line, run });
+  } catch (error) {
+    sendError(res, "updating payroll line")(error);
+  }
+};
+
+/* Reset one employee's hours and period once their line is approved */
+const closeEmployeePeriod = async (line, nextPeriodStart) => {
+  const employee = await Employee.findById(line.employeeId);
+  if (!employee) return;
+
+  if (await tracksTimesheets(employee)) {
+    if (!employee.periodStart || employee.periodStart < nextPeriodStart) {
+      employee.periodStart = nextPeriodStart;
+      await employee.save();
+    }
+    await recomputeEmployeeHours(employee._id);
+    return;
+  }
+
+  employee.hoursWorked = Math.max(round(employee.hoursWorked - (line.hoursWorked || 0)), 0);
+  employee.overtimeHours = Math.max(round(employee.overtimeHours - (line.overtimeHours || 0)), 0);
+  employee.holidayHours = Math.max(round((employee.holidayHours || 0) - (line.holidayHours || 0)), 0);
+  if (employee.shiftHours) {
+    for (const [shift, hours] of line.shiftHours || []) {
+      employee.shiftHours.set(shift, Math.max(round((employee.shiftHours.get(shift) || 0) - hours), 0));
+    }
+  }
+  if (!employee.periodStart || employee.periodStart < nextPeriodStart) {
+    employee.periodStart = nextPeriodStart;
+  }
+  await employee.save();
+};
+
+/* Close a line at most once: it is claimed (closedAt) before the
+   employee is reset, and released again if the reset fails */
+const closeLine = async (line, nextPeriodStart) => {
+  const claimed = await Salary.updateOne({ _id: line._id, closedAt: null }, { $set: { closedAt: new Date() } });
+  if (claimed.modifiedCount === 0) return; // closed by a concurrent retry
+
+  try {
+    await closeEmployeePeriod(line, nextPeriodStart);
+  } catch (error) {
+    await Salary.updateOne({ _id: line._id }, { $set: { closedAt: null } });
+    throw error;
+  }
+};
+
+/* ============================================================
+   ✅ Approve a Run
+   ------------------------------------------------------------
+   The run is claimed as "approving" and its lines become final
+   salary records. Then each employee's period moves past the
+   run's end: timesheet hours are rebuilt from the entries after
+   it; hand-entered hours have the snapshot taken off (hours
+   logged after the snapshot carry over). Each line is closed
+   once, so if a reset fails, approving again picks up where it
+   stopped; the run is approved when every line is closed.
+   ============================================================ */
+export const approveRun = async (req, res) => {
+  try {
+    const current = await findRun(req.params.id);
+    const resuming = current.status === PAYROLL_STATUS.APPROVING;
+    if (!resuming && !current.canTransitionTo(PAYROLL_STATUS.APPROVING)) {
+      return res.status(409).json({ success: false, message: `Cannot approve a ${current.status} run.` });
+    }
+
+    const before = auditSnapshot(current);
+    const run = resuming
+      ? current
+      : await claimTransition(current, PAYROLL_STATUS.APPROVING, {
+          approvedBy: req.user.email,
+          approvedAt: new Date(),
+        });
+    if (!run) return res.status(409).json({ success: false, message: changedMessage });
+
+    // ✅ The run's lines become final salary records
+    await Salary.updateMany(
+      { payrollRun: run._id, status: { $ne: SALARY_STATUS.APPROVED } },
+      { status: SALARY_STATUS.APPROVED, reviewedBy: run.approvedBy, reviewedAt: run.approvedAt }
+    );
+
+    const lines = await Salary.find({ payrollRun: run._id, closedAt: null });
+    const nextPeriodStart = new Date(run.periodEnd.getTime() + 1);
+    for (const line of lines) await closeLine(line, nextPeriodStart);
+
+    const approved = await claimTransition(run, PAYROLL_STATUS.APPROVED);
+    if (!approved) return res.status(409).json({ success: false, message: "Payroll run was already approved." });
+    await recordAudit(req, { action: AUDIT_ACTIONS.APPROVE, model: "PayrollRun", before, after: approved });
+
+    res.status(200).json({ success: true, message: "✅ Payroll run approved.", run: approved });
+  } catch (error) {
+    sendError(res, "approving payroll run")(error);
+  }
+};
+
+/* ============================================================
+   💸 Mark a Run as Paid
+   ============================================================ */
+export const payRun = async (req, res) => {
+  try {
+    const current = await findRun(req.params.id);
+    if (!current.canTransitionTo(PAYROLL_STATUS.PAID)) {
+      return res.status(409).json({ success: false, message: `Cannot mark a ${current.status} run as paid.` });
+    }
+
+    const before = auditSnapshot(current);
+    const run = await claimTransition(current, PAYROLL_STATUS.PAID, { paidBy: req.user.email, paidAt: new Date() });
+    if (!run) return res.status(409).json({ success: false, message: "Payroll run was already marked as paid." });
+    await recordAudit(req, { action: AUDIT_ACTIONS.PAY, model: "PayrollRun", before, after: run });
+
+    res.status(200).json({ success: true, message: "✅ Payroll run marked as paid.", run });
+  } catch (error) {
+    sendError(res, "paying payroll run")(error);
+  }
+};
+
+/* ============================================================
+   🗑️ Delete a Draft Run and its Lines
+   ============================================================ */
+export const deleteRun = async (req, res) => {
+  try {
+    requireDraft(await findRun(req.params.id));
+
+    // 🔒 Deleted only if still a draft — never while it is being refreshed or approved
+    const run = await PayrollRun.findOneAndDelete({ _id: req.params.id, status: PAYROLL_STATUS.DRAFT });
+    if (!run) return res.status(409).json({ success: false, message: changedMessage });
+    await Salary.deleteMany({ payrollRun: run._id });
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "PayrollRun", before: run });
+
+    res.status(200).json({ success: true, message: "🗑️ Draft payroll run deleted." });
+  } catch (error) {
+    sendError(res, "deleting payroll run")(error);
+  }
+};
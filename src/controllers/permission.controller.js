@@ -0,0 +1,117 @@
+import RolePermission from "../models/RolePermission.js";
+import { ROLES } from "../constants/roles.js";
+import { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, EDITABLE_ROLES } from "../constants/permissions.js";
+import { getRolePermissions, invalidatePermissions, permissionsFor } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+
+/* ============================================================
+   🔐 Role Permissions — view and edit the role matrix
+   ============================================================ */
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+/* 📜 Audit a role's permission list before → after */
+const auditPermissions = (req, role, before, after, summary = "") =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.PERMISSION_CHANGE,
+    model: "RolePermission",
+    targetId: role,
+    before: { permissions: [...before] },
+    after: { permissions: [...after] },
+    summary,
+  });
+
+/* Current matrix: every role with its permissions and whether it differs from the defaults */
+const describeRoles = async () => {
+  const [map, saved] = await Promise.all([getRolePermissions(), RolePermission.find().lean()]);
+  const byRole = Object.fromEntries(saved.map((doc) => [doc.role, doc]));
+
+  return Object.values(ROLES).map((role) => ({
+    role,
+    editable: EDITABLE_ROLES.includes(role),
+    customised: Boolean(byRole[role]),
+    permissions: ALL_PERMISSIONS.filter((permission) => map[role]?.has(permission)),
+    updatedBy: byRole[role]?.updatedBy || null,
+    updatedAt: byRole[role]?.updatedAt || null,
+  }));
+};
+
+/* ============================================================
+   📋 Get Permission Matrix
+   ============================================================ */
+export const getPermissionMatrix = async (_req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      permissions: ALL_PERMISSIONS,
+      defaults: DEFAULT_ROLE_PERMISSIONS,
+      roles: await describeRoles(),
+    });
+  } catch (error) {
+    sendError(res, "fetching permissions")(error);
+  }
+};
+
+/* ============================================================
+   ✏️ Set a Role's Permissions — Body: { permissions: [...] }
+   Replaces the role's list; admin cannot be edited
+   ============================================================ */
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const role = String(req.params.role).toLowerCase();
+    if (!EDITABLE_ROLES.includes(role)) {
+      throw Object.assign(new Error(`Permissions for "${role}" cannot be edited`), { status: 400 });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+    const before = await permissionsFor(role);
+    await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions, updatedBy: req.user.email },
+      { upsert: true, new: true, runValidators: true }
+    );
+    invalidatePermissions();
+    await auditPermissions(req, role, before, permissions);
+
+    res.status(200).json({
+      success: true,
+      message: `✅ Permissions updated for ${role}.`,
+      roles: await describeRoles(),
+    });
+  } catch (error) {
+    sendError(res, "updating permissions")(error);
+  }
+};
+
+/* ============================================================
+   ♻️ Reset a Role to the Default Permissions
+   ============================================================ */
+export const resetRolePermissions = async (req, res) => {
+  try {
+    const role = String(req.params.role).toLowerCase();
+    if (!EDITABLE_ROLES.includes(role)) {
+      throw Object.assign(new Error(`Permissions for "${role}" cannot be edited`), { status: 400 });
+    }
+
+    const before = await permissionsFor(role);
+    await RolePermission.deleteOne({ role });
+    invalidatePermissions();
+    await auditPermissions(req, role, before, await permissionsFor(role), "Reset to defaults");
+
+    res.status(200).json({
+      success: true,
+      message: `♻️ Permissions for ${role} reset to defaults.`,
+      roles: await describeRoles(),
+    });
+  } catch (error) {
+    sendError(res, "resetting permissions")(error);
+  }
+};
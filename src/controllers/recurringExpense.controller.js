@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import RecurringExpense from "../models/RecurringExpense.js";
+import Expense from "../models/Expense.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { RECURRING_STATUS } from "../constants/expenses.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import { dayKey, occurrenceOnOrAfter, reschedule, upcomingOccurrences } from "../utils/recurringExpenses.js";
+
+/* ============================================================
+   🔁 Recurring Expenses
+   ------------------------------------------------------------
+   Templates for rent, utilities, contracts … The scheduler in
+   utils/recurringExpenses.js posts the expenses; these
+   handlers manage templates, pauses and skipped occurrences.
+   ============================================================ */
+
+const TEMPLATE_FIELDS = [
+  "title",
+  "category",
+  "amount",
+  "description",
+  "costCentre",
+  "frequency",
+  "interval",
+  "dayOfWeek",
+  "dayOfMonth",
+  "startDate",
+  "endDate",
+];
+const SCHEDULE_FIELDS = ["frequency", "interval", "dayOfWeek", "dayOfMonth", "startDate", "endDate"];
+// Whoever changes these takes over the template: its occurrences are then checked against their approval limit
+const APPROVAL_FIELDS = ["amount", "category", ...SCHEDULE_FIELDS];
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  const status = error.name === "ValidationError" ? 400 : error.status || 500;
+  res.status(status).json({
+    success: false,
+    message: status < 500 ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+const findTemplate = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error("Invalid recurring expense ID format."), { status: 400 });
+  }
+  const template = await RecurringExpense.findById(id);
+  if (!template) throw Object.assign(new Error("Recurring expense not found."), { status: 404 });
+  return template;
+};
+
+const withUpcoming = (template) => ({ ...template.toJSON(), upcoming: upcomingOccurrences(template) });
+
+/* ============================================================
+   📋 List Templates — ?status=active|paused|ended
+   ============================================================ */
+export const listRecurringExpenses = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const templates = await RecurringExpense.find(filter).sort({ status: 1, nextRunAt: 1 });
+    res.status(200).json({ success: true, count: templates.length, recurringExpenses: templates.map(withUpcoming) });
+  } catch (error) {
+    sendError(res, "fetching recurring expenses")(error);
+  }
+};
+
+/* ============================================================
+   🔍 One Template with its Upcoming and Posted Expenses
+   ============================================================ */
+export const getRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    const expenses = await Expense.find({ recurringExpense: template._id })
+      .select("-revisions -attachments.key")
+      .sort({ occurrenceDate: -1 })
+      .limit(24);
+
+    res.status(200).json({ success: true, recurringExpense: withUpcoming(template), expenses });
+  } catch (error) {
+    sendError(res, "fetching recurring expense")(error);
+  }
+};
+
+/* ============================================================
+   ➕ Create a Template
+   ------------------------------------------------------------
+   Body: { title, amount, category?, description?, costCentre?,
+           frequency: "weekly"|"monthly", interval?, dayOfWeek?,
+           dayOfMonth?, startDate, endDate? }
+   The first expense is the first occurrence from today on.
+   ============================================================ */
+export const createRecurringExpense = async (req, res) => {
+  try {
+    const data = {};
+    for (const key of TEMPLATE_FIELDS) if (req.body[key] !== undefined) data[key] = req.body[key];
+
+    const template = new RecurringExpense({ ...data, createdBy: req.user.email, createdByRole: req.user.role });
+    reschedule(template);
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "RecurringExpense", after: template });
+
+    res.status(201).json({
+      success: true,
+      message: template.nextRunAt
+        ? `✅ Recurring expense scheduled; first on ${dayKey(template.nextRunAt)}.`
+        : "✅ Recurring expense saved, but no occurrence falls before its end date.",
+      recurringExpense: withUpcoming(template),
+    });
+  } catch (error) {
+    sendError(res, "creating recurring expense")(error);
+  }
+};
+
+/* ============================================================
+   ✏️ Update a Template
+   Changes apply to occurrences not posted yet; a new schedule
+   starts from today. Changing the amount, category or schedule
+   makes the editor the template's owner for approval limits.
+   ============================================================ */
+export const updateRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    const before = auditSnapshot(template);
+
+    for (const key of TEMPLATE_FIELDS) if (req.body[key] !== undefined) template[key] = req.body[key];
+    if (SCHEDULE_FIELDS.some((key) => req.body[key] !== undefined)) reschedule(template);
+    if (APPROVAL_FIELDS.some((key) => req.body[key] !== undefined)) {
+      template.createdBy = req.user.email;
+      template.createdByRole = req.user.role;
+    }
+    template.updatedBy = req.user.email;
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "RecurringExpense", before, after: template });
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Recurring expense updated.",
+      recurringExpense: withUpcoming(template),
+    });
+  } catch (error) {
+    sendError(res, "updating recurring expense")(error);
+  }
+};
+
+/* ============================================================
+   ⏸️ Pause / ▶️ Resume
+   Occurrences that fall in a pause are not posted later.
+   ============================================================ */
+export const pauseRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    if (template.status !== RECURRING_STATUS.ACTIVE) {
+      throw Object.assign(new Error(`Recurring expense is ${template.status}; only active ones can be paused.`), {
+        status: 409,
+      });
+    }
+
+    const before = auditSnapshot(template);
+    template.status = RECURRING_STATUS.PAUSED;
+    template.updatedBy = req.user.email;
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.STATUS_CHANGE, model: "RecurringExpense", before, after: template });
+
+    res.status(200).json({ success: true, message: "⏸️ Recurring expense paused.", recurringExpense: template });
+  } catch (error) {
+    sendError(res, "pausing recurring expense")(error);
+  }
+};
+
+export const resumeRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    if (template.status !== RECURRING_STATUS.PAUSED) {
+      throw Object.assign(new Error(`Recurring expense is ${template.status}; only paused ones can be resumed.`), {
+        status: 409,
+      });
+    }
+
+    const before = auditSnapshot(template);
+    template.status = RECURRING_STATUS.ACTIVE;
+    reschedule(template);
+    template.updatedBy = req.user.email;
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.STATUS_CHANGE, model: "RecurringExpense", before, after: template });
+
+    res.status(200).json({
+      success: true,
+      message: "▶️ Recurring expense resumed.",
+      recurringExpense: withUpcoming(template),
+    });
+  } catch (error) {
+    sendError(res, "resuming recurring expense")(error);
+  }
+};
+
+/* ============================================================
+   ⏭️ Skip / Unskip an Occurrence
+   ------------------------------------------------------------
+   Body: { date?: "YYYY-MM-DD" } — defaults to the next one.
+   Only occurrences not posted yet can be skipped.
+   ============================================================ */
+const pendingOccurrence = (template, date) => {
+  const occurrence = new Date(`${date}T00:00:00.000Z`);
+  const isOccurrence = occurrenceOnOrAfter(template, occurrence)?.getTime() === occurrence.getTime();
+  if (!isOccurrence) {
+    throw Object.assign(new Error(`${date} is not an occurrence of this schedule.`), { status: 400 });
+  }
+  if (!template.nextRunAt || occurrence < template.nextRunAt) {
+    throw Object.assign(new Error(`The ${date} occurrence has already been handled.`), { status: 409 });
+  }
+  return date;
+};
+
+export const skipOccurrence = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    if (!template.nextRunAt) {
+      throw Object.assign(new Error("This schedule has no upcoming occurrences."), { status: 409 });
+    }
+    const date = pendingOccurrence(template, req.body.date || dayKey(template.nextRunAt));
+
+    const before = auditSnapshot(template);
+    if (!template.skipDates.includes(date)) template.skipDates.push(date);
+    template.skipDates.sort();
+    template.updatedBy = req.user.email;
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "RecurringExpense", before, after: template });
+
+    res.status(200).json({
+      success: true,
+      message: `⏭️ The ${date} occurrence will be skipped.`,
+      recurringExpense: withUpcoming(template),
+    });
+  } catch (error) {
+    sendError(res, "skipping occurrence")(error);
+  }
+};
+
+export const unskipOccurrence = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    const date = pendingOccurrence(template, req.params.date);
+    if (!template.skipDates.includes(date)) {
+      throw Object.assign(new Error(`The ${date} occurrence is not skipped.`), { status: 404 });
+    }
+
+    const before = auditSnapshot(template);
+    template.skipDates = template.skipDates.filter((skipped) => skipped !== date);
+    template.updatedBy = req.user.email;
+    await template.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "RecurringExpense", before, after: template });
+
+    res.status(200).json({
+      success: true,
+      message: `✅ The ${date} occurrence will be posted.`,
+      recurringExpense: withUpcoming(template),
+    });
+  } catch (error) {
+    sendError(res, "unskipping occurrence")(error);
+  }
+};
+
+/* ============================================================
+   🗑️ Delete a Template — posted expenses are kept
+   ============================================================ */
+export const deleteRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+    await template.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "RecurringExpense", before: template });
+
+    res.status(200).json({ success: true, message: "🗑️ Recurring expense deleted." });
+  } catch (error) {
+    sendError(res, "deleting recurring expense")(error);
+  }
+};
@@ -1,48 +1,149 @@
-import Salary from "../models/salary.model.js";
+import mongoose from "mongoose";
+import Salary, { SALARY_STATUS } from "../models/salary.model.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import { hasPermission } from "../utils/permissions.js";
+
+/* ============================================================
+   💰 Salary Records
+   ------------------------------------------------------------
+   Managers keep their own records; admins see all. Anyone
+   holding salaries:approve sees and reviews every record
+   except their own.
+   A record moves draft → submitted → approved (or rejected,
+   then fixed and resubmitted). Only approved records count
+   as final pay. Payroll run lines are Salary records too, but
+   are managed through /api/payroll.
+   ============================================================ */
+
+// Fields a manager may set on a record
+const EDITABLE_FIELDS = ["staffId", "name", "jobTitle", "salary", "month", "date", "contact"];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+const isAdmin = (user) => user.role === ROLES.ADMIN;
+const isReviewer = (user) => hasPermission(user, PERMISSIONS.SALARIES_APPROVE);
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+const findSalary = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error("Invalid salary ID format."), { status: 400 });
+  }
+  const salary = await Salary.findById(id);
+  if (!salary) throw Object.assign(new Error("Salary record not found."), { status: 404 });
+  return salary;
+};
+
+/* Load a record the user may act on: admins any, managers their own */
+const findOwned = async (id, user) => {
+  const salary = await findSalary(id);
+  if (!isAdmin(user) && String(salary.managerId) !== String(user.id)) {
+    throw Object.assign(new Error("You can only manage your own salary records."), { status: 403 });
+  }
+  return salary;
+};
+
+/* Load a record to approve or reject — the route checks
+   salaries:approve; nobody reviews a record they created */
+const findForReview = async (id, user) => {
+  const salary = await findSalary(id);
+  if (String(salary.managerId) === String(user.id)) {
+    throw Object.assign(new Error("You can't review your own salary record."), { status: 403 });
+  }
+  return salary;
+};
+
+/* Payroll run lines change only through their run */
+const requireStandalone = (salary) => {
+  if (salary.payrollRun) {
+    throw Object.assign(new Error("This record is a payroll run line; manage it through its payroll run."), {
+      status: 409,
+    });
+  }
+};
+
+const requireEditable = (salary) => {
+  if (!salary.isEditable) {
+    throw Object.assign(new Error(`Salary record is ${salary.status}; only draft or rejected records can change.`), {
+      status: 409,
+    });
+  }
+};
+
+const transition = (salary, nextStatus) => {
+  if (!salary.canTransitionTo(nextStatus)) {
+    throw Object.assign(new Error(`Cannot move a ${salary.status} salary record to ${nextStatus}.`), { status: 409 });
+  }
+  salary.status = nextStatus;
+};
 
 /* ============================================================
    ➕ Add a New Salary Record
    ------------------------------------------------------------
-   - Validates manager from JWT (req.user.id)
-   - Creates a new salary record in MongoDB
-   - Returns saved salary with success message
+   - Manager taken from JWT (req.user.id)
+   - Starts as a draft; submit it for admin approval
    ============================================================ */
 export const addSalary = async (req, res) => {
   try {
-    // ✅ Create a new salary entry associated with the logged-in manager
     const newSalary = new Salary({
-      ...req.body,
+      ...pick(req.body, EDITABLE_FIELDS),
       managerId: req.user.id, // From verifyToken middleware
     });
 
     await newSalary.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Salary", after: newSalary });
 
     res.status(201).json({
       success: true,
-      message: "✅ Salary record added successfully!",
+      message: "✅ Salary record added as a draft.",
       salary: newSalary,
     });
   } catch (error) {
-    console.error("❌ Error adding salary:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error while adding salary record.",
-      error: error.message,
-    });
+    if (error.name === "ValidationError") error.status = 400;
+    sendError(res, "adding salary record")(error);
   }
 };
 
 /* ============================================================
-   📋 Get All Salaries (Only for Logged-In Manager)
+   📋 Get Salaries
    ------------------------------------------------------------
-   - Finds salary records linked to the manager ID in JWT
-   - Sorted by newest first
+   - Managers: records they created
+   - Admins and reviewers: every manager's records (?managerId= to narrow)
+   - Filters: ?status=submitted,approved &month=
    ============================================================ */
 export const getSalaries = async (req, res) => {
   try {
-    const managerId = req.user.id; // Extracted from JWT
+    const { managerId, status, month } = req.query;
+    const filter = {};
+    const seesAll = isAdmin(req.user) || (await isReviewer(req.user));
 
-    const salaries = await Salary.find({ managerId }).sort({ createdAt: -1 });
+    if (seesAll) {
+      if (managerId) {
+        if (!mongoose.Types.ObjectId.isValid(managerId)) {
+          return res.status(400).json({ success: false, message: "Invalid manager ID format." });
+        }
+        filter.managerId = managerId;
+      }
+    } else {
+      filter.managerId = req.user.id;
+    }
+    if (status) filter.status = { $in: String(status).split(",") };
+    if (month) filter.month = String(month);
+
+    const query = Salary.find(filter).sort({ createdAt: -1 });
+    if (seesAll) query.populate("managerId", "fullName email");
+    const salaries = await query;
 
     res.status(200).json({
       success: true,
@@ -50,44 +151,134 @@ export const getSalaries = async (req, res) => {
       salaries,
     });
   } catch (error) {
-    console.error("❌ Error fetching salaries:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error while fetching salary records.",
-      error: error.message,
-    });
+    sendError(res, "fetching salary records")(error);
+  }
+};
+
+/* ============================================================
+   🔍 Get One Salary Record
+   ============================================================ */
+export const getSalary = async (req, res) => {
+  try {
+    const salary = (await isReviewer(req.user))
+      ? await findSalary(req.params.id)
+      : await findOwned(req.params.id, req.user);
+    res.status(200).json({ success: true, salary });
+  } catch (error) {
+    sendError(res, "fetching salary record")(error);
+  }
+};
+
+/* ============================================================
+   ✏️ Update a Salary Record (draft or rejected only)
+   ============================================================ */
+export const updateSalary = async (req, res) => {
+  try {
+    const salary = await findOwned(req.params.id, req.user);
+    requireStandalone(salary);
+    requireEditable(salary);
+    const before = auditSnapshot(salary);
+
+    salary.set(pick(req.body, EDITABLE_FIELDS));
+    await salary.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Salary", before, after: salary });
+
+    res.status(200).json({ success: true, message: "✅ Salary record updated.", salary });
+  } catch (error) {
+    if (error.name === "ValidationError") error.status = 400;
+    sendError(res, "updating salary record")(error);
+  }
+};
+
+/* ============================================================
+   📨 Submit for Approval — owning manager or admin
+   ============================================================ */
+export const submitSalary = async (req, res) => {
+  try {
+    const salary = await findOwned(req.params.id, req.user);
+    requireStandalone(salary);
+    const before = auditSnapshot(salary);
+    transition(salary, SALARY_STATUS.SUBMITTED);
+
+    salary.submittedAt = new Date();
+    salary.rejectionReason = "";
+    await salary.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.SUBMIT, model: "Salary", before, after: salary });
+
+    res.status(200).json({ success: true, message: "📨 Salary record submitted for approval.", salary });
+  } catch (error) {
+    sendError(res, "submitting salary record")(error);
+  }
+};
+
+/* ============================================================
+   ✅ Approve — reviewers, never their own; the record becomes final
+   ============================================================ */
+export const approveSalary = async (req, res) => {
+  try {
+    const salary = await findForReview(req.params.id, req.user);
+    requireStandalone(salary);
+    const before = auditSnapshot(salary);
+    transition(salary, SALARY_STATUS.APPROVED);
+
+    salary.reviewedBy = req.user.email;
+    salary.reviewedAt = new Date();
+    await salary.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.APPROVE, model: "Salary", before, after: salary });
+
+    res.status(200).json({ success: true, message: "✅ Salary record approved.", salary });
+  } catch (error) {
+    sendError(res, "approving salary record")(error);
+  }
+};
+
+/* ============================================================
+   ⛔ Reject — reviewers, never their own; Body: { reason }
+   ============================================================ */
+export const rejectSalary = async (req, res) => {
+  try {
+    const salary = await findForReview(req.params.id, req.user);
+    requireStandalone(salary);
+    const before = auditSnapshot(salary);
+    transition(salary, SALARY_STATUS.REJECTED);
+
+    salary.reviewedBy = req.user.email;
+    salary.reviewedAt = new Date();
+    salary.rejectionReason = req.body.reason;
+    await salary.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.REJECT, model: "Salary", before, after: salary });
+
+    res.status(200).json({ success: true, message: "⛔ Salary record rejected.", salary });
+  } catch (error) {
+    sendError(res, "rejecting salary record")(error);
   }
 };
 
 /* ============================================================
    🗑️ Delete Salary Record
    ------------------------------------------------------------
-   - Deletes a salary record by ID
-   - Ensures only existing records are removed
+   - Managers may delete only their own records
+   - Approved records are final and cannot be deleted
    ============================================================ */
 export const deleteSalary = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const deleted = await Salary.findByIdAndDelete(id);
-
-    if (!deleted) {
-      return res.status(404).json({
+    const salary = await findOwned(req.params.id, req.user);
+    requireStandalone(salary);
+    if (salary.status === SALARY_STATUS.APPROVED) {
+      return res.status(409).json({
         success: false,
-        message: "Salary record not found.",
+        message: "Approved salary records are final and cannot be deleted.",
       });
     }
 
+    await salary.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Salary", before: salary });
+
     res.status(200).json({
       success: true,
       message: "🗑️ Salary record deleted successfully!",
     });
   } catch (error) {
-    console.error("❌ Error deleting salary:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error while deleting salary record.",
-      error: error.message,
-    });
+    sendError(res, "deleting salary record")(error);
   }
 };
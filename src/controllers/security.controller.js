@@ -0,0 +1,60 @@
+import User from "../models/User.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import { unlockLogin } from "../utils/loginThrottle.js";
+import { recordAudit } from "../utils/audit.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+
+/* ============================================================
+   🛡️ Login Security — lockout events and admin unlock
+   ============================================================ */
+
+const sendError = (res, action) => (error) => {
+  console.error(`❌ Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : `Server error while ${action}.`,
+    error: error.message,
+  });
+};
+
+/* ============================================================
+   📋 List Security Events
+   ?type=account-locked&email=&ip=&limit=100
+   ============================================================ */
+export const listSecurityEvents = async (req, res) => {
+  try {
+    const { type, email, ip } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const filter = {};
+    if (type) filter.type = { $in: String(type).split(",") };
+    if (email) filter.email = String(email).toLowerCase();
+    if (ip) filter.ip = String(ip);
+
+    const events = await SecurityEvent.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.status(200).json({ success: true, count: events.length, events });
+  } catch (error) {
+    sendError(res, "fetching security events")(error);
+  }
+};
+
+/* ============================================================
+   🔓 Unlock Login — Body: { email?, ip? }
+   Clears failed-attempt counters and any lock
+   ============================================================ */
+export const unlockAccount = async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+    const user = email ? await User.findOne({ email: String(email).toLowerCase() }).select("_id") : null;
+
+    const event = await unlockLogin({ email, ip, user }, req.user.email);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STATUS_CHANGE,
+      model: "LoginAttempt",
+      targetId: user?._id || email || ip,
+      summary: `Login unlocked for ${[email, ip].filter(Boolean).join(" / ")}`,
+    });
+    res.status(200).json({ success: true, message: "🔓 Login unlocked.", event });
+  } catch (error) {
+    sendError(res, "unlocking login")(error);
+  }
+};
@@ -1,15 +1,17 @@
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { verifyScopedToken } from "../utils/tokens.js";
 
 /* ===========================================================
    🔐 Verify Token Middleware
    -----------------------------------------------------------
    Ensures only authenticated users can access protected routes.
    Works for Admin, Manager, Staff, Customer, etc.
+   Besides the signature, the user must still exist and be
+   active, and the token must not predate a password change
+   or a "log out all sessions" (tokenVersion).
    =========================================================== */
-export const verifyToken = (req, res, next) => {
-  // 🧩 Log incoming token for debugging
-  console.log("🔐 Incoming Auth Header:", req.headers.authorization);
-
+export const verifyToken = async (req, res, next) => {
   // ✅ Extract Bearer token
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ")
@@ -22,25 +24,71 @@ export const verifyToken = (req, res, next) => {
     return res.status(401).json({ message: "Unauthorized: missing token" });
   }
 
+  let decoded;
   try {
     // ✅ Verify JWT using your secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error("❌ Token verification failed:", err.message);
+    const expired = err.name === "TokenExpiredError";
+    return res.status(401).json({
+      message: expired ? "Unauthorized: token expired" : "Unauthorized: invalid token",
+      ...(expired && { code: "TOKEN_EXPIRED" }),
+    });
+  }
+
+  // 🎟️ Step tokens (2FA login / setup) never grant API access
+  if (decoded.scope) {
+    return res.status(401).json({ message: "Unauthorized: sign-in is not complete" });
+  }
 
-    // 🔍 Normalize role (prevent 'Admin' vs 'admin' mismatch)
-    if (decoded.role) {
-      decoded.role = decoded.role.toLowerCase();
+  try {
+    // 🔍 Check the account behind the token is still allowed in
+    const user = await User.findById(decoded.id).select("role isActive tokenVersion passwordChangedAt");
+    if (!user) return res.status(401).json({ message: "Unauthorized: account no longer exists" });
+    if (!user.isActive) return res.status(401).json({ message: "Unauthorized: account is deactivated" });
+
+    const changedAt = user.passwordChangedAt ? Math.floor(user.passwordChangedAt.getTime() / 1000) : 0;
+    if ((decoded.tv ?? 0) !== (user.tokenVersion || 0) || decoded.iat < changedAt) {
+      return res.status(401).json({ message: "Unauthorized: token has been revoked" });
     }
 
+    // 🔍 Use the stored role, so role changes apply immediately
+    decoded.role = user.role?.toLowerCase();
+
     // ✅ Attach decoded user info to request
     req.user = decoded;
 
-    // 🧠 Log who is authenticated
-    console.log("✅ Token verified successfully:", decoded);
-
     // ✅ Continue to next middleware or route
     next();
   } catch (err) {
-    console.error("❌ Token verification failed:", err.message);
-    return res.status(401).json({ message: "Unauthorized: invalid token" });
+    console.error("❌ Error checking token owner:", err.message);
+    if (err.name === "CastError") return res.status(401).json({ message: "Unauthorized: invalid token" });
+    return res.status(500).json({ message: "Failed to verify session", error: err.message });
+  }
+};
+
+/* ===========================================================
+   🔐 Verify Token or 2FA Setup Token
+   -----------------------------------------------------------
+   For the 2FA enrollment routes: accepts a normal access
+   token, or the "mfa-setup" token handed out at login to
+   admins/managers who must enroll before getting a session.
+   Sets req.mfaSetup = true for the latter.
+   =========================================================== */
+export const verifyTokenOrMfaSetup = async (req, res, next) => {
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : null;
+  const decoded = token ? jwt.decode(token) : null;
+
+  if (decoded?.scope !== "mfa-setup") return verifyToken(req, res, next);
+
+  try {
+    const setup = await verifyScopedToken(token, "mfa-setup");
+    req.user = { id: setup.id, scope: setup.scope };
+    req.mfaSetup = true;
+    next();
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
   }
 };
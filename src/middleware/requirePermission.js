@@ -0,0 +1,33 @@
+// src/middleware/requirePermission.js
+import { permissionsFor } from "../utils/permissions.js";
+
+/**
+ * ✅ Permission-based access control middleware
+ * Usage: requirePermission(PERMISSIONS.EXPENSES_HARD_DELETE)
+ * The user needs every listed permission.
+ */
+export const requirePermission = (...required) => {
+  const permissions = required.flat();
+
+  return async (req, res, next) => {
+    if (!req.user || !req.user.role) {
+      return res.status(401).json({ message: "Unauthorized: no user context" });
+    }
+
+    try {
+      const granted = await permissionsFor(req.user.role);
+      const missing = permissions.filter((permission) => !granted.has(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: "You don't have permission to perform this action.",
+          missingPermissions: missing,
+        });
+      }
+    } catch (err) {
+      console.error("❌ Error checking permissions:", err);
+      return res.status(500).json({ message: "Failed to check permissions", error: err.message });
+    }
+
+    next();
+  };
+};
@@ -3,7 +3,7 @@ import { ROLES } from "../constants/roles.js";
 
 /**
  * ✅ Role-based access control middleware
- * Usage: requireRole(ROLES.ADMIN, ROLES.MANAGER)
+ * Usage: requireRole(ROLES.ADMIN, ROLES.MANAGER) or requireRole([ROLES.ADMIN, ROLES.MANAGER])
  */
 export const requireRole = (...allowedRoles) => {
   return (req, res, next) => {
@@ -13,7 +13,7 @@ export const requireRole = (...allowedRoles) => {
     }
 
     const userRole = req.user.role.toLowerCase(); // normalize
-    const normalizedAllowed = allowedRoles.map(r => r.toLowerCase());
+    const normalizedAllowed = allowedRoles.flat().map(r => r.toLowerCase());
 
     // Debugging
     console.log("🔐 Checking role:", userRole, "→ allowed:", normalizedAllowed);
@@ -0,0 +1,42 @@
+// src/middleware/upload.js
+import multer from "multer";
+
+export const RECEIPT_MIME_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+export const MAX_RECEIPT_FILES = 5;
+
+const maxReceiptMb = () => Number(process.env.RECEIPT_MAX_MB) || 5;
+const maxReceiptBytes = () => Math.round(maxReceiptMb() * 1024 * 1024);
+
+/**
+ * ✅ Multipart receipt upload — files land in memory (req.files)
+ * and are checked again by content before they are stored.
+ * Usage: uploadReceipts("files")
+ * Limit and type problems become a 400 / 413 JSON response.
+ */
+export const uploadReceipts = (field = "files") => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxReceiptBytes(), files: MAX_RECEIPT_FILES },
+    fileFilter: (_req, file, cb) => {
+      if (RECEIPT_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+      const message = `${file.originalname}: only PDF, JPEG, PNG and WebP files are accepted`;
+      cb(Object.assign(new Error(message), { status: 400 }));
+    },
+  }).array(field, MAX_RECEIPT_FILES);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE")
+          return res.status(413).json({ message: `Each file must be at most ${maxReceiptMb()} MB` });
+        if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE")
+          return res.status(400).json({ message: `Upload up to ${MAX_RECEIPT_FILES} files in the "${field}" field` });
+        return res.status(400).json({ message: err.message });
+      }
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error("❌ Error reading upload:", err);
+      res.status(500).json({ message: "Failed to read upload", error: err.message });
+    });
+  };
+};
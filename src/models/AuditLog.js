@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  ROLE_CHANGE: "role-change",
+  STATUS_CHANGE: "status-change",
+  SUBMIT: "submit",
+  APPROVE: "approve",
+  REJECT: "reject",
+  PAY: "pay",
+  LOGIN: "login",
+  LOGIN_FAILED: "login-failed",
+  LOGOUT: "logout",
+  PASSWORD_CHANGE: "password-change",
+  PERMISSION_CHANGE: "permission-change",
+};
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+/* ==========================================================
+   📜 Audit Log — append-only record of who changed what
+   ========================================================== */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+      immutable: true,
+    },
+    targetModel: { type: String, required: true, trim: true, immutable: true },
+    targetId: { type: String, trim: true, default: "", immutable: true },
+    summary: { type: String, trim: true, default: "", immutable: true },
+    changes: { type: [changeSchema], default: [], immutable: true },
+
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    actorEmail: { type: String, lowercase: true, trim: true, default: "", immutable: true },
+    actorRole: { type: String, trim: true, default: "", immutable: true },
+
+    ip: { type: String, trim: true, default: "", immutable: true },
+    userAgent: { type: String, trim: true, default: "", immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/* ==========================================================
+   🔒 Entries are append-only
+   ========================================================== */
+const immutableError = () => new Error("Audit log entries are append-only");
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(immutableError());
+  }
+);
+
+auditLogSchema.pre("deleteOne", { document: true, query: false }, function (next) {
+  next(immutableError());
+});
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { EXPENSE_CATEGORIES } from "../constants/expenses.js";
+
+/* ==========================================================
+   📊 Budget — planned spending for one month
+   category null = every category; costCentre "" = every
+   cost centre. Approved expenses in the month that match
+   both count against it.
+   ========================================================== */
+const budgetSchema = new mongoose.Schema(
+  {
+    month: {
+      type: String, // YYYY-MM
+      required: true,
+      match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    },
+    category: {
+      type: String,
+      enum: [...EXPENSE_CATEGORIES, null],
+      default: null,
+    },
+    costCentre: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    notes: { type: String, trim: true, default: "" },
+
+    // 🔔 When each alert was sent — cleared once spending drops back below
+    warnedAt: { type: Date, default: null },
+    exceededAt: { type: Date, default: null },
+
+    createdBy: { type: String, required: true, trim: true }, // email
+    updatedBy: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+budgetSchema.index({ month: 1, category: 1, costCentre: 1 }, { unique: true });
+
+export default mongoose.model("Budget", budgetSchema);
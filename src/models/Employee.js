@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { SHIFTS } from "../constants/shifts.js";
+import { computePay } from "../utils/payCalculator.js";
+import { getPayRules } from "../utils/payRules.js";
 
 const employeeSchema = new mongoose.Schema(
   {
@@ -8,47 +11,91 @@ const employeeSchema = new mongoose.Schema(
 
     shift: {
       type: String,
-      enum: ["Morning", "Afternoon", "Evening", "Night"],
+      enum: SHIFTS,
       default: "Morning", // ✅ Added default for consistency
       required: true,
     },
 
     hourlyRate: { type: Number, required: true, min: 0 },
     hoursWorked: { type: Number, default: 0, min: 0 },
+    overtimeHours: { type: Number, default: 0, min: 0 }, // ✅ part of hoursWorked paid at overtime rate
+    holidayHours: { type: Number, default: 0, min: 0 }, // ✅ part of hoursWorked paid at holiday rate
+    shiftHours: { type: Map, of: Number, default: undefined }, // ✅ hours per shift (from timesheets)
 
     salary: { type: Number, default: 0 }, // ✅ auto-calculated if hours present
+
+    // 🧾 Salary by component under the current pay rules
+    payBreakdown: {
+      base: { type: Number, default: 0 },
+      shiftPremium: { type: Number, default: 0 },
+      overtimePremium: { type: Number, default: 0 },
+      holidayPremium: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+
+    // 🗓️ Start of the current pay period (moved forward when a payroll run is approved)
+    periodStart: { type: Date, default: Date.now },
+
     notes: { type: String, trim: true },
 
+    // 🔗 Staff login for self-service (GET /api/employees/me)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
     createdBy: { type: String, required: true, trim: true }, // admin email
   },
   { timestamps: true }
 );
 
+// 🔒 A user account belongs to at most one employee record
+employeeSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: "objectId" } } }
+);
+
 /* ==========================================================
    🧮 Auto-calculate salary before save
+   (pay rules: shift, overtime and holiday multipliers)
    ========================================================== */
-employeeSchema.pre("save", function (next) {
-  if (this.isModified("hourlyRate") || this.isModified("hoursWorked")) {
-    const rate = this.hourlyRate || 0;
-    const hours = this.hoursWorked || 0;
-    this.salary = rate * hours;
+const PAY_FIELDS = ["hourlyRate", "hoursWorked", "overtimeHours", "holidayHours", "shiftHours", "shift"];
+
+employeeSchema.methods.applyPayRules = function (rules) {
+  const breakdown = computePay(this, rules);
+  this.payBreakdown = breakdown;
+  this.salary = breakdown.total;
+  return breakdown;
+};
+
+employeeSchema.pre("save", async function () {
+  if (PAY_FIELDS.some((field) => this.isModified(field))) {
+    this.applyPayRules(await getPayRules());
   }
-  next();
 });
 
 /* ==========================================================
    🧮 Auto-update salary before updateOne / findOneAndUpdate
-   (useful for PATCH operations)
+   (useful for PATCH operations) — fields missing from the
+   update are taken from the stored document
    ========================================================== */
-employeeSchema.pre(["updateOne", "findOneAndUpdate"], function (next) {
+employeeSchema.pre(["updateOne", "findOneAndUpdate"], async function () {
   const update = this.getUpdate();
-  if (update.hourlyRate !== undefined || update.hoursWorked !== undefined) {
-    const rate = update.hourlyRate ?? this._update.hourlyRate ?? 0;
-    const hours = update.hoursWorked ?? this._update.hoursWorked ?? 0;
-    update.salary = rate * hours;
-    this.setUpdate(update);
-  }
-  next();
+  const changes = { ...update, ...(update.$set || {}) };
+  if (!PAY_FIELDS.some((field) => changes[field] !== undefined)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select(PAY_FIELDS.join(" ")).lean();
+  if (!current) return;
+
+  const merged = { ...current };
+  for (const field of PAY_FIELDS) if (changes[field] !== undefined) merged[field] = changes[field];
+
+  const breakdown = computePay(merged, await getPayRules());
+  const target = update.$set || update;
+  target.salary = breakdown.total;
+  target.payBreakdown = breakdown;
+  this.setUpdate(update);
 });
 
 const Employee = mongoose.model("Employee", employeeSchema);
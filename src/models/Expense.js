@@ -1,10 +1,69 @@
 import mongoose from "mongoose";
+import { EXPENSE_CATEGORIES, EXPENSE_REVISION_FIELDS, EXPENSE_STATUS } from "../constants/expenses.js";
+
+/* ==========================================================
+   🕒 Revision — one per edit: what changed, by whom, when
+   ========================================================== */
+const revisionSchema = new mongoose.Schema(
+  {
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          from: { type: mongoose.Schema.Types.Mixed, default: null },
+          to: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+      ],
+      default: [],
+    },
+    changedBy: {
+      type: String, // email of the user who made the change
+      trim: true,
+      default: "",
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/* ==========================================================
+   📎 Attachment — a receipt file kept in file storage
+   ========================================================== */
+const attachmentSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // storage key, never sent to clients
+  originalName: { type: String, trim: true, default: "" },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true, min: 0 },
+  uploadedBy: { type: String, trim: true, default: "" },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+attachmentSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.key;
+    return ret;
+  },
+});
 
 const expenseSchema = new mongoose.Schema(
   {
     category: {
       type: String,
-      enum: ["Daily", "Weekly", "Monthly"],
+      enum: EXPENSE_CATEGORIES,
       required: true,
       default: "Daily", // ✅ ensures consistent default
     },
@@ -23,16 +82,48 @@ const expenseSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    /* 🏷️ Free-form cost centre tag (e.g. "Production", "Office") — budgets can target it */
+    costCentre: {
+      type: String,
+      trim: true,
+      default: "",
+    },
     date: {
       type: Date,
       default: Date.now,
     },
+    /* 🔗 Optional: the stock receipt (purchase) this expense paid for */
+    stockReceipt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+      default: null,
+    },
+    /* 🔁 Set when generated from a recurring expense — one expense per occurrence */
+    recurringExpense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringExpense",
+      default: null,
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
     createdBy: {
       type: String, // admin email or ID
       required: true,
       trim: true,
     },
 
+    /* 💳 Approval — expenses above the creator's limit start as pending */
+    status: {
+      type: String,
+      enum: Object.values(EXPENSE_STATUS),
+      default: EXPENSE_STATUS.APPROVED,
+    },
+    reviewedBy: { type: String, trim: true, default: "" },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, default: "" }, // approval note or rejection reason
+
     /* ✅ Improvement: track soft-deletes for future restore */
     isDeleted: {
       type: Boolean,
@@ -45,8 +136,29 @@ const expenseSchema = new mongoose.Schema(
       default: "",
       trim: true,
     },
+
+    /* 📎 Receipts and other proof of purchase */
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+
+    /* 🕒 Edit history — revision 0 is the expense as first entered */
+    revisions: {
+      type: [revisionSchema],
+      default: [],
+    },
   },
-  { timestamps: true }
+  // 🔒 Every save is conditional on the version it was loaded at, so two
+  // concurrent edits can't both push revision N from the same stale values
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+expenseSchema.index({ status: 1, date: -1 });
+// 🔒 A restart or a second instance can never post the same occurrence twice
+expenseSchema.index(
+  { recurringExpense: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $type: "objectId" } } }
 );
 
 /* ✅ Helper: hide deleted expenses automatically when fetching */
@@ -57,6 +169,50 @@ expenseSchema.pre(/^find/, function (next) {
   next();
 });
 
+/* ==========================================================
+   ✏️ Revision helpers
+   ========================================================== */
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const revisionValues = (expense) =>
+  Object.fromEntries(EXPENSE_REVISION_FIELDS.map((field) => [field, expense.get(field) ?? null]));
+
+/* Apply field updates and record them as a new revision.
+   Returns the changes made (empty when nothing differed). */
+expenseSchema.methods.applyRevision = function (updates, changedBy = "", note = "") {
+  const changes = [];
+  for (const field of EXPENSE_REVISION_FIELDS) {
+    if (updates[field] === undefined) continue;
+    const from = this.get(field) ?? null;
+    this.set(field, updates[field]);
+    const to = this.get(field) ?? null; // after casting
+    if (!sameValue(from, to)) changes.push({ field, from, to });
+  }
+
+  if (changes.length > 0) {
+    this.revisions.push({ revision: this.revisions.length + 1, changes, changedBy, note });
+  }
+  return changes;
+};
+
+/* Field values as they stood right after a revision (0 = original) */
+expenseSchema.methods.valuesAtRevision = function (revision) {
+  const values = revisionValues(this);
+  for (let i = this.revisions.length - 1; i >= revision; i--) {
+    for (const { field, from } of this.revisions[i].changes) values[field] = from;
+  }
+  return values;
+};
+
+/* Every revision with the full values it produced, oldest first */
+expenseSchema.methods.revisionHistory = function () {
+  const original = { revision: 0, changes: [], changedBy: this.createdBy, note: "Created", changedAt: this.createdAt };
+  return [original, ...this.revisions.map((entry) => entry.toObject())].map((entry) => ({
+    ...entry,
+    values: this.valuesAtRevision(entry.revision),
+  }));
+};
+
 /* ✅ Virtual field: formatted date for UI */
 expenseSchema.virtual("formattedDate").get(function () {
   return this.date ? this.date.toISOString().split("T")[0] : "";
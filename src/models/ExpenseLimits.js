@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { EXPENSE_CATEGORIES, LIMITED_ROLES, DEFAULT_EXPENSE_LIMITS } from "../constants/expenses.js";
+
+/* ==========================================================
+   💳 Expense Approval Limits — a single settings document
+   (key: "default"). null = no limit; a null category limit
+   falls back to the role's limit.
+   ========================================================== */
+const roleLimitSchema = new mongoose.Schema(
+  {
+    limit: { type: Number, min: 0, default: null },
+    categories: Object.fromEntries(
+      EXPENSE_CATEGORIES.map((category) => [category, { type: Number, min: 0, default: null }])
+    ),
+  },
+  { _id: false }
+);
+
+const expenseLimitsSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+
+    roles: Object.fromEntries(
+      LIMITED_ROLES.map((role) => [role, { type: roleLimitSchema, default: () => DEFAULT_EXPENSE_LIMITS[role] }])
+    ),
+
+    updatedBy: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ExpenseLimits", expenseLimitsSchema);
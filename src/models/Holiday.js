@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+/* ==========================================================
+   🎉 Holiday — a calendar day paid at the holiday rate
+   ========================================================== */
+const holidaySchema = new mongoose.Schema(
+  {
+    date: {
+      type: String, // YYYY-MM-DD
+      required: true,
+      unique: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    name: { type: String, required: true, trim: true },
+    createdBy: { type: String, required: true, trim: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Holiday", holidaySchema);
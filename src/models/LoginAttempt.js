@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+/* ==========================================================
+   🧱 Login Attempt — failed-login counter for one account
+   ("account:<email>") or one client ("ip:<address>")
+   ========================================================== */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    nextAttemptAt: { type: Date, default: null }, // progressive delay
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// 🧹 Counters disappear once nothing about them matters any more
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
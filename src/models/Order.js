@@ -1,4 +1,61 @@
 import mongoose from "mongoose";
+import { ORDER_STATUS, ORDER_TRANSITIONS } from "../constants/orders.js";
+import { computeOrderTotals } from "../utils/orderPricing.js";
+
+/* ==========================================================
+   🕒 Status History Entry — one per status change
+   ========================================================== */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(ORDER_STATUS),
+      required: true,
+    },
+    changedBy: {
+      type: String, // email of the user who made the change
+      trim: true,
+      lowercase: true,
+      default: "",
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/* ==========================================================
+   📦 Line Item — one product per line, priced by the server
+   ========================================================== */
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    default: null,
+  },
+  product: {
+    type: String, // display name of the product
+    required: true,
+    trim: true,
+  },
+  unitPrice: { type: Number, default: 0, min: 0 },
+  quantity: { type: Number, required: true, min: 1 },
+  discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+  taxPercent: { type: Number, default: 0, min: 0 },
+
+  // ✅ computed in pre("validate")
+  lineSubtotal: { type: Number, default: 0 },
+  lineDiscount: { type: Number, default: 0 },
+  lineTax: { type: Number, default: 0 },
+  lineTotal: { type: Number, default: 0 },
+});
 
 const orderSchema = new mongoose.Schema(
   {
@@ -7,6 +64,22 @@ const orderSchema = new mongoose.Schema(
       required: true,
       lowercase: true,
     },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    items: {
+      type: [orderItemSchema],
+      default: [],
+    },
+
+    // 🧾 Summary fields — derived from items when present
     product: {
       type: String,
       required: true,
@@ -16,14 +89,85 @@ const orderSchema = new mongoose.Schema(
       required: true,
       min: 1,
     },
+
+    // 💵 Totals — always computed server-side from items
+    subtotal: { type: Number, default: 0 },
+    discountTotal: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 },
+
+    notes: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // 📦 Set once catalog stock has been taken out for this order
+    stockDeducted: {
+      type: Boolean,
+      default: false,
+    },
+
     status: {
       type: String,
-      enum: ["Pending", "Processing", "Completed"],
-      default: "Pending",
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.PENDING,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
     },
   },
   { timestamps: true }
 );
 
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ customerEmail: 1, createdAt: -1 });
+
+/* ==========================================================
+   🧮 Price lines and compute totals before validation
+   ========================================================== */
+orderSchema.pre("validate", function (next) {
+  if (this.items && this.items.length > 0) {
+    Object.assign(this, computeOrderTotals(this.items));
+    this.product = this.items.map((item) => item.product).join(", ");
+    this.quantity = this.items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+  }
+  next();
+});
+
+/* ==========================================================
+   🧾 Record the initial status for new orders
+   ========================================================== */
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.customerEmail,
+      note: "Order placed",
+    });
+  }
+  next();
+});
+
+/* ==========================================================
+   🚦 Status transition helpers
+   ========================================================== */
+orderSchema.methods.canTransitionTo = function (nextStatus) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+orderSchema.methods.transitionTo = function (nextStatus, changedBy = "", note = "") {
+  if (!this.canTransitionTo(nextStatus)) {
+    const err = new Error(`Cannot move order from ${this.status} to ${nextStatus}`);
+    err.status = 409;
+    throw err;
+  }
+
+  this.status = nextStatus;
+  this.statusHistory.push({ status: nextStatus, changedBy, note });
+  return this;
+};
+
 const Order = mongoose.model("Order", orderSchema);
 export default Order;
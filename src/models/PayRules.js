@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { SHIFTS, DEFAULT_PAY_RULES } from "../constants/shifts.js";
+
+/* ==========================================================
+   💰 Pay Rules — a single settings document (key: "default")
+   ========================================================== */
+const shiftRuleSchema = new mongoose.Schema(
+  {
+    standardHours: { type: Number, required: true, min: 0 },
+    payMultiplier: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+const payRulesSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+
+    shifts: Object.fromEntries(
+      SHIFTS.map((shift) => [shift, { type: shiftRuleSchema, default: () => DEFAULT_PAY_RULES.shifts[shift] }])
+    ),
+
+    overtime: {
+      weeklyThreshold: { type: Number, min: 0, default: DEFAULT_PAY_RULES.overtime.weeklyThreshold },
+      multiplier: { type: Number, min: 1, default: DEFAULT_PAY_RULES.overtime.multiplier },
+    },
+    holiday: {
+      multiplier: { type: Number, min: 1, default: DEFAULT_PAY_RULES.holiday.multiplier },
+    },
+
+    updatedBy: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PayRules", payRulesSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+export const PAYROLL_STATUS = {
+  DRAFT: "draft",
+  REFRESHING: "refreshing", // lines being (re)built — back to draft when done
+  APPROVING: "approving", // closing employee periods — an approve retry finishes it
+  APPROVED: "approved",
+  PAID: "paid",
+};
+
+/* Allowed next statuses for each current status */
+export const PAYROLL_TRANSITIONS = {
+  [PAYROLL_STATUS.DRAFT]: [PAYROLL_STATUS.REFRESHING, PAYROLL_STATUS.APPROVING],
+  [PAYROLL_STATUS.REFRESHING]: [PAYROLL_STATUS.DRAFT],
+  [PAYROLL_STATUS.APPROVING]: [PAYROLL_STATUS.APPROVED],
+  [PAYROLL_STATUS.APPROVED]: [PAYROLL_STATUS.PAID],
+  [PAYROLL_STATUS.PAID]: [],
+};
+
+/* ==========================================================
+   🧾 Payroll Run — one pay period; its lines are Salary docs
+   ========================================================== */
+const payrollRunSchema = new mongoose.Schema(
+  {
+    period: {
+      type: String, // YYYY-MM
+      required: true,
+      unique: true,
+      match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: Object.values(PAYROLL_STATUS),
+      default: PAYROLL_STATUS.DRAFT,
+    },
+
+    // 💵 Totals across all lines — refreshed whenever a line changes
+    totals: {
+      employees: { type: Number, default: 0 },
+      hours: { type: Number, default: 0 },
+      basePay: { type: Number, default: 0 },
+      bonuses: { type: Number, default: 0 },
+      deductions: { type: Number, default: 0 },
+      netPay: { type: Number, default: 0 },
+    },
+
+    notes: { type: String, trim: true, default: "" },
+
+    createdBy: { type: String, required: true, trim: true }, // email
+    approvedBy: { type: String, trim: true, default: "" },
+    approvedAt: { type: Date, default: null },
+    paidBy: { type: String, trim: true, default: "" },
+    paidAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+payrollRunSchema.methods.canTransitionTo = function (nextStatus) {
+  return (PAYROLL_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+export default mongoose.model("PayrollRun", payrollRunSchema);
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { PRODUCT_KINDS } from "../constants/inventory.js";
+
+const productSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    kind: {
+      type: String,
+      enum: Object.values(PRODUCT_KINDS),
+      default: PRODUCT_KINDS.FINISHED,
+    },
+    unit: {
+      type: String, // e.g. bag, kg, roll, piece
+      required: true,
+      lowercase: true,
+      trim: true,
+      default: "bag",
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0,
+    },
+    // 📒 Cached balance — only changed through the stock movement ledger
+    stockOnHand: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reorderLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String, // admin / manager email
+      required: true,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+/* ==========================================================
+   📉 Low stock — active products at or below reorder level
+   ========================================================== */
+productSchema.statics.lowStockFilter = function () {
+  return {
+    isActive: true,
+    $expr: { $lte: ["$stockOnHand", "$reorderLevel"] },
+  };
+};
+
+productSchema.statics.findLowStock = function () {
+  return this.find(this.lowStockFilter()).sort({ stockOnHand: 1 });
+};
+
+productSchema.virtual("isLowStock").get(function () {
+  return this.stockOnHand <= this.reorderLevel;
+});
+
+productSchema.set("toJSON", { virtuals: true });
+
+const Product = mongoose.model("Product", productSchema);
+export default Product;
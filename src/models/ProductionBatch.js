@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { SHIFTS } from "../constants/shifts.js";
+
+export const BATCH_STATUS = {
+  PLANNED: "planned",
+  IN_PROGRESS: "in-progress",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+/* ==========================================================
+   🧪 Raw material consumed by a batch
+   ========================================================== */
+const batchMaterialSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/* ==========================================================
+   🏭 Production Batch — one production run / work order
+   ========================================================== */
+const productionBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // 📦 Finished good being produced
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    plannedQuantity: { type: Number, required: true, min: 1 },
+    actualOutput: { type: Number, default: 0, min: 0 },
+    scrap: { type: Number, default: 0, min: 0 },
+
+    shift: {
+      type: String,
+      enum: SHIFTS,
+      required: true,
+      default: "Morning",
+    },
+    machine: { type: String, trim: true, default: "" },
+    employees: [{ type: mongoose.Schema.Types.ObjectId, ref: "Employee" }],
+
+    materials: { type: [batchMaterialSchema], default: [] },
+
+    // 🔗 Orders this batch is produced for
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+
+    status: {
+      type: String,
+      enum: Object.values(BATCH_STATUS),
+      default: BATCH_STATUS.PLANNED,
+    },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+
+    notes: { type: String, trim: true, default: "" },
+    createdBy: { type: String, required: true, trim: true }, // admin / manager email
+  },
+  { timestamps: true }
+);
+
+productionBatchSchema.index({ status: 1, finishedAt: -1 });
+productionBatchSchema.index({ orders: 1 });
+
+/* ✅ Virtual: share of produced units that were scrapped */
+productionBatchSchema.virtual("scrapRate").get(function () {
+  const total = (this.actualOutput || 0) + (this.scrap || 0);
+  return total > 0 ? Math.round((this.scrap / total) * 10000) / 100 : 0;
+});
+
+productionBatchSchema.set("toJSON", { virtuals: true });
+
+const ProductionBatch = mongoose.model("ProductionBatch", productionBatchSchema);
+export default ProductionBatch;
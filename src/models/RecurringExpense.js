@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { EXPENSE_CATEGORIES, RECURRING_FREQUENCIES, RECURRING_STATUS } from "../constants/expenses.js";
+
+/* ==========================================================
+   🔁 Recurring Expense — a template plus its schedule
+   Occurrence dates are UTC midnights. nextRunAt is the next
+   occurrence not yet generated (null once the schedule ends).
+   ========================================================== */
+const recurringExpenseSchema = new mongoose.Schema(
+  {
+    // 🧾 What each generated expense looks like
+    title: { type: String, required: true, trim: true },
+    category: { type: String, enum: EXPENSE_CATEGORIES, default: "Monthly" },
+    amount: { type: Number, required: true, min: 0 },
+    description: { type: String, trim: true, default: "" },
+    costCentre: { type: String, trim: true, default: "" },
+
+    // 📅 When
+    frequency: {
+      type: String,
+      enum: Object.values(RECURRING_FREQUENCIES),
+      required: true,
+    },
+    interval: { type: Number, min: 1, max: 52, default: 1 },
+    dayOfWeek: { type: Number, min: 0, max: 6, default: null }, // weekly
+    dayOfMonth: { type: Number, min: 1, max: 31, default: null }, // monthly
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    skipDates: { type: [String], default: [] }, // YYYY-MM-DD occurrences not to generate
+
+    status: {
+      type: String,
+      enum: Object.values(RECURRING_STATUS),
+      default: RECURRING_STATUS.ACTIVE,
+    },
+    nextRunAt: { type: Date, default: null },
+    lastOccurrenceAt: { type: Date, default: null },
+    generatedCount: { type: Number, default: 0 },
+
+    createdBy: { type: String, required: true, trim: true }, // email
+    // 💳 Approval limits apply as for this role, or the owner's current role if stricter
+    createdByRole: { type: String, required: true },
+    updatedBy: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+recurringExpenseSchema.index({ status: 1, nextRunAt: 1 });
+
+recurringExpenseSchema.pre("validate", function (next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "End date must be on or after the start date");
+  }
+  next();
+});
+
+export default mongoose.model("RecurringExpense", recurringExpenseSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+/* ==========================================================
+   🔁 Refresh Token — one login session
+   ----------------------------------------------------------
+   Only a SHA-256 hash of the token is stored. Each refresh
+   revokes the presented token and issues the next one in the
+   same family; presenting a revoked token again means it was
+   stolen, so the whole family is revoked.
+   ========================================================== */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, trim: true, default: "" },
+    replacedBy: { type: String, default: null }, // hash of the token that replaced this one
+
+    createdByIp: { type: String, trim: true, default: "" },
+    userAgent: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+// 🧹 MongoDB removes sessions a day after they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
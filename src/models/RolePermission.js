@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+import { ALL_PERMISSIONS, EDITABLE_ROLES } from "../constants/permissions.js";
+
+/* ==========================================================
+   🔐 Role Permissions — one document per customised role.
+   Roles without a document use DEFAULT_ROLE_PERMISSIONS.
+   ========================================================== */
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: EDITABLE_ROLES, required: true, unique: true },
+    permissions: [{ type: String, enum: ALL_PERMISSIONS }],
+    updatedBy: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("RolePermission", rolePermissionSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+export const SECURITY_EVENT_TYPES = {
+  ACCOUNT_LOCKED: "account-locked",
+  IP_LOCKED: "ip-locked",
+  UNLOCKED: "unlocked",
+};
+
+/* ==========================================================
+   🛡️ Security Event — append-only record of lockouts/unlocks
+   ========================================================== */
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(SECURITY_EVENT_TYPES),
+      required: true,
+      immutable: true,
+    },
+    email: { type: String, lowercase: true, trim: true, default: "", immutable: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    ip: { type: String, trim: true, default: "", immutable: true },
+    userAgent: { type: String, trim: true, default: "", immutable: true },
+    failures: { type: Number, default: 0, immutable: true },
+    lockedUntil: { type: Date, default: null, immutable: true },
+    actor: { type: String, trim: true, default: "", immutable: true }, // admin email for unlocks
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+
+/* ==========================================================
+   🔒 Events are append-only
+   ========================================================== */
+const immutableError = () => new Error("Security events are append-only");
+
+securityEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+securityEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(immutableError());
+  }
+);
+
+securityEventSchema.pre("deleteOne", { document: true, query: false }, function (next) {
+  next(immutableError());
+});
+
+export default mongoose.model("SecurityEvent", securityEventSchema);
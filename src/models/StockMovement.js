@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import { MOVEMENT_TYPES } from "../constants/inventory.js";
+
+/* ==========================================================
+   📒 Stock Movement — one immutable ledger entry
+   ----------------------------------------------------------
+   `delta` is the signed change to stock on hand; the sum of
+   all deltas for a product is its balance.
+   ========================================================== */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      immutable: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(MOVEMENT_TYPES),
+      required: true,
+      immutable: true,
+    },
+    quantity: {
+      type: Number, // always positive
+      required: true,
+      min: 0,
+      immutable: true,
+    },
+    delta: {
+      type: Number, // signed change applied to stock on hand
+      required: true,
+      immutable: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+
+    // 💵 Purchase details (receipts)
+    unitCost: { type: Number, min: 0, default: 0, immutable: true },
+    totalCost: { type: Number, min: 0, default: 0, immutable: true },
+    supplier: { type: String, trim: true, default: "", immutable: true },
+
+    // 🔗 What this movement relates to
+    reference: { type: String, trim: true, default: "", immutable: true }, // invoice / delivery note no.
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      immutable: true,
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProductionBatch",
+      default: null,
+      immutable: true,
+    },
+    note: { type: String, trim: true, default: "", immutable: true },
+
+    // 📅 When the stock actually moved (may differ from createdAt)
+    date: { type: Date, default: Date.now, immutable: true },
+
+    // 🧑‍💼 Audit stamp from the JWT of whoever recorded it
+    createdBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      email: { type: String, required: true, trim: true, lowercase: true },
+      role: { type: String, trim: true, default: "" },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ product: 1, date: 1 });
+stockMovementSchema.index({ type: 1, date: -1 });
+
+/* ==========================================================
+   🔒 Ledger entries are append-only
+   ========================================================== */
+const immutableError = () => new Error("Stock movements are immutable; record an adjustment instead");
+
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  function (next) {
+    next(immutableError());
+  }
+);
+
+stockMovementSchema.pre("deleteOne", { document: true, query: false }, function (next) {
+  next(immutableError());
+});
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+export default StockMovement;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { SHIFTS } from "../constants/shifts.js";
+import { splitShiftHours } from "../utils/payCalculator.js";
+import { getPayRules } from "../utils/payRules.js";
+
+export const TIMESHEET_STATUS = {
+  OPEN: "open", // clocked in, not yet clocked out
+  PENDING: "pending", // waiting for manager approval
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/* ==========================================================
+   ⏱️ Timesheet Entry — one clock-in / clock-out per shift
+   ========================================================== */
+const timesheetSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    shift: {
+      type: String,
+      enum: SHIFTS,
+      required: true,
+    },
+
+    clockIn: { type: Date, required: true },
+    clockOut: { type: Date, default: null },
+    breakMinutes: { type: Number, default: 0, min: 0 },
+
+    // ✅ computed in pre("validate") once clocked out
+    hours: { type: Number, default: 0 },
+    regularHours: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: Object.values(TIMESHEET_STATUS),
+      default: TIMESHEET_STATUS.OPEN,
+    },
+    reviewedBy: { type: String, trim: true, default: "" },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, trim: true, default: "" },
+
+    notes: { type: String, trim: true, default: "" },
+    createdBy: { type: String, required: true, trim: true }, // email
+  },
+  { timestamps: true }
+);
+
+timesheetSchema.index({ employee: 1, clockIn: -1 });
+timesheetSchema.index({ status: 1, clockIn: -1 });
+
+/* ==========================================================
+   🧮 Worked hours, split into regular and overtime by the
+   shift's standard hours (see pay rules)
+   ========================================================== */
+timesheetSchema.pre("validate", async function () {
+  if (!this.clockOut) {
+    this.hours = 0;
+    this.regularHours = 0;
+    this.overtimeHours = 0;
+    return;
+  }
+
+  if (this.clockOut <= this.clockIn) {
+    this.invalidate("clockOut", "Clock-out must be after clock-in");
+    return;
+  }
+
+  const worked = (this.clockOut - this.clockIn) / 3600000 - (this.breakMinutes || 0) / 60;
+  this.hours = Math.max(Math.round(worked * 100) / 100, 0);
+  Object.assign(this, splitShiftHours(this.hours, this.shift, await getPayRules()));
+
+  if (this.status === TIMESHEET_STATUS.OPEN) this.status = TIMESHEET_STATUS.PENDING;
+});
+
+const Timesheet = mongoose.model("Timesheet", timesheetSchema);
+export default Timesheet;
@@ -34,6 +34,38 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // ✉️ Self-registered customers confirm their email; accounts
+    // created by staff (and existing accounts) count as verified
+    emailVerified: {
+      type: Boolean,
+      default: true,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // 🔐 TOTP two-factor authentication — secrets are encrypted
+    // and recovery codes hashed; none are returned by default
+    mfa: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false }, // during enrollment
+      recoveryCodes: { type: [String], default: undefined, select: false },
+      lastUsedStep: { type: Number, default: 0, select: false }, // blocks code replay
+      enabledAt: { type: Date, default: null },
+    },
+
+    // 🔑 Bumped to revoke every access token issued so far ("log out all sessions")
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -46,6 +78,12 @@ UserSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next();
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // 🔑 A new password invalidates tokens issued with the old one
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
     next();
   } catch (err) {
     console.error("❌ Error hashing password:", err);
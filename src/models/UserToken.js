@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const USER_TOKEN_PURPOSE = {
+  PASSWORD_RESET: "password-reset",
+  EMAIL_VERIFICATION: "email-verification",
+};
+
+/* ==========================================================
+   ✉️ User Token — single-use link token sent by email
+   Only a SHA-256 hash is stored; usedAt marks it spent.
+   ========================================================== */
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: Object.values(USER_TOKEN_PURPOSE),
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+// 🧹 MongoDB removes tokens a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+export default mongoose.model("UserToken", userTokenSchema);
@@ -1,5 +1,29 @@
 import mongoose from "mongoose";
 
+export const SALARY_STATUS = {
+  DRAFT: "draft", // editable by the manager who owns it
+  SUBMITTED: "submitted", // waiting for admin approval
+  APPROVED: "approved", // final — counts in reports
+  REJECTED: "rejected", // back with the manager to fix and resubmit
+};
+
+/* Allowed next statuses for each current status */
+export const SALARY_TRANSITIONS = {
+  [SALARY_STATUS.DRAFT]: [SALARY_STATUS.SUBMITTED],
+  [SALARY_STATUS.SUBMITTED]: [SALARY_STATUS.APPROVED, SALARY_STATUS.REJECTED],
+  [SALARY_STATUS.REJECTED]: [SALARY_STATUS.SUBMITTED],
+  [SALARY_STATUS.APPROVED]: [],
+};
+
+/* 💵 Bonus or deduction on a payroll line */
+const payAdjustmentSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
 const salarySchema = new mongoose.Schema(
   {
     // 🧩 Manager who created the record (linked from JWT)
@@ -17,8 +41,96 @@ const salarySchema = new mongoose.Schema(
     month: { type: String, required: true },
     date: { type: String, default: () => new Date().toISOString() },
     contact: { type: String }, // ✅ optional new field
+
+    // ✅ Approval workflow: draft → submitted → approved (or rejected → resubmitted)
+    status: {
+      type: String,
+      enum: Object.values(SALARY_STATUS),
+      default: SALARY_STATUS.DRAFT,
+    },
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: String, trim: true, default: "" }, // admin email
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, trim: true, default: "" },
+
+    /* ======================================================
+       🧾 Payroll run line fields (only set on run lines)
+       ====================================================== */
+    payrollRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayrollRun",
+      default: null,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      default: null,
+    },
+    hoursWorked: { type: Number, min: 0 }, // snapshot from Employee
+    overtimeHours: { type: Number, min: 0 }, // snapshot from Employee (part of hoursWorked)
+    holidayHours: { type: Number, min: 0 }, // snapshot from Employee (part of hoursWorked)
+    shiftHours: { type: Map, of: Number, default: undefined }, // snapshot from Employee
+    hourlyRate: { type: Number, min: 0 }, // snapshot from Employee
+    basePay: { type: Number, min: 0 }, // snapshot of Employee.salary
+    payComponents: {
+      type: new mongoose.Schema(
+        {
+          base: Number,
+          shiftPremium: Number,
+          overtimePremium: Number,
+          holidayPremium: Number,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    }, // snapshot of Employee.payBreakdown (sums to basePay)
+    bonuses: { type: [payAdjustmentSchema], default: undefined },
+    deductions: { type: [payAdjustmentSchema], default: undefined },
+    grossPay: { type: Number },
+    netPay: { type: Number },
+    closedAt: { type: Date, default: null }, // set once run approval has reset the employee's period
   },
   { timestamps: true }
 );
 
+// 🔒 One line per employee per payroll run
+salarySchema.index(
+  { payrollRun: 1, employeeId: 1 },
+  { unique: true, partialFilterExpression: { payrollRun: { $type: "objectId" } } }
+);
+
+salarySchema.index({ managerId: 1, createdAt: -1 });
+salarySchema.index({ status: 1 });
+
+salarySchema.methods.canTransitionTo = function (nextStatus) {
+  return (SALARY_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+/* Draft and rejected records can still be changed by their manager */
+salarySchema.virtual("isEditable").get(function () {
+  return [SALARY_STATUS.DRAFT, SALARY_STATUS.REJECTED].includes(this.status);
+});
+
+/* Records that count as final pay. Records saved before the
+   approval step existed have no status and stay counted. */
+salarySchema.statics.finalFilter = function () {
+  return { status: { $nin: [SALARY_STATUS.DRAFT, SALARY_STATUS.SUBMITTED, SALARY_STATUS.REJECTED] } };
+};
+
+/* ==========================================================
+   🧮 Payroll lines: gross = base + bonuses, net = gross - deductions
+   The stored `salary` of a run line is always its net pay.
+   ========================================================== */
+salarySchema.pre("validate", function (next) {
+  if (this.basePay !== undefined && this.basePay !== null) {
+    const sum = (list = []) => list.reduce((total, item) => total + (Number(item.amount) || 0), 0);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    this.grossPay = round(this.basePay + sum(this.bonuses));
+    this.netPay = round(Math.max(this.grossPay - sum(this.deductions), 0));
+    this.salary = this.netPay;
+  }
+  next();
+});
+
 export default mongoose.model("Salary", salarySchema);
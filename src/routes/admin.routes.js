@@ -1,21 +1,143 @@
 // src/routes/admin.routes.js
 import express from "express";
-import { getAdminStats } from "../controllers/admin.controller.js";
+import { body, param, query, validationResult } from "express-validator";
+import { getAdminStats, getDashboard } from "../controllers/admin.controller.js";
+import { listSecurityEvents, unlockAccount } from "../controllers/security.controller.js";
+import { listAuditLogs } from "../controllers/audit.controller.js";
+import {
+  getPermissionMatrix,
+  updateRolePermissions,
+  resetRolePermissions,
+} from "../controllers/permission.controller.js";
 import { verifyToken } from "../middleware/auth.js";
-import { requireRole } from "../middleware/requireRole.js"; // ✅ fixed to named import
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS, ALL_PERMISSIONS, EDITABLE_ROLES } from "../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 
 const router = express.Router();
 
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
 /**
  * @route   GET /api/admin/stats
  * @desc    Fetch admin stats (protected)
- * @access  Private (Admin, Manager)
+ * @access  Private (dashboard:view)
  */
 router.get(
   "/stats",
   verifyToken,
-  requireRole(["admin", "manager"]),
+  requirePermission(PERMISSIONS.DASHBOARD_VIEW),
   getAdminStats
 );
 
+/**
+ * @route   GET /api/admin/dashboard?from=&to=
+ * @desc    Consolidated dashboard: orders, revenue, expenses, payroll,
+ *          tasks, users and production for a date range
+ * @access  Private (dashboard:view)
+ */
+router.get(
+  "/dashboard",
+  verifyToken,
+  requirePermission(PERMISSIONS.DASHBOARD_VIEW),
+  getDashboard
+);
+
+/**
+ * @route   GET /api/admin/security-events?type=&email=&ip=&limit=
+ * @desc    Login lockouts and unlocks, newest first
+ * @access  Private (security:view)
+ */
+router.get("/security-events", verifyToken, requirePermission(PERMISSIONS.SECURITY_VIEW), listSecurityEvents);
+
+/**
+ * @route   POST /api/admin/unlock-login
+ * @desc    Clear failed-login counters and locks for an email and/or IP
+ * @access  Private (security:unlock)
+ */
+router.post(
+  "/unlock-login",
+  verifyToken,
+  requirePermission(PERMISSIONS.SECURITY_UNLOCK),
+  [
+    body("email").optional().isEmail().withMessage("Valid email is required"),
+    body("ip").optional().isIP().withMessage("Valid IP address is required"),
+    body().custom((value) => Boolean(value?.email || value?.ip)).withMessage("Provide an email or an IP"),
+  ],
+  validate,
+  unlockAccount
+);
+
+/**
+ * @route   GET /api/admin/audit?action=&model=&targetId=&actor=&from=&to=&page=&limit=&format=csv
+ * @desc    Audit trail of changes and logins, newest first (CSV with format=csv)
+ * @access  Private (audit:view)
+ */
+router.get(
+  "/audit",
+  verifyToken,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  [
+    query("action")
+      .optional()
+      .custom((value) => String(value).split(",").every((action) => Object.values(AUDIT_ACTIONS).includes(action)))
+      .withMessage(`Action must be one of: ${Object.values(AUDIT_ACTIONS).join(", ")}`),
+    query("format").optional().isIn(["json", "csv"]).withMessage("Format must be json or csv"),
+  ],
+  validate,
+  listAuditLogs
+);
+
+const roleParam = param("role")
+  .isIn(EDITABLE_ROLES)
+  .withMessage(`Role must be one of: ${EDITABLE_ROLES.join(", ")}`);
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Permission catalogue, defaults and the current role matrix
+ * @access  Private (permissions:manage)
+ */
+router.get("/permissions", verifyToken, requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), getPermissionMatrix);
+
+/**
+ * @route   PUT /api/admin/permissions/:role
+ * @desc    Replace a role's permissions — Body: { permissions: [...] }
+ * @access  Private (permissions:manage)
+ */
+router.put(
+  "/permissions/:role",
+  verifyToken,
+  requirePermission(PERMISSIONS.PERMISSIONS_MANAGE),
+  [
+    roleParam,
+    body("permissions").isArray().withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .isIn(ALL_PERMISSIONS)
+      .withMessage((value) => `Unknown permission: ${value}`),
+  ],
+  validate,
+  updateRolePermissions
+);
+
+/**
+ * @route   DELETE /api/admin/permissions/:role
+ * @desc    Drop a role's customisation and go back to the defaults
+ * @access  Private (permissions:manage)
+ */
+router.delete(
+  "/permissions/:role",
+  verifyToken,
+  requirePermission(PERMISSIONS.PERMISSIONS_MANAGE),
+  [roleParam],
+  validate,
+  resetRolePermissions
+);
+
 export default router;
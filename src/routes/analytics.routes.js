@@ -0,0 +1,35 @@
+// src/routes/analytics.routes.js
+import express from "express";
+import {
+  getExpenseSeries,
+  getPayrollSeries,
+  getOrderSeries,
+} from "../controllers/analytics.controller.js";
+import { verifyToken } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/analytics/expenses?interval=&from=&to=&groupBy=category|costCentre
+ * @desc    Expense amounts bucketed by day, week or month
+ * @access  Private (Admin, Manager)
+ */
+router.get("/expenses", verifyToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getExpenseSeries);
+
+/**
+ * @route   GET /api/analytics/payroll?interval=&from=&to=&groupBy=position|shift
+ * @desc    Salary amounts bucketed by pay month
+ * @access  Private (Admin, Manager)
+ */
+router.get("/payroll", verifyToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getPayrollSeries);
+
+/**
+ * @route   GET /api/analytics/orders?interval=&from=&to=&groupBy=status&metric=count|value
+ * @desc    Order counts (or values) bucketed by creation date
+ * @access  Private (Admin, Manager)
+ */
+router.get("/orders", verifyToken, requirePermission(PERMISSIONS.ANALYTICS_VIEW), getOrderSeries);
+
+export default router;
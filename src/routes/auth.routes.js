@@ -1,22 +1,68 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import { body, validationResult } from "express-validator";
 import User from "../models/User.js";
 import { ROLES } from "../constants/roles.js";
+import { verifyToken } from "../middleware/auth.js";
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  revokeUserRefreshTokens,
+  signScopedToken,
+  verifyScopedToken,
+} from "../utils/tokens.js";
+import { mfaRequiredFor, loadUserWithMfa, verifySecondFactor } from "../utils/mfa.js";
+import { createUserToken, consumeUserToken, clientUrl } from "../utils/userTokens.js";
+import { USER_TOKEN_PURPOSE } from "../models/UserToken.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { checkLoginAllowed, registerLoginFailure, registerLoginSuccess } from "../utils/loginThrottle.js";
+import { recordAudit } from "../utils/audit.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 
 const router = express.Router();
 
-// ✅ Helper to create JWT token
-function signToken(user) {
-  return jwt.sign(
-    {
-      id: user._id,
-      role: user.role?.toLowerCase(), // ✅ normalize role
-      email: user.email,
-      fullName: user.fullName,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
+/* ----------------------------------------------------------
+   Unverified accounts: UNVERIFIED_LOGIN=allow (default) lets
+   them sign in; "block" refuses until the email is confirmed
+---------------------------------------------------------- */
+const blockUnverified = () => String(process.env.UNVERIFIED_LOGIN || "allow").toLowerCase() === "block";
+
+const userPayload = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role?.toLowerCase(), // ✅ normalize role before sending
+  emailVerified: user.emailVerified,
+});
+
+/* 🧱 429 for a throttled login attempt */
+const sendThrottled = (res, blocked) => {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res.status(429).json({
+    message: blocked.message,
+    code: blocked.reason === "locked" ? "LOGIN_LOCKED" : "LOGIN_SLOW_DOWN",
+    retryAfter: blocked.retryAfter,
+  });
+};
+
+/* 📜 Audit a sign-in attempt; `user` is null for unknown emails */
+const auditLogin = (req, action, user, summary) =>
+  recordAudit(req, {
+    action,
+    model: "User",
+    targetId: user?._id || "",
+    summary,
+    actor: user || { email: req.body.email },
+  });
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user, USER_TOKEN_PURPOSE.EMAIL_VERIFICATION);
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+  return sendEmail(
+    user.email,
+    "Confirm your email — Rabwah Factory",
+    `Hello ${user.fullName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`
   );
 }
 
@@ -45,12 +91,29 @@ router.post(
         email,
         password: req.body.password,
         role: ROLES.CUSTOMER,
+        emailVerified: false,
+      });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        model: "User",
+        after: user,
+        actor: user,
+        summary: "Customer sign-up",
       });
+      await sendVerificationEmail(user);
 
-      const token = signToken(user);
+      // ✉️ Sign in straight away unless unverified logins are blocked
+      if (blockUnverified()) {
+        return res.status(201).json({
+          message: "✅ Account created. Check your email to confirm your address before logging in.",
+          user: userPayload(user),
+        });
+      }
+
+      const session = await issueSession(user, req);
       res.status(201).json({
-        token,
-        user: { id: user._id, fullName: user.fullName, email: user.email, role: user.role },
+        ...session,
+        user: userPayload(user),
       });
     } catch (err) {
       res.status(500).json({ message: "Server error", error: err.message });
@@ -75,8 +138,20 @@ router.post(
     try {
       // ✅ Always lowercase email for consistent lookup
       const email = req.body.email.toLowerCase();
+
+      // 🧱 Refuse while the account or client is locked / cooling down
+      const blocked = await checkLoginAllowed(email, req.ip);
+      if (blocked) return sendThrottled(res, blocked);
+      const failed = async (user) => {
+        await registerLoginFailure({ email, ip: req.ip, userAgent: req.get("user-agent") || "", user });
+        await auditLogin(req, AUDIT_ACTIONS.LOGIN_FAILED, user, "Wrong email or password");
+      };
+
       const user = await User.findOne({ email });
-      if (!user) return res.status(401).json({ message: "Invalid credentials" });
+      if (!user) {
+        await failed(null);
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
 
       // 🛑 Added check — block login if user is deactivated
       if (!user.isActive) {
@@ -87,22 +162,298 @@ router.post(
       }
 
       const isMatch = await user.comparePassword(req.body.password);
-      if (!isMatch) return res.status(401).json({ message: "Invalid credentials" });
+      if (!isMatch) {
+        await failed(user);
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      if (!user.emailVerified && blockUnverified()) {
+        return res.status(403).json({
+          message: "✉️ Please confirm your email address before logging in.",
+          code: "EMAIL_NOT_VERIFIED",
+        });
+      }
+
+      // 🔐 Two-factor: enrolled users finish at POST /login/mfa
+      // (failed-attempt counters stay until the code is accepted)
+      if (user.mfa?.enabled) {
+        return res.json({
+          mfaRequired: true,
+          mfaToken: signScopedToken(user, "mfa"),
+          user: { id: user._id, email: user.email },
+        });
+      }
+      await registerLoginSuccess(email);
+
+      // 🔐 Admins and managers must enroll before getting a session
+      if (mfaRequiredFor(user)) {
+        return res.json({
+          mfaSetupRequired: true,
+          setupToken: signScopedToken(user, "mfa-setup", "15m"),
+          user: userPayload(user),
+        });
+      }
+
+      const session = await issueSession(user, req);
+      await auditLogin(req, AUDIT_ACTIONS.LOGIN, user, "Password login");
+      res.json({
+        ...session,
+        user: userPayload(user),
+      });
+    } catch (err) {
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🔐 LOGIN STEP 2 — two-factor code
+   POST /api/auth/login/mfa  { mfaToken, code } or { mfaToken, recoveryCode }
+   ========================================================== */
+router.post(
+  "/login/mfa",
+  [
+    body("mfaToken").isString().notEmpty().withMessage("mfaToken is required"),
+    body("code").optional().isString().trim(),
+    body("recoveryCode").optional().isString().trim(),
+    body()
+      .custom((value) => Boolean(value?.code || value?.recoveryCode))
+      .withMessage("Provide a code or a recovery code"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { id } = await verifyScopedToken(req.body.mfaToken, "mfa");
+      const user = await loadUserWithMfa(id);
+      if (!user) return res.status(401).json({ message: "Invalid sign-in token" });
+
+      // 🧱 Codes are guessable, so they share the login throttle
+      const blocked = await checkLoginAllowed(user.email, req.ip);
+      if (blocked) return sendThrottled(res, blocked);
 
-      const token = signToken(user);
+      const method = await verifySecondFactor(user, req.body);
+      if (!method) {
+        const userAgent = req.get("user-agent") || "";
+        await registerLoginFailure({ email: user.email, ip: req.ip, userAgent, user });
+        await auditLogin(req, AUDIT_ACTIONS.LOGIN_FAILED, user, "Wrong two-factor code");
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+      await registerLoginSuccess(user.email);
+
+      const session = await issueSession(user, req);
+      const how = method === "totp" ? "Two-factor login" : "Two-factor login (recovery code)";
+      await auditLogin(req, AUDIT_ACTIONS.LOGIN, user, how);
       res.json({
-        token,
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          role: user.role?.toLowerCase(), // ✅ normalize role before sending
-        },
+        ...session,
+        user: userPayload(user),
+        ...(method === "recovery-code" && { recoveryCodesLeft: user.mfa.recoveryCodes.length }),
+      });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🔑 FORGOT PASSWORD — email a single-use reset link
+   POST /api/auth/forgot-password  { email }
+   Always answers the same way, so it can't be used to probe
+   which emails have accounts.
+   ========================================================== */
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().withMessage("Valid email is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user && user.isActive) {
+        const token = await createUserToken(user, USER_TOKEN_PURPOSE.PASSWORD_RESET);
+        const link = `${clientUrl()}/reset-password?token=${token}`;
+        await sendEmail(
+          user.email,
+          "Reset your password — Rabwah Factory",
+          `Hello ${user.fullName},\n\nUse this link to choose a new password:\n${link}\n\nThe link works once and expires soon. If you did not ask for a reset, you can ignore this email.`
+        );
+      }
+
+      res.json({ message: "✅ If that email has an account, a reset link is on its way." });
+    } catch (err) {
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🔑 RESET PASSWORD — set a new password with a reset token
+   POST /api/auth/reset-password  { token, password }
+   Signs the user out of every existing session.
+   ========================================================== */
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty().withMessage("Reset token is required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const userId = await consumeUserToken(req.body.token, USER_TOKEN_PURPOSE.PASSWORD_RESET);
+      const user = await User.findById(userId);
+      if (!user || !user.isActive) return res.status(400).json({ message: "This link is invalid or has expired" });
+
+      user.password = req.body.password;
+      // ✉️ Receiving the reset email proves the address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save(); // 🔑 bumps tokenVersion
+      await revokeUserRefreshTokens(user._id, "password reset");
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        model: "User",
+        targetId: user._id,
+        actor: user,
+        summary: "Password reset by email link",
       });
+
+      res.json({ message: "✅ Password updated. Please log in with your new password." });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✉️ VERIFY EMAIL — confirm the address from the emailed link
+   POST /api/auth/verify-email  { token }
+   ========================================================== */
+router.post(
+  "/verify-email",
+  [body("token").isString().notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const userId = await consumeUserToken(req.body.token, USER_TOKEN_PURPOSE.EMAIL_VERIFICATION);
+      const user = await User.findById(userId);
+      if (!user) return res.status(400).json({ message: "This link is invalid or has expired" });
+
+      if (!user.emailVerified) {
+        const before = { emailVerified: false };
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          model: "User",
+          targetId: user._id,
+          before,
+          after: { emailVerified: true },
+          actor: user,
+          summary: "Email confirmed",
+        });
+      }
+
+      res.json({ message: "✅ Email confirmed", user: userPayload(user) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✉️ RESEND VERIFICATION — POST /api/auth/resend-verification  { email }
+   Same answer whether or not the account exists
+   ========================================================== */
+router.post(
+  "/resend-verification",
+  [body("email").isEmail().withMessage("Valid email is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user && user.isActive && !user.emailVerified) await sendVerificationEmail(user);
+
+      res.json({ message: "✅ If that account still needs confirming, a new link is on its way." });
     } catch (err) {
       res.status(500).json({ message: "Server error", error: err.message });
     }
   }
 );
 
+/* ==========================================================
+   🔁 REFRESH — trade a refresh token for a new token pair
+   POST /api/auth/refresh  { refreshToken }
+   The presented refresh token stops working.
+   ========================================================== */
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+      res.json({ token, refreshToken, user: userPayload(user) });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ message: err.message, ...(err.code && { code: err.code }) });
+      }
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🚪 LOGOUT — end this session
+   POST /api/auth/logout  { refreshToken }
+   ========================================================== */
+router.post(
+  "/logout",
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const userId = await revokeRefreshToken(req.body.refreshToken);
+      if (userId) {
+        await recordAudit(req, { action: AUDIT_ACTIONS.LOGOUT, model: "User", targetId: userId, actor: { _id: userId } });
+      }
+      res.json({ message: "✅ Logged out" });
+    } catch (err) {
+      res.status(500).json({ message: "Server error", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🚪 LOGOUT ALL — end every session of the current user
+   POST /api/auth/logout-all
+   ========================================================== */
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    await recordAudit(req, { action: AUDIT_ACTIONS.LOGOUT, model: "User", targetId: req.user.id, summary: "All sessions" });
+    res.json({ message: "✅ Logged out of all sessions" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 export default router;
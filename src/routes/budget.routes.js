@@ -0,0 +1,67 @@
+// src/routes/budget.routes.js
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import {
+  listBudgets,
+  getBudgetReport,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+} from "../controllers/budget.controller.js";
+import { verifyToken } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { EXPENSE_CATEGORIES } from "../constants/expenses.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+const monthQuery = query("month").optional().matches(MONTH).withMessage("Month must be in YYYY-MM format");
+
+const budgetRules = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("month").matches(MONTH).withMessage("Month must be in YYYY-MM format"),
+    field("amount").isFloat({ min: 0 }).withMessage("Amount must be 0 or more").toFloat(),
+    body("category")
+      .optional({ values: "null" })
+      .isIn(EXPENSE_CATEGORIES)
+      .withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")} (or null for all)`),
+    body("costCentre").optional().isString().trim(),
+    body("notes").optional().isString().trim(),
+  ];
+};
+
+// Budgets for a month, and budget vs actual (Admin & Manager)
+router.get("/", verifyToken, requirePermission(PERMISSIONS.BUDGETS_VIEW), [monthQuery], validate, listBudgets);
+router.get(
+  "/report",
+  verifyToken,
+  requirePermission(PERMISSIONS.BUDGETS_VIEW),
+  [monthQuery],
+  validate,
+  getBudgetReport
+);
+
+// Plan, change or drop a budget (Admin only)
+router.post("/", verifyToken, requirePermission(PERMISSIONS.BUDGETS_EDIT), budgetRules(), validate, createBudget);
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.BUDGETS_EDIT),
+  budgetRules(true),
+  validate,
+  updateBudget
+);
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.BUDGETS_EDIT), deleteBudget);
+
+export default router;
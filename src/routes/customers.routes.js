@@ -1,20 +1,29 @@
 // src/routes/customers.routes.js
 import express from "express";
-import { body, validationResult } from "express-validator";
+import { body, param, validationResult } from "express-validator";
 import { requireRole } from "../middleware/requireRole.js";
-import { ELEVATED } from "../constants/roles.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { ORDER_STATUS } from "../constants/orders.js";
 import Customer from "../models/Customer.js";
 import Order from "../models/Order.js"; // ✅ Ensure Order model is imported
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { defaultTaxPercent } from "../utils/orderPricing.js";
+import { applyCatalog } from "../utils/inventory.js";
 import nodemailer from "nodemailer";
 import { verifyToken } from "../middleware/auth.js"; // ✅ Correct import
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
+const orderIdParam = param("id").isMongoId().withMessage("Invalid order ID format");
+
 /* ==========================================================
    👀 GET ALL CUSTOMERS — staff / manager / admin
    GET /api/customers
    ========================================================== */
-router.get("/", verifyToken, requireRole(...ELEVATED, "staff"), async (req, res) => {
+router.get("/", verifyToken, requirePermission(PERMISSIONS.CUSTOMERS_VIEW), async (req, res) => {
   try {
     const { q } = req.query;
     const filter = q
@@ -36,7 +45,7 @@ router.get("/", verifyToken, requireRole(...ELEVATED, "staff"), async (req, res)
 router.post(
   "/",
   verifyToken,
-  requireRole(...ELEVATED, "staff"),
+  requirePermission(PERMISSIONS.CUSTOMERS_EDIT),
   [body("name").notEmpty().withMessage("Customer name is required")],
   async (req, res) => {
     const errors = validationResult(req);
@@ -58,6 +67,7 @@ router.post(
         ...req.body,
         tasks: [], // ✅ Every customer starts with their own empty task list
       });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Customer", after: customer });
 
       res.status(201).json(customer);
     } catch (err) {
@@ -71,14 +81,16 @@ router.post(
    ✏️ UPDATE CUSTOMER — staff / manager / admin
    PATCH /api/customers/:id
    ========================================================== */
-router.patch("/:id", verifyToken, requireRole(...ELEVATED, "staff"), async (req, res) => {
+router.patch("/:id", verifyToken, requirePermission(PERMISSIONS.CUSTOMERS_EDIT), async (req, res) => {
   try {
+    const before = await Customer.findById(req.params.id).lean();
     const updated = await Customer.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
     });
 
     if (!updated)
       return res.status(404).json({ message: "Customer not found" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Customer", before, after: updated });
 
     res.json(updated);
   } catch (err) {
@@ -91,11 +103,12 @@ router.patch("/:id", verifyToken, requireRole(...ELEVATED, "staff"), async (req,
    ❌ DELETE CUSTOMER — only admin / manager
    DELETE /api/customers/:id
    ========================================================== */
-router.delete("/:id", verifyToken, requireRole(...ELEVATED), async (req, res) => {
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.CUSTOMERS_DELETE), async (req, res) => {
   try {
     const deleted = await Customer.findByIdAndDelete(req.params.id);
     if (!deleted)
       return res.status(404).json({ message: "Customer not found" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Customer", before: deleted });
     res.json({ message: "Customer deleted successfully" });
   } catch (err) {
     console.error("❌ Error deleting customer:", err);
@@ -121,24 +134,131 @@ router.get("/my-orders", verifyToken, async (req, res) => {
 });
 
 /* ==========================================================
-   ❌ DELETE CUSTOMER ORDER (Customer only)
-   DELETE /api/customers/my-orders/:id
+   🛒 PLACE NEW ORDER (Customer only)
+   POST /api/customers/my-orders
+   ========================================================== */
+router.post(
+  "/my-orders",
+  verifyToken,
+  requireRole(ROLES.CUSTOMER),
+  [
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty list"),
+    body("items.*.productId").optional().isMongoId().withMessage("Invalid productId"),
+    body("items.*.product").optional().isString().trim(),
+    body("items.*")
+      .custom((item) => Boolean(item?.productId || item?.product))
+      .withMessage("Each item needs a product or productId"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Each item quantity must be at least 1").toInt(),
+    body("product")
+      .if(body("items").not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage("Product is required"),
+    body("quantity")
+      .if(body("items").not().exists())
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1")
+      .toInt(),
+    body("notes").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { notes } = req.body;
+
+      // 🧾 Accept multi-line orders, or a single product/quantity pair
+      const requested = req.body.items || [
+        { product: req.body.product, quantity: req.body.quantity },
+      ];
+
+      // 💵 Customers never set prices — catalog items are priced from the
+      // product list, free-text items are priced later by the factory
+      const items = await applyCatalog(
+        requested.map(({ productId, product, quantity }) => ({
+          productId: productId || null,
+          product: product || "",
+          quantity,
+          taxPercent: defaultTaxPercent(),
+        }))
+      );
+
+      const order = await Order.create({
+        customerEmail: req.user.email,
+        customerId: req.user.id,
+        customerName: req.user.fullName || "",
+        items,
+        notes,
+      });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Order", after: order });
+
+      res.status(201).json({ message: "✅ Order placed successfully.", order });
+    } catch (err) {
+      console.error("❌ Error placing order:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to place order." });
+    }
+  }
+);
+
+/* ==========================================================
+   🔍 GET ONE OF THE CUSTOMER'S ORDERS (with status history)
+   GET /api/customers/my-orders/:id
    ========================================================== */
-router.delete("/my-orders/:id", verifyToken, async (req, res) => {
+router.get("/my-orders/:id", verifyToken, [orderIdParam], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ errors: errors.array() });
+
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findOne({
+      _id: req.params.id,
+      customerEmail: req.user.email,
+    });
     if (!order) {
       return res.status(404).json({ message: "Order not found." });
     }
 
-    // 🛡️ Ensure order belongs to this customer
-    if (order.customerEmail && order.customerEmail !== req.user.email) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this order." });
+    res.json({ order });
+  } catch (err) {
+    console.error("❌ Error loading order:", err);
+    res.status(500).json({ message: "Failed to load order." });
+  }
+});
+
+/* ==========================================================
+   ❌ DELETE CUSTOMER ORDER (Customer only)
+   DELETE /api/customers/my-orders/:id
+   ========================================================== */
+router.delete("/my-orders/:id", verifyToken, [orderIdParam], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ errors: errors.array() });
+
+  try {
+    // 🛡️ Only the customer's own order, and only while it is still
+    // Pending — checked and deleted in one step, so a concurrent
+    // move to Processing can't be lost
+    const order = await Order.findOneAndDelete({
+      _id: req.params.id,
+      customerEmail: req.user.email,
+      status: ORDER_STATUS.PENDING,
+    });
+
+    if (!order) {
+      const existing = await Order.findOne({ _id: req.params.id, customerEmail: req.user.email }).select("status");
+      if (!existing) return res.status(404).json({ message: "Order not found." });
+
+      // 🚦 Once production has started the order can no longer be withdrawn
+      return res.status(409).json({
+        message: `Order is already ${existing.status} and can no longer be deleted.`,
+      });
     }
 
-    await order.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Order", before: order });
     res.json({ message: "🗑️ Order removed successfully." });
   } catch (err) {
     console.error("❌ Error deleting order:", err);
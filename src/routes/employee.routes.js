@@ -1,10 +1,17 @@
 // src/routes/employee.routes.js
 import express from "express";
 import Employee from "../models/Employee.js";
+import User from "../models/User.js";
+import Timesheet from "../models/Timesheet.js";
+import Salary from "../models/salary.model.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 import { requireRole } from "../middleware/requireRole.js";
-import { ROLES } from "../constants/roles.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { ROLES, ELEVATED } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 import { Parser } from "json2csv";
 import { verifyToken } from "../middleware/auth.js"; // ✅ Correct middleware
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -20,7 +27,7 @@ const ensureObjectIdParam = (req, _res, next) => {
 /* ==========================================================
    👥 GET All Employees — Admin & Manager
 ========================================================== */
-router.get("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.get("/", verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_VIEW), async (req, res) => {
   try {
     const employees = await Employee.find().sort({ createdAt: -1 });
     res.status(200).json(employees);
@@ -30,10 +37,138 @@ router.get("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req
   }
 });
 
+/* ----------------------------------------------------------
+   Helper: the Employee record linked to the logged-in user
+---------------------------------------------------------- */
+const loadMyEmployee = async (req, res, next) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user.id });
+    if (!employee)
+      return res.status(404).json({ message: "No employee record is linked to your account" });
+    req.employee = employee;
+    next();
+  } catch (err) {
+    console.error("❌ Error loading linked employee:", err);
+    res.status(500).json({ message: "Failed to load your employee record", error: err.message });
+  }
+};
+
+/* ==========================================================
+   🙋 MY Employment Record — linked staff account
+   Hours, rate and pay for the current period
+========================================================== */
+router.get("/me", verifyToken, requireRole(ROLES.STAFF, ...ELEVATED), loadMyEmployee, async (req, res) => {
+  const { employee } = req;
+  res.json({
+    employee: {
+      _id: employee._id,
+      fullName: employee.fullName,
+      phone: employee.phone,
+      position: employee.position,
+      shift: employee.shift,
+      hourlyRate: employee.hourlyRate,
+      hoursWorked: employee.hoursWorked,
+      overtimeHours: employee.overtimeHours,
+      holidayHours: employee.holidayHours,
+      salary: employee.salary,
+      payBreakdown: employee.payBreakdown,
+      periodStart: employee.periodStart,
+    },
+  });
+});
+
+/* ==========================================================
+   ⏱️ MY Timesheets — GET /api/employees/me/timesheets?status=&from=&to=
+========================================================== */
+router.get("/me/timesheets", verifyToken, requireRole(ROLES.STAFF, ...ELEVATED), loadMyEmployee, async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    const filter = { employee: req.employee._id };
+    if (status) filter.status = { $in: String(status).split(",") };
+    if (from || to) {
+      filter.clockIn = {};
+      if (from) filter.clockIn.$gte = new Date(from);
+      if (to) filter.clockIn.$lte = new Date(to);
+    }
+
+    const entries = await Timesheet.find(filter)
+      .select("-createdBy")
+      .sort({ clockIn: -1 });
+    res.json(entries);
+  } catch (err) {
+    console.error("❌ Error loading own timesheets:", err);
+    res.status(500).json({ message: "Failed to load timesheets", error: err.message });
+  }
+});
+
+/* ==========================================================
+   💰 MY Salary History — approved salaries and payroll lines
+========================================================== */
+router.get("/me/salaries", verifyToken, requireRole(ROLES.STAFF, ...ELEVATED), loadMyEmployee, async (req, res) => {
+  try {
+    const employeeId = req.employee._id;
+    const salaries = await Salary.find({
+      $or: [{ employeeId }, { staffId: { $in: [String(employeeId), String(req.user.id)] } }],
+      ...Salary.finalFilter(),
+    })
+      .select("-managerId -contact")
+      .sort({ createdAt: -1 });
+    res.json(salaries);
+  } catch (err) {
+    console.error("❌ Error loading own salaries:", err);
+    res.status(500).json({ message: "Failed to load salary history", error: err.message });
+  }
+});
+
+/* ----------------------------------------------------------
+   Helpers: loose matching of names and phone numbers
+---------------------------------------------------------- */
+const normalizeName = (value) => String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+const normalizePhone = (value) => String(value || "").replace(/\D/g, "").slice(-9);
+
+/* ==========================================================
+   🔗 LINK SUGGESTIONS — Admin only
+   Unlinked employees paired with unlinked staff accounts
+   that share their phone number or full name
+========================================================== */
+router.get("/link-suggestions", verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (_req, res) => {
+  try {
+    const [employees, linked] = await Promise.all([
+      Employee.find({ userId: null }).select("fullName phone position").sort({ fullName: 1 }),
+      Employee.distinct("userId", { userId: { $ne: null } }),
+    ]);
+    const users = await User.find({
+      _id: { $nin: linked },
+      role: { $ne: ROLES.CUSTOMER },
+    }).select("fullName email phone role");
+
+    const suggestions = employees
+      .map((employee) => {
+        const candidates = users
+          .map((user) => {
+            const matchedOn = [];
+            const phone = normalizePhone(employee.phone);
+            if (phone && phone === normalizePhone(user.phone)) matchedOn.push("phone");
+            if (normalizeName(employee.fullName) === normalizeName(user.fullName)) matchedOn.push("name");
+            return matchedOn.length ? { user, matchedOn } : null;
+          })
+          .filter(Boolean)
+          .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+        return { employee, candidates };
+      })
+      .filter((suggestion) => suggestion.candidates.length > 0);
+
+    res.json({ unlinkedEmployees: employees.length, suggestions });
+  } catch (err) {
+    console.error("❌ Error building link suggestions:", err);
+    res.status(500).json({ message: "Failed to build link suggestions", error: err.message });
+  }
+});
+
 /* ==========================================================
    🔍 GET Single Employee by ID
 ========================================================== */
-router.get("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.get("/:id", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_VIEW), async (req, res) => {
   try {
     const employee = await Employee.findById(req.params.id);
     if (!employee) return res.status(404).json({ message: "Employee not found" });
@@ -48,7 +183,7 @@ router.get("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN, RO
 /* ==========================================================
    ➕ ADD New Employee — Admin only
 ========================================================== */
-router.post("/", verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
+router.post("/", verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (req, res) => {
   try {
     const { fullName, phone, position, shift, hourlyRate, hoursWorked, notes } = req.body;
 
@@ -61,7 +196,6 @@ router.post("/", verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
     const rate = Number(hourlyRate) || 0;
     const hours = Number(hoursWorked) || 0;
     const createdBy = req.user?.email || "admin@factory.com";
-    const salary = rate * hours;
 
     const newEmployee = new Employee({
       fullName,
@@ -70,12 +204,12 @@ router.post("/", verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
       shift,
       hourlyRate: rate,
       hoursWorked: hours,
-      salary,
       notes,
       createdBy,
     });
 
     await newEmployee.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Employee", after: newEmployee });
     res.status(201).json({ message: "✅ Employee added successfully", employee: newEmployee });
   } catch (err) {
     console.error("❌ Error adding employee:", err);
@@ -86,26 +220,27 @@ router.post("/", verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
 /* ==========================================================
    ✏️ UPDATE Employee Info or Hours — Admin only
 ========================================================== */
-router.patch("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
+router.patch("/:id", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (req, res) => {
   try {
     const updates = { ...req.body };
+    const before = await Employee.findById(req.params.id);
+    if (!before) return res.status(404).json({ message: "Employee not found" });
 
     if ("hourlyRate" in updates || "hoursWorked" in updates) {
-      const employee = await Employee.findById(req.params.id);
-      if (!employee) return res.status(404).json({ message: "Employee not found" });
-
       const newRate =
-        updates.hourlyRate !== undefined ? Number(updates.hourlyRate) || 0 : employee.hourlyRate;
+        updates.hourlyRate !== undefined ? Number(updates.hourlyRate) || 0 : before.hourlyRate;
       const newHours =
-        updates.hoursWorked !== undefined ? Number(updates.hoursWorked) || 0 : employee.hoursWorked;
+        updates.hoursWorked !== undefined ? Number(updates.hoursWorked) || 0 : before.hoursWorked;
 
       updates.hourlyRate = newRate;
       updates.hoursWorked = newHours;
-      updates.salary = newRate * newHours;
     }
+    delete updates.salary; // ✅ always derived by the model hooks
+    delete updates.userId; // 🔗 linked via PUT /:id/user
 
     const updated = await Employee.findByIdAndUpdate(req.params.id, updates, { new: true });
     if (!updated) return res.status(404).json({ message: "Employee not found" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Employee", before, after: updated });
 
     res.json({ message: "✅ Employee updated successfully", employee: updated });
   } catch (err) {
@@ -117,7 +252,7 @@ router.patch("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN),
 /* ==========================================================
    💰 UPDATE Employee Payroll Only — Admin only
 ========================================================== */
-router.patch("/:id/payroll", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
+router.patch("/:id/payroll", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (req, res) => {
   try {
     const hasRate = req.body.hourlyRate !== undefined;
     const hasHours = req.body.hoursWorked !== undefined;
@@ -129,12 +264,13 @@ router.patch("/:id/payroll", ensureObjectIdParam, verifyToken, requireRole(ROLES
 
     const newRate = hasRate ? Number(req.body.hourlyRate) || 0 : employee.hourlyRate;
     const newHours = hasHours ? Number(req.body.hoursWorked) || 0 : employee.hoursWorked;
+    const before = auditSnapshot(employee);
 
     employee.hourlyRate = newRate;
     employee.hoursWorked = newHours;
-    employee.salary = newRate * newHours;
 
     await employee.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Employee", before, after: employee });
     res.json({ message: "✅ Payroll updated successfully", employee });
   } catch (err) {
     console.error("❌ Error updating payroll:", err);
@@ -142,10 +278,86 @@ router.patch("/:id/payroll", ensureObjectIdParam, verifyToken, requireRole(ROLES
   }
 });
 
+/* ==========================================================
+   🔗 LINK Employee to a User Account — Admin only
+   Body: { userId }
+========================================================== */
+router.put("/:id/user", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!/^[0-9a-fA-F]{24}$/.test(String(userId || "")))
+      return res.status(400).json({ message: "A valid userId is required" });
+
+    const [employee, user] = await Promise.all([Employee.findById(req.params.id), User.findById(userId)]);
+    if (!employee) return res.status(404).json({ message: "Employee not found" });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.role === ROLES.CUSTOMER)
+      return res.status(400).json({ message: "Customer accounts cannot be linked to an employee" });
+
+    const linkedElsewhere = () =>
+      Employee.findOne({ userId: user._id, _id: { $ne: employee._id } }).select("fullName");
+    const alreadyLinked = (other) =>
+      res.status(409).json({ message: `User is already linked to ${other.fullName}`, employeeId: other._id });
+
+    const other = await linkedElsewhere();
+    if (other) return alreadyLinked(other);
+
+    const before = auditSnapshot(employee);
+    employee.userId = user._id;
+    try {
+      await employee.save();
+    } catch (err) {
+      // 🔒 A concurrent link to the same user reached the unique index first
+      const winner = err.code === 11000 && err.keyPattern?.userId && (await linkedElsewhere());
+      if (winner) return alreadyLinked(winner);
+      throw err;
+    }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "Employee",
+      before,
+      after: employee,
+      summary: `Linked to ${user.email}`,
+    });
+    res.json({
+      message: `✅ ${employee.fullName} linked to ${user.email}`,
+      employee,
+    });
+  } catch (err) {
+    console.error("❌ Error linking employee:", err);
+    res.status(500).json({ message: "Failed to link employee", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✂️ UNLINK Employee from its User Account — Admin only
+========================================================== */
+router.delete("/:id/user", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EDIT), async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.id);
+    if (!employee) return res.status(404).json({ message: "Employee not found" });
+
+    const before = auditSnapshot(employee);
+    employee.userId = null;
+    await employee.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "Employee",
+      before,
+      after: employee,
+      summary: "Unlinked from user account",
+    });
+    res.json({ message: "✅ Employee unlinked", employee });
+  } catch (err) {
+    console.error("❌ Error unlinking employee:", err);
+    res.status(500).json({ message: "Failed to unlink employee", error: err.message });
+  }
+});
+
 /* ==========================================================
    📊 EMPLOYEE STATS — Admin & Manager
 ========================================================== */
-router.get("/stats", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (_req, res) => {
+router.get("/stats", verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_VIEW), async (_req, res) => {
   try {
     const employees = await Employee.find();
     const total = employees.length;
@@ -167,10 +379,11 @@ router.get("/stats", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async
 /* ==========================================================
    🗑️ DELETE Employee — Admin only
 ========================================================== */
-router.delete("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN), async (req, res) => {
+router.delete("/:id", ensureObjectIdParam, verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
   try {
     const deleted = await Employee.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ message: "Employee not found" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Employee", before: deleted });
     res.json({ message: "✅ Employee removed successfully" });
   } catch (err) {
     console.error("❌ Error deleting employee:", err);
@@ -180,10 +393,11 @@ router.delete("/:id", ensureObjectIdParam, verifyToken, requireRole(ROLES.ADMIN)
 
 /* ==========================================================
    📤 EXPORT Payroll as CSV — Admin only
+   Salary is broken down by pay-rule component
 ========================================================== */
-router.get("/export", verifyToken, requireRole(ROLES.ADMIN), async (_req, res) => {
+router.get("/export", verifyToken, requirePermission(PERMISSIONS.EMPLOYEES_EXPORT), async (_req, res) => {
   try {
-    const employees = await Employee.find().sort({ fullName: 1 });
+    const employees = await Employee.find().sort({ fullName: 1 }).lean();
     if (employees.length === 0)
       return res.status(404).json({ message: "No employees to export" });
 
@@ -194,6 +408,12 @@ router.get("/export", verifyToken, requireRole(ROLES.ADMIN), async (_req, res) =
       "shift",
       "hourlyRate",
       "hoursWorked",
+      "overtimeHours",
+      "holidayHours",
+      { label: "basePay", value: "payBreakdown.base" },
+      { label: "shiftPremium", value: "payBreakdown.shiftPremium" },
+      { label: "overtimePremium", value: "payBreakdown.overtimePremium" },
+      { label: "holidayPremium", value: "payBreakdown.holidayPremium" },
       "salary",
       "createdBy",
     ];
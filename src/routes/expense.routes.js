@@ -1,19 +1,131 @@
 // src/routes/expense.routes.js
 import express from "express";
+import mongoose from "mongoose";
+import { body, param, validationResult } from "express-validator";
 import { Parser } from "json2csv";
 import Expense from "../models/Expense.js";
-import { requireRole } from "../middleware/requireRole.js";
+import User from "../models/User.js";
+import StockMovement from "../models/StockMovement.js";
+import ExpenseLimits from "../models/ExpenseLimits.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 import { ROLES } from "../constants/roles.js";
+import { MOVEMENT_TYPES } from "../constants/inventory.js";
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_STATUS,
+  COUNTED_EXPENSE_MATCH,
+  LIMITED_ROLES,
+  MAX_EXPENSE_ATTACHMENTS,
+} from "../constants/expenses.js";
 import { verifyToken } from "../middleware/auth.js"; // ✅ Correct middleware
+import { uploadReceipts } from "../middleware/upload.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import {
+  getExpenseLimits,
+  invalidateExpenseLimits,
+  applyApprovalLimit,
+  approvalLimitFor,
+  notifyApprovers,
+  notifyExpenseDecision,
+} from "../utils/expenseApproval.js";
+import { getFileStorage, detectFileType } from "../utils/fileStorage.js";
+import { checkBudgetAlerts } from "../utils/budgets.js";
 
 const router = express.Router();
 
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const validateObjectId = param("id").isMongoId().withMessage("Invalid expense ID format");
+
+/* ----------------------------------------------------------
+   Helper: look up a purchase receipt an expense can link to
+   Returns an error message, or null when the id is usable
+---------------------------------------------------------- */
+const checkStockReceipt = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return "Invalid stock receipt ID format";
+  const movement = await StockMovement.findById(id).select("type");
+  if (!movement) return "Stock receipt not found";
+  if (movement.type !== MOVEMENT_TYPES.RECEIPT) return "Linked stock movement must be a receipt";
+  return null;
+};
+
+/* ----------------------------------------------------------
+   Helper: after an amount or category change, re-check the
+   stricter of the creator's and the editor's approval limits.
+   Edits never approve anything: an expense over either limit,
+   or a rejected one being resubmitted, goes back to pending;
+   otherwise its status is left alone. Only /:id/approve sets
+   approved. Returns true when the expense became pending.
+---------------------------------------------------------- */
+const recheckApproval = async (expense, changes, user) => {
+  const priced = changes.some(({ field }) => field === "amount" || field === "category");
+  if (!priced || expense.status === EXPENSE_STATUS.PENDING) return false;
+
+  // Creators who were removed or deactivated have no limit to go by
+  const creator = await User.findOne({ email: expense.createdBy, isActive: { $ne: false } })
+    .select("role")
+    .lean();
+  const limits = await Promise.all(
+    [creator?.role, user?.role].map((role) => approvalLimitFor(role, expense.category))
+  );
+  const exceeded = limits.some((limit) => limit !== null && expense.amount > limit);
+  if (!exceeded && expense.status === EXPENSE_STATUS.APPROVED) return false;
+
+  expense.status = EXPENSE_STATUS.PENDING;
+  expense.reviewedBy = "";
+  expense.reviewedAt = null;
+  expense.reviewNote = "";
+  return true;
+};
+
+/* ----------------------------------------------------------
+   Helper: delete stored files — failures are logged, not thrown
+---------------------------------------------------------- */
+const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getFileStorage().remove(key);
+    } catch (err) {
+      console.warn(`⚠️ Could not remove stored file ${key}:`, err.message);
+    }
+  }
+};
+
+/* ----------------------------------------------------------
+   Helper: expenses save against the version they were loaded
+   at — a save over someone else's change is refused with 409
+---------------------------------------------------------- */
+const isStaleSave = (err) => err instanceof mongoose.Error.VersionError;
+const STALE_EXPENSE = { message: "Expense was changed by someone else — reload it and try again" };
+
+const approvalMessage = (limit) =>
+  `Expense is above your approval limit of ${limit} and is waiting for approval`;
+
 /* ==========================================================
    🧾 GET all active (non-deleted) expenses
+   Optional ?status=pending|approved|rejected
 ========================================================== */
-router.get("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.get("/", verifyToken, requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
   try {
-    const expenses = await Expense.find({ isDeleted: false })
+    const filter = { isDeleted: false };
+    if (req.query.status) {
+      if (!Object.values(EXPENSE_STATUS).includes(req.query.status))
+        return res.status(400).json({ message: `Status must be one of: ${Object.values(EXPENSE_STATUS).join(", ")}` });
+      filter.status =
+        req.query.status === EXPENSE_STATUS.APPROVED ? COUNTED_EXPENSE_MATCH.status : req.query.status;
+    }
+
+    const expenses = await Expense.find(filter)
+      .select("-revisions -attachments.key")
       .sort({ createdAt: -1 })
       .lean();
     res.json(expenses);
@@ -25,15 +137,21 @@ router.get("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req
 
 /* ==========================================================
    ➕ ADD new expense (auto-fill createdBy from logged-in user)
+   Above the creator's approval limit it starts as pending
 ========================================================== */
-router.post("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.post("/", verifyToken, requirePermission(PERMISSIONS.EXPENSES_CREATE), async (req, res) => {
   try {
-    const { category, title, amount, description } = req.body;
+    const { category, title, amount, description, costCentre, stockReceiptId } = req.body;
 
     if (!title || !amount) {
       return res.status(400).json({ message: "Title and amount are required." });
     }
 
+    if (stockReceiptId) {
+      const problem = await checkStockReceipt(stockReceiptId);
+      if (problem) return res.status(400).json({ message: problem });
+    }
+
     // ✅ Auto-fill createdBy — fallback to admin if not present
     const createdBy = req.user?.email || "admin@factory.com";
 
@@ -42,11 +160,20 @@ router.post("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (re
       title,
       amount,
       description,
+      costCentre: typeof costCentre === "string" ? costCentre : "",
+      stockReceipt: stockReceiptId || null,
       createdBy,
       date: new Date(),
     });
+    const exceededLimit = await applyApprovalLimit(expense, req.user);
 
     await expense.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Expense", after: expense });
+    checkBudgetAlerts(expense.date); // 📊 runs in the background; never throws
+    if (exceededLimit !== null) {
+      await notifyApprovers(expense);
+      return res.status(201).json({ ...expense.toJSON(), message: approvalMessage(exceededLimit) });
+    }
     res.status(201).json(expense);
   } catch (err) {
     console.error("❌ Error adding expense:", err);
@@ -54,10 +181,389 @@ router.post("/", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (re
   }
 });
 
+/* ==========================================================
+   🔗 LINK / UNLINK the stock receipt an expense paid for
+   PATCH /api/expenses/:id/stock-receipt  { stockReceiptId | null }
+========================================================== */
+router.patch(
+  "/:id/stock-receipt",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_EDIT),
+  [
+    validateObjectId,
+    body("stockReceiptId").optional({ values: "falsy" }).isMongoId().withMessage("Invalid stock receipt ID format"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { stockReceiptId } = req.body;
+
+      if (stockReceiptId) {
+        const problem = await checkStockReceipt(stockReceiptId);
+        if (problem) return res.status(400).json({ message: problem });
+      }
+
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+
+      const before = auditSnapshot(expense);
+      expense.applyRevision({ stockReceipt: stockReceiptId || null }, req.user?.email);
+      await expense.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Expense", before, after: expense });
+
+      res.json({ message: stockReceiptId ? "Stock receipt linked" : "Stock receipt unlinked", expense });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error linking stock receipt:", err);
+      res.status(500).json({ message: "Failed to link stock receipt" });
+    }
+  }
+);
+
+/* ==========================================================
+   ✏️ UPDATE expense — each edit is stored as a revision
+   PATCH /api/expenses/:id  { category?, title?, amount?, description?, costCentre?, date?, note? }
+========================================================== */
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_EDIT),
+  [
+    validateObjectId,
+    body("category")
+      .optional()
+      .isIn(EXPENSE_CATEGORIES)
+      .withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")}`),
+    body("title").optional().isString().trim().notEmpty().withMessage("Title cannot be empty"),
+    body("amount").optional().isFloat({ min: 0 }).withMessage("Amount must be a positive number").toFloat(),
+    body("description").optional().isString().trim(),
+    body("costCentre").optional().isString().trim(),
+    body("date").optional().isISO8601().withMessage("Date must be a valid date").toDate(),
+    body("note").optional().isString().trim(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+
+      const { category, title, amount, description, costCentre, date, note } = req.body;
+      const before = auditSnapshot(expense);
+      const changes = expense.applyRevision(
+        { category, title, amount, description, costCentre, date },
+        req.user?.email,
+        note
+      );
+      if (changes.length === 0) return res.json({ message: "No changes to save", expense });
+      const nowPending = await recheckApproval(expense, changes, req.user);
+
+      await expense.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Expense", before, after: expense });
+      checkBudgetAlerts(before.date, expense.date);
+      if (nowPending) await notifyApprovers(expense);
+
+      res.json({
+        message:
+          expense.status === EXPENSE_STATUS.PENDING
+            ? "✅ Expense updated — waiting for approval"
+            : "✅ Expense updated",
+        revision: expense.revisions.length,
+        expense,
+      });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error updating expense:", err);
+      res.status(500).json({ message: "Failed to update expense", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🕒 REVISION HISTORY — every revision with its full values
+   (revision 0 = as first entered)
+========================================================== */
+router.get(
+  "/:id/history",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_VIEW),
+  [validateObjectId],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+
+      res.json({ current: expense.revisions.length, history: expense.revisionHistory() });
+    } catch (err) {
+      console.error("❌ Error loading expense history:", err);
+      res.status(500).json({ message: "Failed to load expense history", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ⏪ REVERT to an earlier revision
+   Recorded as a new revision, so the history is never lost
+========================================================== */
+router.post(
+  "/:id/history/:revision/revert",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_EDIT),
+  [validateObjectId, param("revision").isInt({ min: 0 }).withMessage("Revision must be a whole number").toInt()],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+
+      const target = req.params.revision;
+      if (target >= expense.revisions.length) {
+        return res.status(400).json({ message: `Revision ${target} is not an earlier revision of this expense` });
+      }
+
+      const values = expense.valuesAtRevision(target);
+      if (values.stockReceipt) {
+        const problem = await checkStockReceipt(String(values.stockReceipt));
+        if (problem) return res.status(409).json({ message: `Cannot revert: ${problem}` });
+      }
+
+      const before = auditSnapshot(expense);
+      const changes = expense.applyRevision(values, req.user?.email, `Reverted to revision ${target}`);
+      if (changes.length === 0) return res.json({ message: "Expense already matches that revision", expense });
+      const nowPending = await recheckApproval(expense, changes, req.user);
+
+      await expense.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        model: "Expense",
+        before,
+        after: expense,
+        summary: `Reverted to revision ${target}`,
+      });
+      checkBudgetAlerts(before.date, expense.date);
+      if (nowPending) await notifyApprovers(expense);
+
+      res.json({ message: `✅ Expense reverted to revision ${target}`, revision: expense.revisions.length, expense });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error reverting expense:", err);
+      res.status(500).json({ message: "Failed to revert expense", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📎 UPLOAD receipts — multipart/form-data, field "files"
+   PDF, JPEG, PNG or WebP; size limit RECEIPT_MAX_MB (5)
+========================================================== */
+router.post(
+  "/:id/attachments",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_EDIT),
+  [validateObjectId],
+  validate,
+  uploadReceipts("files"),
+  async (req, res) => {
+    const storedKeys = [];
+    try {
+      const files = req.files || [];
+      if (files.length === 0) return res.status(400).json({ message: 'Attach at least one file in the "files" field' });
+
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+      if (expense.attachments.length + files.length > MAX_EXPENSE_ATTACHMENTS)
+        return res.status(409).json({ message: `An expense can hold at most ${MAX_EXPENSE_ATTACHMENTS} attachments` });
+
+      // 🔎 Trust the bytes, not the declared type
+      const typed = files.map((file) => ({ file, type: detectFileType(file.buffer) }));
+      const mismatch = typed.find(({ type }) => !type);
+      if (mismatch)
+        return res.status(400).json({ message: `${mismatch.file.originalname}: file content is not a PDF or image` });
+
+      const before = auditSnapshot(expense);
+      for (const { file, type } of typed) {
+        const key = await getFileStorage().save(file.buffer, {
+          folder: `expenses/${expense._id}`,
+          extension: type.extension,
+        });
+        storedKeys.push(key);
+        expense.attachments.push({
+          key,
+          originalName: file.originalname,
+          mimeType: type.mimeType,
+          size: file.size,
+          uploadedBy: req.user.email,
+        });
+      }
+      await expense.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        model: "Expense",
+        before,
+        after: expense,
+        summary: `Attached ${files.length} file(s)`,
+      });
+
+      res.status(201).json({
+        message: "✅ Receipts uploaded",
+        attachments: expense.attachments.slice(-files.length),
+      });
+    } catch (err) {
+      await removeStoredFiles(storedKeys);
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error uploading receipts:", err);
+      res.status(500).json({ message: "Failed to upload receipts", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📥 DOWNLOAD a receipt
+========================================================== */
+router.get(
+  "/:id/attachments/:attachmentId",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_VIEW),
+  [validateObjectId, param("attachmentId").isMongoId().withMessage("Invalid attachment ID format")],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id).select("attachments");
+      const attachment = expense?.attachments.id(req.params.attachmentId);
+      if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+      const { stream, size } = await getFileStorage().open(attachment.key);
+      res.attachment(attachment.originalName || "receipt");
+      res.set({ "Content-Type": attachment.mimeType, "Content-Length": size });
+      stream.on("error", (err) => {
+        console.error("❌ Error streaming receipt:", err);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      if (err.status === 404) return res.status(404).json({ message: "Attachment file is missing" });
+      console.error("❌ Error downloading receipt:", err);
+      res.status(500).json({ message: "Failed to download receipt", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🗑️ REMOVE a receipt (the stored file is deleted too)
+========================================================== */
+router.delete(
+  "/:id/attachments/:attachmentId",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_EDIT),
+  [validateObjectId, param("attachmentId").isMongoId().withMessage("Invalid attachment ID format")],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      const attachment = expense?.attachments.id(req.params.attachmentId);
+      if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+      const before = auditSnapshot(expense);
+      attachment.deleteOne();
+      await expense.save();
+      await removeStoredFiles([attachment.key]);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        model: "Expense",
+        before,
+        after: expense,
+        summary: `Removed attachment ${attachment.originalName}`,
+      });
+
+      res.json({ message: "✅ Attachment removed" });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error removing attachment:", err);
+      res.status(500).json({ message: "Failed to remove attachment", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✅ APPROVE a pending (or rejected) expense — Approvers
+   Body: { reason? } — saved against the version that was
+   checked, so an edit landing in between gives a 409
+========================================================== */
+router.post(
+  "/:id/approve",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_APPROVE),
+  [validateObjectId, body("reason").optional().isString().trim()],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+      if (![EXPENSE_STATUS.PENDING, EXPENSE_STATUS.REJECTED].includes(expense.status))
+        return res.status(409).json({ message: `Cannot approve an ${expense.status} expense` });
+      if (expense.createdBy === req.user.email && req.user.role !== ROLES.ADMIN)
+        return res.status(403).json({ message: "You can't approve your own expense" });
+
+      const before = auditSnapshot(expense);
+      expense.status = EXPENSE_STATUS.APPROVED;
+      expense.reviewedBy = req.user.email;
+      expense.reviewedAt = new Date();
+      expense.reviewNote = req.body.reason || "";
+      await expense.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.APPROVE, model: "Expense", before, after: expense });
+      checkBudgetAlerts(expense.date);
+      await notifyExpenseDecision(expense);
+
+      res.json({ message: "✅ Expense approved", expense });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error approving expense:", err);
+      res.status(500).json({ message: "Failed to approve expense", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ⛔ REJECT a pending (or approved) expense — Approvers
+   Body: { reason } — rejected expenses don't count in totals;
+   an edit landing in between gives a 409, as for approve
+========================================================== */
+router.post(
+  "/:id/reject",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_APPROVE),
+  [validateObjectId, body("reason").isString().trim().notEmpty().withMessage("A rejection reason is required")],
+  validate,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findById(req.params.id);
+      if (!expense) return res.status(404).json({ message: "Expense not found" });
+      if (expense.status === EXPENSE_STATUS.REJECTED)
+        return res.status(409).json({ message: "Expense is already rejected" });
+
+      const before = auditSnapshot(expense);
+      expense.status = EXPENSE_STATUS.REJECTED;
+      expense.reviewedBy = req.user.email;
+      expense.reviewedAt = new Date();
+      expense.reviewNote = req.body.reason;
+      await expense.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.REJECT, model: "Expense", before, after: expense });
+      checkBudgetAlerts(expense.date);
+      await notifyExpenseDecision(expense);
+
+      res.json({ message: "✅ Expense rejected", expense });
+    } catch (err) {
+      if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
+      console.error("❌ Error rejecting expense:", err);
+      res.status(500).json({ message: "Failed to reject expense", error: err.message });
+    }
+  }
+);
+
 /* ==========================================================
    🗑️ DELETE expense (soft delete)
 ========================================================== */
-router.delete("/:id", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.EXPENSES_DELETE), async (req, res) => {
   try {
     const expense = await Expense.findById(req.params.id);
     if (!expense) {
@@ -65,30 +571,34 @@ router.delete("/:id", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), asyn
     }
 
     // ✅ Mark as deleted instead of removing permanently
+    const before = auditSnapshot(expense);
     expense.isDeleted = true;
     expense.deletedBy = req.user?.email || "admin@factory.com";
     expense.deletedAt = new Date();
     await expense.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Expense", before, after: expense });
+    checkBudgetAlerts(expense.date);
 
     res.json({ message: "Expense deleted successfully" });
   } catch (err) {
+    if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
     console.error("❌ Error deleting expense:", err);
     res.status(500).json({ message: "Failed to delete expense" });
   }
 });
 
 /* ==========================================================
-   📤 EXPORT expenses to CSV (non-deleted only)
+   📤 EXPORT expenses to CSV (approved, non-deleted only)
 ========================================================== */
-router.get("/export", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (_req, res) => {
+router.get("/export", verifyToken, requirePermission(PERMISSIONS.EXPENSES_EXPORT), async (_req, res) => {
   try {
-    const expenses = await Expense.find({ isDeleted: false }).sort({ date: -1 }).lean();
+    const expenses = await Expense.find(COUNTED_EXPENSE_MATCH).sort({ date: -1 }).lean();
 
     if (expenses.length === 0) {
       return res.status(404).json({ message: "No expenses to export" });
     }
 
-    const fields = ["category", "title", "amount", "description", "date", "createdBy"];
+    const fields = ["category", "title", "amount", "description", "costCentre", "date", "createdBy"];
     const json2csv = new Parser({ fields });
     const csv = json2csv.parse(expenses);
 
@@ -101,12 +611,81 @@ router.get("/export", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), asyn
   }
 });
 
+/* ==========================================================
+   💳 APPROVAL LIMITS — per role, with per-category overrides
+   (null = no limit; admins are never limited)
+========================================================== */
+router.get("/limits", verifyToken, requirePermission(PERMISSIONS.EXPENSES_VIEW), async (_req, res) => {
+  try {
+    res.json(await getExpenseLimits());
+  } catch (err) {
+    console.error("❌ Error loading expense limits:", err);
+    res.status(500).json({ message: "Failed to load expense limits", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✏️ UPDATE APPROVAL LIMITS — Admin only
+   Body: { manager: { limit: 1000, categories: { Monthly: 5000 } } }
+   Existing expenses keep their status.
+========================================================== */
+const limitValue = (value) => value === null || (typeof value === "number" && value >= 0);
+
+router.put(
+  "/limits",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_LIMITS),
+  [
+    body()
+      .custom((limits) => Object.keys(limits || {}).every((role) => LIMITED_ROLES.includes(role)))
+      .withMessage(`Limits can be set for: ${LIMITED_ROLES.join(", ")}`),
+    body("*.limit")
+      .optional({ values: "undefined" })
+      .custom(limitValue)
+      .withMessage("Limit must be a number ≥ 0 or null"),
+    body("*.categories")
+      .optional()
+      .isObject()
+      .custom((categories) => Object.keys(categories).every((category) => EXPENSE_CATEGORIES.includes(category)))
+      .withMessage(`Categories must be among: ${EXPENSE_CATEGORIES.join(", ")}`),
+    body("*.categories.*")
+      .optional({ values: "undefined" })
+      .custom(limitValue)
+      .withMessage("Category limit must be a number ≥ 0 or null"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const settings = (await ExpenseLimits.findOne({ key: "default" })) || new ExpenseLimits({ key: "default" });
+      const before = auditSnapshot(settings);
+
+      for (const [role, values] of Object.entries(req.body)) {
+        if (values?.limit !== undefined) settings.roles[role].limit = values.limit;
+        for (const [category, limit] of Object.entries(values?.categories || {})) {
+          if (limit !== undefined) settings.roles[role].categories[category] = limit;
+        }
+      }
+      settings.updatedBy = req.user.email;
+      await settings.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "ExpenseLimits", before, after: settings });
+
+      invalidateExpenseLimits();
+      res.json({ message: "✅ Expense approval limits updated", limits: await getExpenseLimits() });
+    } catch (err) {
+      console.error("❌ Error updating expense limits:", err);
+      const status = err.name === "ValidationError" ? 400 : 500;
+      res.status(status).json({ message: "Failed to update expense limits", error: err.message });
+    }
+  }
+);
+
 /* ==========================================================
    🗃 VIEW DELETED EXPENSES (ARCHIVE)
 ========================================================== */
-router.get("/deleted", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.get("/deleted", verifyToken, requirePermission(PERMISSIONS.EXPENSES_VIEW), async (req, res) => {
   try {
     const deletedExpenses = await Expense.find({ isDeleted: true })
+      .select("-revisions -attachments.key")
       .sort({ deletedAt: -1 })
       .lean();
 
@@ -120,18 +699,22 @@ router.get("/deleted", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), asy
 /* ==========================================================
    🔁 RESTORE DELETED EXPENSE
 ========================================================== */
-router.patch("/:id/restore", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.patch("/:id/restore", verifyToken, requirePermission(PERMISSIONS.EXPENSES_DELETE), async (req, res) => {
   try {
     const expense = await Expense.findById(req.params.id);
     if (!expense) return res.status(404).json({ message: "Expense not found" });
 
+    const before = auditSnapshot(expense);
     expense.isDeleted = false;
     expense.deletedBy = "";
     expense.deletedAt = null;
     await expense.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.RESTORE, model: "Expense", before, after: expense });
+    checkBudgetAlerts(expense.date);
 
     res.json({ message: "Expense restored successfully" });
   } catch (err) {
+    if (isStaleSave(err)) return res.status(409).json(STALE_EXPENSE);
     console.error("❌ Error restoring expense:", err);
     res.status(500).json({ message: "Failed to restore expense" });
   }
@@ -139,13 +722,17 @@ router.patch("/:id/restore", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER
 
 /* ==========================================================
    ❌ PERMANENT DELETE (HARD DELETE)
+   Stored receipt files are removed as well
 ========================================================== */
-router.delete("/:id/hard", verifyToken, requireRole(ROLES.ADMIN, ROLES.MANAGER), async (req, res) => {
+router.delete("/:id/hard", verifyToken, requirePermission(PERMISSIONS.EXPENSES_HARD_DELETE), async (req, res) => {
   try {
     const expense = await Expense.findById(req.params.id);
     if (!expense) return res.status(404).json({ message: "Expense not found" });
 
     await Expense.deleteOne({ _id: req.params.id });
+    await removeStoredFiles(expense.attachments.map((attachment) => attachment.key));
+    checkBudgetAlerts(expense.date);
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Expense", before: expense, summary: "Permanent delete" });
     res.json({ message: "Expense permanently deleted" });
   } catch (err) {
     console.error("❌ Error hard-deleting expense:", err);
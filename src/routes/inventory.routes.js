@@ -0,0 +1,253 @@
+// src/routes/inventory.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, query, validationResult } from "express-validator";
+import StockMovement from "../models/StockMovement.js";
+import Product from "../models/Product.js";
+import Expense from "../models/Expense.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { MOVEMENT_TYPES } from "../constants/inventory.js";
+import { recordMovement, getBalances } from "../utils/inventory.js";
+import { hasPermission } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+
+const router = express.Router();
+
+/* Movement types that can be entered by hand (sales come from completed orders) */
+const MANUAL_TYPES = [
+  MOVEMENT_TYPES.RECEIPT,
+  MOVEMENT_TYPES.ISSUE,
+  MOVEMENT_TYPES.PRODUCTION_OUTPUT,
+  MOVEMENT_TYPES.ADJUSTMENT,
+  MOVEMENT_TYPES.RETURN,
+];
+
+/* ----------------------------------------------------------
+   Helper: reject malformed ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid ID format" });
+  }
+  next();
+};
+
+/* Parse an optional date query param; returns undefined when absent */
+const parseDate = (value) => (value ? new Date(value) : undefined);
+
+const dateRangeRules = [
+  query("from").optional().isISO8601().withMessage("from must be a valid date"),
+  query("to").optional().isISO8601().withMessage("to must be a valid date"),
+];
+
+/* Upper bound on daily rows so a typo can't build a huge response */
+const MAX_DAYS = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/* ==========================================================
+   📒 LIST Stock Movements — Admin, Manager & Staff
+   GET /api/inventory/movements?product=&type=&from=&to=&page=&limit=
+========================================================== */
+router.get(
+  "/movements",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_VIEW),
+  dateRangeRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { product, type, from, to } = req.query;
+      const filter = {};
+
+      if (product) {
+        if (!mongoose.Types.ObjectId.isValid(product))
+          return res.status(400).json({ message: "Invalid product ID format" });
+        filter.product = product;
+      }
+      if (type) filter.type = { $in: String(type).split(",") };
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = parseDate(from);
+        if (to) filter.date.$lte = parseDate(to);
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+          .populate("product", "sku name unit kind")
+          .sort({ date: -1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        StockMovement.countDocuments(filter),
+      ]);
+
+      res.json({ movements, total, page, limit });
+    } catch (err) {
+      console.error("❌ Error loading stock movements:", err);
+      res.status(500).json({ message: "Failed to load stock movements", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🔍 GET Single Movement (with expenses linked to a receipt)
+========================================================== */
+router.get(
+  "/movements/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_VIEW),
+  validateObjectId,
+  async (req, res) => {
+    try {
+      const movement = await StockMovement.findById(req.params.id).populate("product", "sku name unit kind");
+      if (!movement) return res.status(404).json({ message: "Stock movement not found" });
+
+      const expenses =
+        movement.type === MOVEMENT_TYPES.RECEIPT
+          ? await Expense.find({ stockReceipt: movement._id }).select("title amount date createdBy").lean()
+          : [];
+
+      res.json({ movement, expenses });
+    } catch (err) {
+      console.error("❌ Error loading stock movement:", err);
+      res.status(500).json({ message: "Failed to load stock movement", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ➕ RECORD Stock Movement — Admin, Manager & Staff
+   Adjustments (signed quantity) also need inventory:adjust
+========================================================== */
+router.post(
+  "/movements",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_MOVE),
+  [
+    body("product").isMongoId().withMessage("Valid product ID is required"),
+    body("type").isIn(MANUAL_TYPES).withMessage(`Type must be one of: ${MANUAL_TYPES.join(", ")}`),
+    body("quantity").isFloat().withMessage("Quantity must be a number").toFloat(),
+    body("unitCost").optional().isFloat({ min: 0 }).withMessage("Unit cost must be 0 or more").toFloat(),
+    body("totalCost").optional().isFloat({ min: 0 }).withMessage("Total cost must be 0 or more").toFloat(),
+    body("supplier").optional().isString().trim(),
+    body("reference").optional().isString().trim(),
+    body("note").optional().isString().trim(),
+    body("date").optional().isISO8601().withMessage("Date must be ISO 8601").toDate(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    if (req.body.type === MOVEMENT_TYPES.ADJUSTMENT && !req.body.note) {
+      return res.status(400).json({ message: "Adjustments need a note explaining the correction." });
+    }
+
+    try {
+      if (req.body.type === MOVEMENT_TYPES.ADJUSTMENT && !(await hasPermission(req.user, PERMISSIONS.INVENTORY_ADJUST))) {
+        return res.status(403).json({ message: "You don't have permission to record stock adjustments." });
+      }
+
+      const movement = await recordMovement(req.body, req.user);
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "StockMovement", after: movement });
+      res.status(201).json({ message: "✅ Stock movement recorded", movement });
+    } catch (err) {
+      console.error("❌ Error recording stock movement:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to record stock movement", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📊 BALANCES — current, or as of a past date
+   GET /api/inventory/balances?asOf=&product=
+========================================================== */
+router.get(
+  "/balances",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_VIEW),
+  async (req, res) => {
+    try {
+      const { product } = req.query;
+      if (product && !mongoose.Types.ObjectId.isValid(product))
+        return res.status(400).json({ message: "Invalid product ID format" });
+
+      const asOf = parseDate(req.query.asOf);
+      if (asOf && Number.isNaN(asOf.getTime()))
+        return res.status(400).json({ message: "asOf must be a valid date" });
+
+      const balances = await getBalances({ asOf, productId: product });
+      res.json({ asOf: asOf || new Date(), balances });
+    } catch (err) {
+      console.error("❌ Error loading balances:", err);
+      res.status(500).json({ message: "Failed to load balances", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📈 DAILY BALANCE for one item over a date range
+   GET /api/inventory/balances/:id/daily?from=&to=  (at most MAX_DAYS days)
+========================================================== */
+router.get(
+  "/balances/:id/daily",
+  verifyToken,
+  requirePermission(PERMISSIONS.INVENTORY_VIEW),
+  validateObjectId,
+  dateRangeRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const product = await Product.findById(req.params.id).select("sku name unit");
+      if (!product) return res.status(404).json({ message: "Product not found" });
+
+      const to = parseDate(req.query.to) || new Date();
+      const from = parseDate(req.query.from) || new Date(to.getTime() - 29 * DAY);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to)
+        return res.status(400).json({ message: "Provide a valid from/to date range" });
+
+      const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+      if (Math.floor((to - start) / DAY) + 1 > MAX_DAYS)
+        return res.status(400).json({ message: `Date range can cover at most ${MAX_DAYS} days` });
+
+      const [opening] = await getBalances({ asOf: new Date(start.getTime() - 1), productId: product._id });
+      const perDay = await StockMovement.aggregate([
+        { $match: { product: product._id, date: { $gte: start, $lte: to } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+            delta: { $sum: "$delta" },
+          },
+        },
+      ]);
+      const deltas = new Map(perDay.map((d) => [d._id, d.delta]));
+
+      // 📅 Running balance, one row per day (days without movements carry over)
+      let balance = opening?.balance || 0;
+      const days = [];
+      for (let day = new Date(start); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+        const key = day.toISOString().split("T")[0];
+        const change = deltas.get(key) || 0;
+        balance += change;
+        days.push({ date: key, change, balance });
+      }
+
+      res.json({ product, opening: opening?.balance || 0, days });
+    } catch (err) {
+      console.error("❌ Error loading daily balance:", err);
+      res.status(500).json({ message: "Failed to load daily balance", error: err.message });
+    }
+  }
+);
+
+export default router;
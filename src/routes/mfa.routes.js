@@ -0,0 +1,209 @@
+// src/routes/mfa.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import { verifyToken, verifyTokenOrMfaSetup } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { issueSession, revokeAllSessions } from "../utils/tokens.js";
+import { registerLoginSuccess } from "../utils/loginThrottle.js";
+import { manageError } from "../utils/roleGuards.js";
+import { recordAudit } from "../utils/audit.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import {
+  mfaRequiredFor,
+  loadUserWithMfa,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableMfa,
+} from "../utils/mfa.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/* 📜 Audit a 2FA on/off switch */
+const auditMfa = (req, user, enabled, summary) =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    model: "User",
+    targetId: user._id,
+    before: { mfaEnabled: !enabled },
+    after: { mfaEnabled: enabled },
+    actor: req.mfaSetup ? user : undefined,
+    summary,
+  });
+
+const codeRule = body("code").isString().trim().notEmpty().withMessage("Authentication code is required");
+
+/* ==========================================================
+   ℹ️ 2FA STATUS — current user
+   ========================================================== */
+router.get("/status", verifyToken, async (req, res) => {
+  try {
+    const user = await loadUserWithMfa(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      enabled: Boolean(user.mfa?.enabled),
+      enabledAt: user.mfa?.enabledAt || null,
+      required: mfaRequiredFor(user),
+      recoveryCodesLeft: user.mfa?.enabled ? (user.mfa.recoveryCodes || []).length : 0,
+    });
+  } catch (err) {
+    console.error("❌ Error loading 2FA status:", err);
+    res.status(500).json({ message: "Failed to load two-factor status", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ➕ 2FA SETUP — step 1: secret + otpauth:// URI (show as QR)
+   Accepts an access token or the login setup token
+   ========================================================== */
+router.post("/setup", verifyTokenOrMfaSetup, async (req, res) => {
+  try {
+    const user = await loadUserWithMfa(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { secret, otpauthUrl } = await startEnrollment(user);
+    res.json({
+      message: "Scan the QR code in your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error starting 2FA setup:", err);
+    res.status(500).json({ message: "Failed to start two-factor setup", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✅ 2FA ENABLE — step 2: confirm a code, get recovery codes
+   Body: { code }. With a setup token, the response also
+   carries the session the login was waiting for.
+   ========================================================== */
+router.post("/enable", verifyTokenOrMfaSetup, [codeRule], validate, async (req, res) => {
+  try {
+    const user = await loadUserWithMfa(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    await auditMfa(req, user, true, "Two-factor authentication enabled");
+    const response = {
+      message: "✅ Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    };
+
+    if (req.mfaSetup) {
+      await registerLoginSuccess(user.email);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOGIN,
+        model: "User",
+        targetId: user._id,
+        actor: user,
+        summary: "Login after two-factor setup",
+      });
+      Object.assign(response, await issueSession(user, req), {
+        user: { id: user._id, fullName: user.fullName, email: user.email, role: user.role },
+      });
+    }
+    res.json(response);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("❌ Error enabling 2FA:", err);
+    res.status(500).json({ message: "Failed to enable two-factor authentication", error: err.message });
+  }
+});
+
+/* ==========================================================
+   🔁 NEW RECOVERY CODES — Body: { code }
+   The old codes stop working
+   ========================================================== */
+router.post("/recovery-codes", verifyToken, [codeRule], validate, async (req, res) => {
+  try {
+    const user = await loadUserWithMfa(req.user.id);
+    if (!user?.mfa?.enabled) return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+
+    if (!(await verifySecondFactor(user, { code: req.body.code })))
+      return res.status(401).json({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "User",
+      targetId: user._id,
+      summary: "Two-factor recovery codes regenerated",
+    });
+    res.json({ message: "✅ New recovery codes generated", recoveryCodes });
+  } catch (err) {
+    console.error("❌ Error regenerating recovery codes:", err);
+    res.status(500).json({ message: "Failed to regenerate recovery codes", error: err.message });
+  }
+});
+
+/* ==========================================================
+   🚫 2FA DISABLE — Body: { password, code }
+   Not allowed for roles that must use 2FA
+   ========================================================== */
+router.post(
+  "/disable",
+  verifyToken,
+  [body("password").isString().notEmpty().withMessage("Password is required"), codeRule],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await loadUserWithMfa(req.user.id);
+      if (!user?.mfa?.enabled) return res.status(409).json({ message: "Two-factor authentication is not enabled" });
+      if (mfaRequiredFor(user))
+        return res.status(403).json({ message: "Two-factor authentication is required for your role" });
+
+      const passwordOk = await user.comparePassword(req.body.password);
+      const codeOk = passwordOk && (await verifySecondFactor(user, { code: req.body.code }));
+      if (!codeOk) return res.status(401).json({ message: "Invalid password or authentication code" });
+
+      await disableMfa(user);
+      await auditMfa(req, user, false, "Two-factor authentication disabled");
+      res.json({ message: "✅ Two-factor authentication disabled" });
+    } catch (err) {
+      console.error("❌ Error disabling 2FA:", err);
+      res.status(500).json({ message: "Failed to disable two-factor authentication", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🛠️ RESET A USER'S 2FA — Admin only (lost device)
+   Signs the user out; they enroll again at next login
+   ========================================================== */
+router.delete("/users/:id", verifyToken, requirePermission(PERMISSIONS.USERS_RESET_MFA), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(400).json({ message: "Invalid user ID format" });
+
+    const user = await loadUserWithMfa(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const denied = manageError(req.user, user);
+    if (denied) return res.status(403).json({ message: denied });
+
+    await disableMfa(user);
+    await revokeAllSessions(user._id, "two-factor reset");
+    await auditMfa(req, user, false, "Two-factor authentication reset by admin");
+    res.json({ message: `✅ Two-factor authentication reset for ${user.email}` });
+  } catch (err) {
+    console.error("❌ Error resetting 2FA:", err);
+    res.status(500).json({ message: "Failed to reset two-factor authentication", error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,284 @@
+// src/routes/order.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, query, validationResult } from "express-validator";
+import Order from "../models/Order.js";
+import ProductionBatch from "../models/ProductionBatch.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { ORDER_STATUS } from "../constants/orders.js";
+import { defaultTaxPercent } from "../utils/orderPricing.js";
+import { applyCatalog, deductStockForOrder, reverseOrderStock } from "../utils/inventory.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+import { searchRegex } from "../utils/search.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: reject malformed order ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid order ID format" });
+  }
+  next();
+};
+
+/* ==========================================================
+   📋 ORDER BOARD — Admin & Manager
+   GET /api/orders?status=&customerEmail=&q=&from=&to=&page=&limit=
+========================================================== */
+router.get(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_VIEW),
+  [
+    query("q").optional().isString().isLength({ max: 100 }).withMessage("Search must be at most 100 characters"),
+    query("from").optional().isISO8601().withMessage("from must be a valid date"),
+    query("to").optional().isISO8601().withMessage("to must be a valid date"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { status, customerEmail, q, from, to } = req.query;
+      const filter = {};
+
+      if (status) {
+        const statuses = String(status).split(",").map((s) => s.trim());
+        const invalid = statuses.filter((s) => !Object.values(ORDER_STATUS).includes(s));
+        if (invalid.length > 0) {
+          return res.status(400).json({ message: `Unknown status: ${invalid.join(", ")}` });
+        }
+        filter.status = { $in: statuses };
+      }
+
+      if (customerEmail) filter.customerEmail = String(customerEmail).toLowerCase();
+
+      if (q) {
+        const regex = searchRegex(q);
+        filter.$or = [{ product: regex }, { customerName: regex }, { customerEmail: regex }];
+      }
+
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      const [orders, total] = await Promise.all([
+        Order.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Order.countDocuments(filter),
+      ]);
+
+      res.json({ orders, total, page, limit });
+    } catch (err) {
+      console.error("❌ Error loading orders:", err);
+      res.status(500).json({ message: "Failed to load orders", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🔍 GET Single Order — Admin & Manager
+========================================================== */
+router.get("/:id", verifyToken, requirePermission(PERMISSIONS.ORDERS_VIEW), validateObjectId, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    // 🏭 Production batches producing this order
+    const batches = await ProductionBatch.find({ orders: order._id })
+      .select("batchNumber status plannedQuantity actualOutput startedAt finishedAt")
+      .sort({ createdAt: 1 });
+
+    res.json({ order, batches });
+  } catch (err) {
+    console.error("❌ Error loading order:", err);
+    res.status(500).json({ message: "Failed to load order", error: err.message });
+  }
+});
+
+/* ==========================================================
+   🕒 GET Order Status History — Admin & Manager
+========================================================== */
+router.get("/:id/history", verifyToken, requirePermission(PERMISSIONS.ORDERS_VIEW), validateObjectId, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("status statusHistory");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    res.json({ status: order.status, history: order.statusHistory });
+  } catch (err) {
+    console.error("❌ Error loading order history:", err);
+    res.status(500).json({ message: "Failed to load order history", error: err.message });
+  }
+});
+
+/* ==========================================================
+   💵 SET Order Line Items & Pricing — Admin & Manager
+   Only while the order is still Pending; totals are recomputed
+========================================================== */
+router.put(
+  "/:id/items",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_EDIT),
+  validateObjectId,
+  [
+    body("items").isArray({ min: 1 }).withMessage("Items must be a non-empty list"),
+    body("items.*.product").trim().notEmpty().withMessage("Each item needs a product"),
+    body("items.*.productId").optional({ values: "null" }).isMongoId().withMessage("Invalid productId"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1").toInt(),
+    body("items.*.unitPrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit price must be 0 or more")
+      .toFloat(),
+    body("items.*.discountPercent")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Discount must be between 0 and 100")
+      .toFloat(),
+    body("items.*.taxPercent")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Tax must be 0 or more")
+      .toFloat(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) return res.status(404).json({ message: "Order not found" });
+
+      if (order.status !== ORDER_STATUS.PENDING) {
+        return res.status(409).json({
+          message: `Order is already ${order.status}; items can only change while Pending`,
+        });
+      }
+
+      const before = auditSnapshot(order);
+      const items = req.body.items.map((item) => ({
+        productId: item.productId || null,
+        product: item.product,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        discountPercent: item.discountPercent ?? 0,
+        taxPercent: item.taxPercent ?? defaultTaxPercent(),
+      }));
+
+      // 🏷️ Catalog prices apply unless the manager set an explicit price
+      order.items = await applyCatalog(items, { keepPrices: true });
+      await order.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Order", before, after: order });
+
+      res.json({ message: "✅ Order items updated", order });
+    } catch (err) {
+      console.error("❌ Error updating order items:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to update order items", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🚦 CHANGE Order Status — Admin & Manager
+   Pending → Processing → Completed (or Cancelled before completion)
+========================================================== */
+router.patch(
+  "/:id/status",
+  verifyToken,
+  requirePermission(PERMISSIONS.ORDERS_EDIT),
+  validateObjectId,
+  [
+    body("status")
+      .isIn(Object.values(ORDER_STATUS))
+      .withMessage(`Status must be one of: ${Object.values(ORDER_STATUS).join(", ")}`),
+    body("note").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) return res.status(404).json({ message: "Order not found" });
+
+      if (!order.canTransitionTo(req.body.status)) {
+        return res.status(409).json({
+          message: `Cannot move order from ${order.status} to ${req.body.status}`,
+        });
+      }
+
+      const before = auditSnapshot(order);
+      const { status, note = "" } = req.body;
+
+      // 📦 Completing an order ships catalog stock out of the warehouse.
+      // The flag is claimed before any movement is written, so two
+      // concurrent completions cannot both deduct stock.
+      let deducted = null;
+      if (status === ORDER_STATUS.COMPLETED && !order.stockDeducted) {
+        const claimed = await Order.findOneAndUpdate(
+          { _id: order._id, status: order.status, stockDeducted: { $ne: true } },
+          { $set: { stockDeducted: true } }
+        );
+        if (!claimed) return res.status(409).json({ message: "Order is already being completed" });
+
+        try {
+          deducted = await deductStockForOrder(order, req.user);
+        } catch (err) {
+          await Order.updateOne({ _id: order._id }, { $set: { stockDeducted: false } });
+          throw err;
+        }
+      }
+
+      // 🔒 Claim the move from the status that was checked — a
+      // concurrent change (e.g. a cancel) wins, and stock taken
+      // out for this completion is put back
+      let updated = null;
+      try {
+        updated = await Order.findOneAndUpdate(
+          { _id: order._id, status: order.status },
+          { $set: { status }, $push: { statusHistory: { status, changedBy: req.user.email, note } } },
+          { new: true, runValidators: true }
+        );
+      } finally {
+        if (!updated && deducted) {
+          await reverseOrderStock(order, deducted, req.user);
+          await Order.updateOne({ _id: order._id }, { $set: { stockDeducted: false } });
+        }
+      }
+      if (!updated) {
+        return res.status(409).json({ message: "Order status was changed by someone else — reload it and try again" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.STATUS_CHANGE,
+        model: "Order",
+        before,
+        after: updated,
+        summary: note,
+      });
+
+      res.json({ message: `✅ Order marked as ${updated.status}`, order: updated });
+    } catch (err) {
+      console.error("❌ Error updating order status:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to update order status", error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,195 @@
+// src/routes/payRules.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import PayRules from "../models/PayRules.js";
+import Holiday from "../models/Holiday.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { SHIFTS } from "../constants/shifts.js";
+import { getPayRules, invalidatePayRules } from "../utils/payRules.js";
+import { repriceAllEmployees } from "../utils/timesheets.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/* ==========================================================
+   📋 GET Current Pay Rules — Admin & Manager
+========================================================== */
+router.get("/", verifyToken, requirePermission(PERMISSIONS.PAY_RULES_VIEW), async (_req, res) => {
+  try {
+    res.json(await getPayRules());
+  } catch (err) {
+    console.error("❌ Error loading pay rules:", err);
+    res.status(500).json({ message: "Failed to load pay rules", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✏️ UPDATE Pay Rules — Admin only
+   Body (all optional):
+   { shifts: { Night: { standardHours, payMultiplier } },
+     overtime: { weeklyThreshold, multiplier },
+     holiday: { multiplier } }
+   Every employee's salary is recalculated afterwards.
+========================================================== */
+router.put(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAY_RULES_EDIT),
+  [
+    body("shifts")
+      .optional()
+      .isObject()
+      .custom((shifts) => Object.keys(shifts).every((shift) => SHIFTS.includes(shift)))
+      .withMessage(`Shifts must be among: ${SHIFTS.join(", ")}`),
+    body("shifts.*.standardHours")
+      .optional()
+      .isFloat({ min: 0, max: 24 })
+      .withMessage("Standard hours must be between 0 and 24")
+      .toFloat(),
+    body("shifts.*.payMultiplier")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("Shift multiplier must be 1 or more")
+      .toFloat(),
+    body("overtime.weeklyThreshold")
+      .optional()
+      .isFloat({ min: 0, max: 168 })
+      .withMessage("Weekly overtime threshold must be between 0 (off) and 168 hours")
+      .toFloat(),
+    body("overtime.multiplier")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("Overtime multiplier must be 1 or more")
+      .toFloat(),
+    body("holiday.multiplier")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("Holiday multiplier must be 1 or more")
+      .toFloat(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const rules =
+        (await PayRules.findOne({ key: "default" })) || new PayRules({ key: "default" });
+      const before = auditSnapshot(rules);
+
+      for (const [shift, values] of Object.entries(req.body.shifts || {})) {
+        for (const key of ["standardHours", "payMultiplier"]) {
+          if (values?.[key] !== undefined) rules.shifts[shift][key] = values[key];
+        }
+      }
+      for (const group of ["overtime", "holiday"]) {
+        for (const [key, value] of Object.entries(req.body[group] || {})) {
+          if (rules[group][key] !== undefined && value !== undefined) rules[group][key] = value;
+        }
+      }
+      rules.updatedBy = req.user.email;
+      await rules.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "PayRules", before, after: rules });
+
+      invalidatePayRules();
+      const repriced = await repriceAllEmployees();
+
+      res.json({ message: "✅ Pay rules updated", rules: await getPayRules(), repriced });
+    } catch (err) {
+      console.error("❌ Error updating pay rules:", err);
+      const status = err.name === "ValidationError" ? 400 : 500;
+      res.status(status).json({ message: "Failed to update pay rules", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🎉 LIST Holidays — Admin & Manager
+   GET /api/pay-rules/holidays?year=2025
+========================================================== */
+router.get("/holidays", verifyToken, requirePermission(PERMISSIONS.PAY_RULES_VIEW), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.year) {
+      if (!/^\d{4}$/.test(req.query.year)) return res.status(400).json({ message: "Year must be YYYY" });
+      filter.date = { $regex: `^${req.query.year}-` };
+    }
+
+    const holidays = await Holiday.find(filter).sort({ date: 1 });
+    res.json(holidays);
+  } catch (err) {
+    console.error("❌ Error loading holidays:", err);
+    res.status(500).json({ message: "Failed to load holidays", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ➕ ADD Holiday — Admin only
+   Body: { date: "YYYY-MM-DD", name }
+========================================================== */
+router.post(
+  "/holidays",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAY_RULES_EDIT),
+  [
+    body("date")
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage("Date must be YYYY-MM-DD")
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage("Date is not a valid calendar day"),
+    body("name").isString().trim().notEmpty().withMessage("Holiday name is required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (await Holiday.exists({ date: req.body.date }))
+        return res.status(409).json({ message: `${req.body.date} is already a holiday` });
+
+      const holiday = await Holiday.create({
+        date: req.body.date,
+        name: req.body.name,
+        createdBy: req.user.email,
+      });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Holiday", after: holiday });
+      const repriced = await repriceAllEmployees();
+
+      res.status(201).json({ message: "✅ Holiday added", holiday, repriced });
+    } catch (err) {
+      console.error("❌ Error adding holiday:", err);
+      res.status(500).json({ message: "Failed to add holiday", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🗑️ DELETE Holiday — Admin only
+========================================================== */
+router.delete("/holidays/:id", verifyToken, requirePermission(PERMISSIONS.PAY_RULES_EDIT), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(400).json({ message: "Invalid holiday ID format" });
+
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) return res.status(404).json({ message: "Holiday not found" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Holiday", before: holiday });
+    const repriced = await repriceAllEmployees();
+
+    res.json({ message: "✅ Holiday removed", repriced });
+  } catch (err) {
+    console.error("❌ Error deleting holiday:", err);
+    res.status(500).json({ message: "Failed to delete holiday", error: err.message });
+  }
+});
+
+export default router;
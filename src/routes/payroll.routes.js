@@ -0,0 +1,78 @@
+// src/routes/payroll.routes.js
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import {
+  listRuns,
+  getRun,
+  createRun,
+  refreshRun,
+  updateLine,
+  approveRun,
+  payRun,
+  deleteRun,
+} from "../controllers/payroll.controller.js";
+import { verifyToken } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const adjustmentRules = (field) => [
+  body(field).optional().isArray().withMessage(`${field} must be a list`),
+  body(`${field}.*.label`).isString().trim().notEmpty().withMessage(`Each ${field} entry needs a label`),
+  body(`${field}.*.amount`).isFloat({ min: 0 }).withMessage(`Each ${field} amount must be 0 or more`).toFloat(),
+];
+
+// List runs / view one run with its lines (Admin & Manager)
+router.get("/runs", verifyToken, requirePermission(PERMISSIONS.PAYROLL_VIEW), listRuns);
+router.get("/runs/:id", verifyToken, requirePermission(PERMISSIONS.PAYROLL_VIEW), getRun);
+
+// Draft a run for a YYYY-MM period (Admin & Manager)
+router.post(
+  "/runs",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAYROLL_EDIT),
+  [
+    body("period")
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage("Period must be in YYYY-MM format"),
+    body("notes").optional().isString().trim(),
+  ],
+  validate,
+  createRun
+);
+
+// Re-snapshot a draft from current employee data (Admin & Manager)
+router.post("/runs/:id/refresh", verifyToken, requirePermission(PERMISSIONS.PAYROLL_EDIT), refreshRun);
+
+// Bonuses / deductions on a draft line (Admin & Manager)
+router.patch(
+  "/runs/:id/lines/:lineId",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAYROLL_EDIT),
+  [
+    param("lineId").isMongoId().withMessage("Invalid payroll line ID format"),
+    ...adjustmentRules("bonuses"),
+    ...adjustmentRules("deductions"),
+  ],
+  validate,
+  updateLine
+);
+
+// Approve and pay (Admin only)
+router.post("/runs/:id/approve", verifyToken, requirePermission(PERMISSIONS.PAYROLL_APPROVE), approveRun);
+router.post("/runs/:id/pay", verifyToken, requirePermission(PERMISSIONS.PAYROLL_APPROVE), payRun);
+
+// Discard a draft run (Admin & Manager)
+router.delete("/runs/:id", verifyToken, requirePermission(PERMISSIONS.PAYROLL_EDIT), deleteRun);
+
+export default router;
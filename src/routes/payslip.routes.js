@@ -0,0 +1,250 @@
+// src/routes/payslip.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, query, validationResult } from "express-validator";
+import Salary from "../models/salary.model.js";
+import User from "../models/User.js";
+import Employee from "../models/Employee.js";
+import { requireRole } from "../middleware/requireRole.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { ROLES, ELEVATED } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { buildPayslip, renderPayslipsHtml, renderPayslipsPdf } from "../utils/payslip.js";
+import { sendEmail } from "../utils/sendEmail.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/* ----------------------------------------------------------
+   Helper: reject malformed salary ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid salary ID format" });
+  }
+  next();
+};
+
+const formatRule = query("format").optional().isIn(["pdf", "html"]).withMessage("Format must be pdf or html");
+
+/* Payslips exist only for final (approved) pay */
+const findFinalSalary = (filter) => Salary.findOne({ ...filter, ...Salary.finalFilter() });
+
+/* Admins see every record; managers the records they created */
+const scopeFor = (user) => (user.role === ROLES.ADMIN ? {} : { managerId: user.id });
+
+/* Salary records that belong to a user: by their own id as staffId,
+   or by the Employee record linked to their account */
+const ownSalaryFilter = async (user) => {
+  const employee = await Employee.findOne({ userId: user.id }).select("_id");
+  const mine = [{ staffId: String(user.id) }];
+  if (employee) mine.push({ employeeId: employee._id }, { staffId: String(employee._id) });
+  return { $or: mine };
+};
+
+/* Where a payslip goes: the User whose id is the record's staffId,
+   else the account linked to the record's Employee */
+const findRecipient = async (salary) => {
+  const ids = [salary.staffId, salary.employeeId].filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return null;
+
+  const direct = await User.findById(ids[0]).select("email fullName");
+  if (direct) return direct;
+
+  const employee = await Employee.findOne({ _id: { $in: ids }, userId: { $ne: null } }).select("userId");
+  return employee ? User.findById(employee.userId).select("email fullName") : null;
+};
+
+const fileName = (salaries, extension) => {
+  const [first] = salaries;
+  const who = salaries.length === 1 ? `-${String(first.name).replace(/[^\w-]+/g, "_")}` : "";
+  return `payslip-${String(first.month).replace(/[^\w-]+/g, "_")}${who}.${extension}`;
+};
+
+/* Send one or more payslips in the requested format */
+const sendPayslips = async (res, salaries, format = "pdf") => {
+  const slips = salaries.map(buildPayslip);
+  if (format === "html") {
+    return res.type("html").send(renderPayslipsHtml(slips));
+  }
+  const pdf = await renderPayslipsPdf(slips);
+  res.type("application/pdf");
+  res.attachment(fileName(salaries, "pdf"));
+  res.send(pdf);
+};
+
+/* Email one payslip as a PDF attachment */
+const emailPayslip = async (salary) => {
+  const recipient = await findRecipient(salary);
+  if (!recipient?.email) return "skipped";
+
+  const slip = buildPayslip(salary);
+  const pdf = await renderPayslipsPdf([slip]);
+  const sent = await sendEmail(
+    recipient.email,
+    `Your payslip for ${slip.period}`,
+    `Hello ${recipient.fullName || slip.employee.name},\n\nYour payslip for ${slip.period} is attached.\nNet pay: ${slip.net.toFixed(2)}\n\n${slip.factory.name}`,
+    { attachments: [{ filename: fileName([salary], "pdf"), content: pdf }] }
+  );
+  return sent ? "sent" : "failed";
+};
+
+/* ==========================================================
+   🙋 MY Payslips — Staff self-service (own records only)
+   GET /api/payslips/mine
+========================================================== */
+router.get("/mine", verifyToken, requireRole(ROLES.STAFF, ...ELEVATED), async (req, res) => {
+  try {
+    const salaries = await Salary.find({ ...(await ownSalaryFilter(req.user)), ...Salary.finalFilter() })
+      .select("name jobTitle month netPay salary createdAt")
+      .sort({ createdAt: -1 });
+    res.json(salaries);
+  } catch (err) {
+    console.error("❌ Error loading own payslips:", err);
+    res.status(500).json({ message: "Failed to load payslips", error: err.message });
+  }
+});
+
+/* ==========================================================
+   📄 MY Payslip — Staff self-service
+   GET /api/payslips/mine/:id?format=pdf|html
+========================================================== */
+router.get(
+  "/mine/:id",
+  verifyToken,
+  requireRole(ROLES.STAFF, ...ELEVATED),
+  validateObjectId,
+  [formatRule],
+  validate,
+  async (req, res) => {
+    try {
+      const salary = await findFinalSalary({ _id: req.params.id, ...(await ownSalaryFilter(req.user)) });
+      if (!salary) return res.status(404).json({ message: "Payslip not found" });
+      await sendPayslips(res, [salary], req.query.format);
+    } catch (err) {
+      console.error("❌ Error generating own payslip:", err);
+      res.status(500).json({ message: "Failed to generate payslip", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📚 BULK Payslips for a Month — Admin & Manager
+   GET /api/payslips/bulk?month=2025-01&format=pdf|html
+   One document, one payslip per page
+========================================================== */
+router.get(
+  "/bulk",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAYSLIPS_VIEW),
+  [query("month").isString().trim().notEmpty().withMessage("Month is required"), formatRule],
+  validate,
+  async (req, res) => {
+    try {
+      const salaries = await Salary.find({
+        month: req.query.month,
+        ...scopeFor(req.user),
+        ...Salary.finalFilter(),
+      }).sort({ name: 1 });
+      if (salaries.length === 0)
+        return res.status(404).json({ message: `No approved salaries for ${req.query.month}` });
+
+      await sendPayslips(res, salaries, req.query.format);
+    } catch (err) {
+      console.error("❌ Error generating payslips:", err);
+      res.status(500).json({ message: "Failed to generate payslips", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📧 EMAIL Payslips for a Month — Admin & Manager
+   Body: { month }
+   Records without a linked staff account are skipped
+========================================================== */
+router.post(
+  "/bulk/email",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAYSLIPS_SEND),
+  [body("month").isString().trim().notEmpty().withMessage("Month is required")],
+  validate,
+  async (req, res) => {
+    try {
+      const salaries = await Salary.find({
+        month: req.body.month,
+        ...scopeFor(req.user),
+        ...Salary.finalFilter(),
+      }).sort({ name: 1 });
+      if (salaries.length === 0)
+        return res.status(404).json({ message: `No approved salaries for ${req.body.month}` });
+
+      const results = { sent: [], skipped: [], failed: [] };
+      for (const salary of salaries) {
+        const outcome = await emailPayslip(salary);
+        results[outcome].push({ id: salary._id, name: salary.name });
+      }
+
+      res.json({
+        message: `📧 ${results.sent.length} of ${salaries.length} payslips emailed`,
+        ...results,
+      });
+    } catch (err) {
+      console.error("❌ Error emailing payslips:", err);
+      res.status(500).json({ message: "Failed to email payslips", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📄 GET Payslip for a Salary / Payroll Line — Admin & Manager
+   GET /api/payslips/:id?format=pdf|html
+========================================================== */
+router.get(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.PAYSLIPS_VIEW),
+  validateObjectId,
+  [formatRule],
+  validate,
+  async (req, res) => {
+    try {
+      const salary = await findFinalSalary({ _id: req.params.id, ...scopeFor(req.user) });
+      if (!salary) return res.status(404).json({ message: "No approved salary found for this payslip" });
+      await sendPayslips(res, [salary], req.query.format);
+    } catch (err) {
+      console.error("❌ Error generating payslip:", err);
+      res.status(500).json({ message: "Failed to generate payslip", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   📧 EMAIL One Payslip — Admin & Manager
+========================================================== */
+router.post("/:id/email", verifyToken, requirePermission(PERMISSIONS.PAYSLIPS_SEND), validateObjectId, async (req, res) => {
+  try {
+    const salary = await findFinalSalary({ _id: req.params.id, ...scopeFor(req.user) });
+    if (!salary) return res.status(404).json({ message: "No approved salary found for this payslip" });
+
+    const outcome = await emailPayslip(salary);
+    if (outcome === "skipped")
+      return res.status(422).json({ message: "This salary record has no linked staff account to email" });
+    if (outcome === "failed") return res.status(502).json({ message: "Payslip email could not be sent" });
+
+    res.json({ message: "📧 Payslip emailed" });
+  } catch (err) {
+    console.error("❌ Error emailing payslip:", err);
+    res.status(500).json({ message: "Failed to email payslip", error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+// src/routes/product.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import StockMovement from "../models/StockMovement.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { PRODUCT_KINDS, MOVEMENT_TYPES } from "../constants/inventory.js";
+import { recordMovement } from "../utils/inventory.js";
+import { recordAudit } from "../utils/audit.js";
+import { searchRegex } from "../utils/search.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: reject malformed product ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid product ID format" });
+  }
+  next();
+};
+
+/* ----------------------------------------------------------
+   Shared validation for create / update
+---------------------------------------------------------- */
+const productRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("sku").isString().trim().notEmpty().withMessage("SKU is required"),
+    field("name").isString().trim().notEmpty().withMessage("Name is required"),
+    body("kind").optional().isIn(Object.values(PRODUCT_KINDS)).withMessage("Invalid product kind"),
+    body("unit").optional().isString().trim().notEmpty().withMessage("Unit cannot be empty"),
+    body("price").optional().isFloat({ min: 0 }).withMessage("Price must be 0 or more").toFloat(),
+    body("stockOnHand").optional().isFloat({ min: 0 }).withMessage("Stock must be 0 or more").toFloat(),
+    body("reorderLevel").optional().isFloat({ min: 0 }).withMessage("Reorder level must be 0 or more").toFloat(),
+    body("description").optional().isString().trim(),
+    body("isActive").optional().isBoolean().toBoolean(),
+  ];
+};
+
+// stockOnHand is not listed: stock only changes through ledger movements
+const PRODUCT_FIELDS = ["sku", "name", "description", "kind", "unit", "price", "reorderLevel", "isActive"];
+
+/* ==========================================================
+   📦 GET Product Catalog — any logged-in user
+   Customers only see active products
+   GET /api/products?q=&active=&lowStock=true
+========================================================== */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const { q, active, lowStock, kind } = req.query;
+    const isCustomer = req.user.role === ROLES.CUSTOMER;
+
+    let filter = {};
+    if (lowStock === "true") filter = Product.lowStockFilter();
+    if (isCustomer) filter.isActive = true;
+    else if (active !== undefined) filter.isActive = active === "true";
+
+    if (kind) filter.kind = String(kind);
+
+    if (q) {
+      const regex = searchRegex(q);
+      filter.$or = [{ name: regex }, { sku: regex }];
+    }
+
+    const products = await Product.find(filter).sort({ name: 1 });
+    res.json(products);
+  } catch (err) {
+    console.error("❌ Error loading products:", err);
+    res.status(500).json({ message: "Failed to load products", error: err.message });
+  }
+});
+
+/* ==========================================================
+   📉 GET Low-Stock Products — Admin, Manager & Staff
+========================================================== */
+router.get("/low-stock", verifyToken, requirePermission(PERMISSIONS.INVENTORY_VIEW), async (_req, res) => {
+  try {
+    const products = await Product.findLowStock();
+    res.json({ count: products.length, products });
+  } catch (err) {
+    console.error("❌ Error loading low-stock products:", err);
+    res.status(500).json({ message: "Failed to load low-stock products", error: err.message });
+  }
+});
+
+/* ==========================================================
+   🔍 GET Single Product
+========================================================== */
+router.get("/:id", verifyToken, validateObjectId, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product || (req.user.role === ROLES.CUSTOMER && !product.isActive)) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    res.json(product);
+  } catch (err) {
+    console.error("❌ Error loading product:", err);
+    res.status(500).json({ message: "Failed to load product", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ➕ ADD Product — Admin & Manager
+========================================================== */
+router.post("/", verifyToken, requirePermission(PERMISSIONS.PRODUCTS_EDIT), productRules(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const sku = req.body.sku.toUpperCase();
+    const existing = await Product.findOne({ sku });
+    if (existing) return res.status(409).json({ message: "A product with this SKU already exists" });
+
+    const data = {};
+    for (const key of PRODUCT_FIELDS) if (req.body[key] !== undefined) data[key] = req.body[key];
+
+    let product = await Product.create({ ...data, createdBy: req.user.email });
+
+    // 📒 Opening stock goes through the ledger like any other movement
+    if (req.body.stockOnHand > 0) {
+      await recordMovement(
+        {
+          product: product._id,
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          quantity: req.body.stockOnHand,
+          note: "Opening balance",
+        },
+        req.user
+      );
+      product = await Product.findById(product._id);
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Product", after: product });
+
+    res.status(201).json({ message: "✅ Product added successfully", product });
+  } catch (err) {
+    console.error("❌ Error adding product:", err);
+    res.status(500).json({ message: "Failed to add product", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✏️ UPDATE Product — Admin & Manager
+   A changed stockOnHand is booked as a ledger adjustment
+========================================================== */
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.PRODUCTS_EDIT),
+  validateObjectId,
+  productRules(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const updates = {};
+      for (const key of PRODUCT_FIELDS) if (req.body[key] !== undefined) updates[key] = req.body[key];
+
+      if (updates.sku) {
+        updates.sku = updates.sku.toUpperCase();
+        const clash = await Product.findOne({ sku: updates.sku, _id: { $ne: req.params.id } });
+        if (clash) return res.status(409).json({ message: "A product with this SKU already exists" });
+      }
+
+      const before = await Product.findById(req.params.id).lean();
+      if (!before) return res.status(404).json({ message: "Product not found" });
+
+      let product = await Product.findByIdAndUpdate(req.params.id, updates, {
+        new: true,
+        runValidators: true,
+      });
+      if (!product) return res.status(404).json({ message: "Product not found" });
+
+      // 📒 A new stock figure is booked as a count adjustment
+      if (req.body.stockOnHand !== undefined && req.body.stockOnHand !== product.stockOnHand) {
+        await recordMovement(
+          {
+            product: product._id,
+            type: MOVEMENT_TYPES.ADJUSTMENT,
+            quantity: req.body.stockOnHand - product.stockOnHand,
+            note: "Stock count correction",
+          },
+          req.user
+        );
+        product = await Product.findById(product._id);
+      }
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Product", before, after: product });
+
+      res.json({ message: "✅ Product updated successfully", product });
+    } catch (err) {
+      console.error("❌ Error updating product:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to update product", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🗑️ DELETE Product — Admin only
+   Products already used on orders must be deactivated instead
+========================================================== */
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.PRODUCTS_DELETE), validateObjectId, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const inUse =
+      (await Order.exists({ "items.productId": product._id })) ||
+      (await StockMovement.exists({ product: product._id }));
+    if (inUse) {
+      return res.status(409).json({
+        message: "Product has orders or stock history; set isActive to false instead of deleting it",
+      });
+    }
+
+    await product.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Product", before: product });
+    res.json({ message: "✅ Product removed successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting product:", err);
+    res.status(500).json({ message: "Failed to delete product", error: err.message });
+  }
+});
+
+export default router;
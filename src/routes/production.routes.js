@@ -0,0 +1,464 @@
+// src/routes/production.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import ProductionBatch, { BATCH_STATUS } from "../models/ProductionBatch.js";
+import Product from "../models/Product.js";
+import Employee from "../models/Employee.js";
+import Order from "../models/Order.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { SHIFTS } from "../constants/shifts.js";
+import { MOVEMENT_TYPES } from "../constants/inventory.js";
+import { recordMovement } from "../utils/inventory.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: reject malformed batch ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid batch ID format" });
+  }
+  next();
+};
+
+/* ----------------------------------------------------------
+   Helper: next batch number for today, e.g. PB-20250114-003
+   Follows the highest number used today, so deleted batches
+   never cause a repeat.
+---------------------------------------------------------- */
+const nextBatchNumber = async () => {
+  const today = new Date().toISOString().split("T")[0].replace(/-/g, "");
+  const prefix = `PB-${today}-`;
+  const last = await ProductionBatch.findOne({ batchNumber: new RegExp(`^${prefix}`) })
+    .sort({ batchNumber: -1 })
+    .select("batchNumber");
+  const seq = last ? Number(last.batchNumber.slice(prefix.length)) || 0 : 0;
+  return `${prefix}${String(seq + 1).padStart(3, "0")}`;
+};
+
+/* ----------------------------------------------------------
+   Helper: create a batch under the next free number
+   Two batches planned at once can pick the same number; the
+   loser of the unique index retries with the following one.
+---------------------------------------------------------- */
+const BATCH_NUMBER_ATTEMPTS = 5;
+
+const createNumberedBatch = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await ProductionBatch.create({ ...data, batchNumber: await nextBatchNumber() });
+    } catch (err) {
+      const taken = err.code === 11000 && err.keyPattern?.batchNumber;
+      if (!taken || attempt >= BATCH_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+};
+
+/* ----------------------------------------------------------
+   Helper: undo stock movements already posted for a batch
+   when a later step fails
+---------------------------------------------------------- */
+const reverseMovements = async (movements, batch, user) => {
+  for (const movement of movements) {
+    await recordMovement(
+      {
+        product: movement.product,
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        quantity: -movement.delta,
+        batch: batch._id,
+        reference: batch.batchNumber,
+        note: `Reversal of ${movement._id} (batch update failed)`,
+      },
+      user
+    );
+  }
+};
+
+/* ----------------------------------------------------------
+   Helper: confirm every referenced id exists
+   Returns an error message, or null when all are found
+---------------------------------------------------------- */
+const checkRefs = async ({ product, employees, orders, materials }) => {
+  if (product) {
+    const found = await Product.exists({ _id: product });
+    if (!found) return "Product not found";
+  }
+  if (employees?.length) {
+    const count = await Employee.countDocuments({ _id: { $in: employees } });
+    if (count !== new Set(employees.map(String)).size) return "One or more employees not found";
+  }
+  if (orders?.length) {
+    const count = await Order.countDocuments({ _id: { $in: orders } });
+    if (count !== new Set(orders.map(String)).size) return "One or more orders not found";
+  }
+  if (materials?.length) {
+    const ids = materials.map((m) => m.product);
+    const count = await Product.countDocuments({ _id: { $in: ids } });
+    if (count !== new Set(ids.map(String)).size) return "One or more materials not found";
+  }
+  return null;
+};
+
+const batchRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("product").isMongoId().withMessage("Valid product ID is required"),
+    field("plannedQuantity").isInt({ min: 1 }).withMessage("Planned quantity must be at least 1").toInt(),
+    body("shift").optional().isIn(SHIFTS).withMessage(`Shift must be one of: ${SHIFTS.join(", ")}`),
+    body("machine").optional().isString().trim(),
+    body("employees").optional().isArray().withMessage("Employees must be a list"),
+    body("employees.*").isMongoId().withMessage("Invalid employee ID"),
+    body("orders").optional().isArray().withMessage("Orders must be a list"),
+    body("orders.*").isMongoId().withMessage("Invalid order ID"),
+    body("materials").optional().isArray().withMessage("Materials must be a list"),
+    body("materials.*.product").isMongoId().withMessage("Invalid material product ID"),
+    body("materials.*.quantity").isFloat({ gt: 0 }).withMessage("Material quantity must be positive").toFloat(),
+    body("notes").optional().isString().trim(),
+  ];
+};
+
+const BATCH_FIELDS = ["product", "plannedQuantity", "shift", "machine", "employees", "orders", "materials", "notes"];
+
+/* ==========================================================
+   📋 LIST Batches — Admin, Manager & Staff
+   GET /api/production?status=&shift=&product=&order=&from=&to=
+========================================================== */
+router.get("/", verifyToken, requirePermission(PERMISSIONS.PRODUCTION_VIEW), async (req, res) => {
+  try {
+    const { status, shift, product, order, from, to } = req.query;
+    const filter = {};
+
+    if (status) filter.status = { $in: String(status).split(",") };
+    if (shift) filter.shift = String(shift);
+    if (product && mongoose.Types.ObjectId.isValid(product)) filter.product = product;
+    if (order && mongoose.Types.ObjectId.isValid(order)) filter.orders = order;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const batches = await ProductionBatch.find(filter)
+      .populate("product", "sku name unit")
+      .sort({ createdAt: -1 });
+    res.json(batches);
+  } catch (err) {
+    console.error("❌ Error loading batches:", err);
+    res.status(500).json({ message: "Failed to load production batches", error: err.message });
+  }
+});
+
+/* ==========================================================
+   🔍 GET Single Batch (with crew, orders and materials)
+========================================================== */
+router.get("/:id", verifyToken, requirePermission(PERMISSIONS.PRODUCTION_VIEW), validateObjectId, async (req, res) => {
+  try {
+    const batch = await ProductionBatch.findById(req.params.id)
+      .populate("product", "sku name unit")
+      .populate("employees", "fullName position shift")
+      .populate("orders", "customerName customerEmail product quantity status")
+      .populate("materials.product", "sku name unit");
+    if (!batch) return res.status(404).json({ message: "Production batch not found" });
+
+    res.json(batch);
+  } catch (err) {
+    console.error("❌ Error loading batch:", err);
+    res.status(500).json({ message: "Failed to load production batch", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ➕ PLAN New Batch — Admin & Manager
+========================================================== */
+router.post("/", verifyToken, requirePermission(PERMISSIONS.PRODUCTION_MANAGE), batchRules(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const problem = await checkRefs(req.body);
+    if (problem) return res.status(400).json({ message: problem });
+
+    const data = {};
+    for (const key of BATCH_FIELDS) if (req.body[key] !== undefined) data[key] = req.body[key];
+
+    const batch = await createNumberedBatch({ ...data, createdBy: req.user.email });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "ProductionBatch", after: batch });
+
+    res.status(201).json({ message: "✅ Production batch planned", batch });
+  } catch (err) {
+    console.error("❌ Error creating batch:", err);
+    res.status(500).json({ message: "Failed to create production batch", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ✏️ UPDATE Batch Plan — Admin & Manager
+   Crew, machine, notes and linked orders can change until the
+   batch is finished; product, quantity and materials only
+   while it is still planned.
+========================================================== */
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.PRODUCTION_MANAGE),
+  validateObjectId,
+  batchRules(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const batch = await ProductionBatch.findById(req.params.id);
+      if (!batch) return res.status(404).json({ message: "Production batch not found" });
+
+      if ([BATCH_STATUS.COMPLETED, BATCH_STATUS.CANCELLED].includes(batch.status)) {
+        return res.status(409).json({ message: `Batch is ${batch.status} and can no longer change` });
+      }
+
+      const planOnly = ["product", "plannedQuantity", "materials"];
+      if (batch.status !== BATCH_STATUS.PLANNED && planOnly.some((key) => req.body[key] !== undefined)) {
+        return res.status(409).json({ message: "Product, quantity and materials are fixed once a batch starts" });
+      }
+
+      const problem = await checkRefs(req.body);
+      if (problem) return res.status(400).json({ message: problem });
+
+      const before = auditSnapshot(batch);
+      const changes = {};
+      for (const key of BATCH_FIELDS) if (req.body[key] !== undefined) changes[key] = req.body[key];
+
+      // 🔒 Saved only while the batch still allows these changes, so
+      // materials can't land on a batch a concurrent start has issued
+      const planChange = planOnly.some((key) => changes[key] !== undefined);
+      const updated = await ProductionBatch.findOneAndUpdate(
+        {
+          _id: batch._id,
+          status: planChange ? BATCH_STATUS.PLANNED : { $nin: [BATCH_STATUS.COMPLETED, BATCH_STATUS.CANCELLED] },
+        },
+        { $set: changes },
+        { new: true, runValidators: true }
+      );
+      if (!updated) {
+        return res.status(409).json({ message: "Batch status changed while saving — reload it and try again" });
+      }
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "ProductionBatch", before, after: updated });
+
+      res.json({ message: "✅ Production batch updated", batch: updated });
+    } catch (err) {
+      console.error("❌ Error updating batch:", err);
+      res.status(500).json({ message: "Failed to update production batch", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ▶️ START Batch — Admin & Manager
+   Issues the planned raw materials to production. The batch is
+   claimed (Planned → In Progress) before any stock moves, so a
+   repeated or concurrent start cannot issue materials twice.
+========================================================== */
+router.post(
+  "/:id/start",
+  verifyToken,
+  requirePermission(PERMISSIONS.PRODUCTION_MANAGE),
+  validateObjectId,
+  [body("startedAt").optional().isISO8601().withMessage("startedAt must be ISO 8601").toDate()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const batch = await ProductionBatch.findById(req.params.id);
+      if (!batch) return res.status(404).json({ message: "Production batch not found" });
+
+      if (batch.status !== BATCH_STATUS.PLANNED) {
+        return res.status(409).json({ message: `Batch is already ${batch.status}` });
+      }
+
+      // 🧪 Make sure every material is available before issuing any of it
+      const stock = await Product.find({ _id: { $in: batch.materials.map((m) => m.product) } }).select(
+        "name stockOnHand"
+      );
+      const byId = new Map(stock.map((p) => [p._id.toString(), p]));
+      const short = batch.materials.find((m) => (byId.get(m.product.toString())?.stockOnHand ?? 0) < m.quantity);
+      if (short) {
+        const name = byId.get(short.product.toString())?.name || short.product;
+        return res.status(409).json({ message: `Not enough ${name} in stock (needs ${short.quantity})` });
+      }
+
+      const before = auditSnapshot(batch);
+      const started = await ProductionBatch.findOneAndUpdate(
+        { _id: batch._id, status: BATCH_STATUS.PLANNED },
+        { $set: { status: BATCH_STATUS.IN_PROGRESS, startedAt: req.body.startedAt || new Date() } },
+        { new: true }
+      );
+      if (!started) return res.status(409).json({ message: "Batch has already been started" });
+
+      const issued = [];
+      try {
+        for (const material of started.materials) {
+          issued.push(
+            await recordMovement(
+              {
+                product: material.product,
+                type: MOVEMENT_TYPES.ISSUE,
+                quantity: material.quantity,
+                batch: started._id,
+                reference: started.batchNumber,
+              },
+              req.user
+            )
+          );
+        }
+      } catch (err) {
+        // ↩️ Put back what was issued and release the batch for another try
+        await reverseMovements(issued, started, req.user);
+        await ProductionBatch.updateOne(
+          { _id: started._id, status: BATCH_STATUS.IN_PROGRESS },
+          { $set: { status: BATCH_STATUS.PLANNED, startedAt: null } }
+        );
+        throw err;
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.STATUS_CHANGE,
+        model: "ProductionBatch",
+        before,
+        after: started,
+      });
+
+      res.json({ message: "✅ Production batch started", batch: started });
+    } catch (err) {
+      console.error("❌ Error starting batch:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to start production batch", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✅ FINISH Batch — Admin & Manager
+   Records actual output and scrap; output goes into stock.
+   Claimed like START, so output is only ever posted once.
+========================================================== */
+router.post(
+  "/:id/finish",
+  verifyToken,
+  requirePermission(PERMISSIONS.PRODUCTION_MANAGE),
+  validateObjectId,
+  [
+    body("actualOutput").isInt({ min: 0 }).withMessage("Actual output must be 0 or more").toInt(),
+    body("scrap").optional().isInt({ min: 0 }).withMessage("Scrap must be 0 or more").toInt(),
+    body("finishedAt").optional().isISO8601().withMessage("finishedAt must be ISO 8601").toDate(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const batch = await ProductionBatch.findById(req.params.id);
+      if (!batch) return res.status(404).json({ message: "Production batch not found" });
+
+      if (batch.status !== BATCH_STATUS.IN_PROGRESS) {
+        return res.status(409).json({ message: "Only an in-progress batch can be finished" });
+      }
+
+      const finishedAt = req.body.finishedAt || new Date();
+      if (batch.startedAt && finishedAt < batch.startedAt) {
+        return res.status(400).json({ message: "finishedAt cannot be before startedAt" });
+      }
+
+      const before = auditSnapshot(batch);
+      const finished = await ProductionBatch.findOneAndUpdate(
+        { _id: batch._id, status: BATCH_STATUS.IN_PROGRESS },
+        {
+          $set: {
+            status: BATCH_STATUS.COMPLETED,
+            actualOutput: req.body.actualOutput,
+            scrap: req.body.scrap ?? 0,
+            finishedAt,
+          },
+        },
+        { new: true, runValidators: true }
+      );
+      if (!finished) return res.status(409).json({ message: "Batch has already been finished" });
+
+      if (req.body.actualOutput > 0) {
+        try {
+          await recordMovement(
+            {
+              product: finished.product,
+              type: MOVEMENT_TYPES.PRODUCTION_OUTPUT,
+              quantity: req.body.actualOutput,
+              batch: finished._id,
+              reference: finished.batchNumber,
+              date: finishedAt,
+            },
+            req.user
+          );
+        } catch (err) {
+          // ↩️ Reopen the batch so the finish can be retried
+          await ProductionBatch.updateOne(
+            { _id: finished._id, status: BATCH_STATUS.COMPLETED },
+            { $set: { status: BATCH_STATUS.IN_PROGRESS, actualOutput: 0, scrap: 0, finishedAt: null } }
+          );
+          throw err;
+        }
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.STATUS_CHANGE,
+        model: "ProductionBatch",
+        before,
+        after: finished,
+      });
+
+      res.json({ message: "✅ Production batch completed", batch: finished });
+    } catch (err) {
+      console.error("❌ Error finishing batch:", err);
+      res
+        .status(err.status || 500)
+        .json({ message: err.status ? err.message : "Failed to finish production batch", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ⛔ CANCEL Batch — Admin & Manager (planned batches only)
+========================================================== */
+router.post("/:id/cancel", verifyToken, requirePermission(PERMISSIONS.PRODUCTION_MANAGE), validateObjectId, async (req, res) => {
+  try {
+    const batch = await ProductionBatch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: "Production batch not found" });
+
+    if (batch.status !== BATCH_STATUS.PLANNED) {
+      return res.status(409).json({
+        message: "Only planned batches can be cancelled; finish a running batch with its actual output",
+      });
+    }
+
+    // 🔒 Only cancel if no start claimed the batch in the meantime
+    const before = auditSnapshot(batch);
+    const cancelled = await ProductionBatch.findOneAndUpdate(
+      { _id: batch._id, status: BATCH_STATUS.PLANNED },
+      { $set: { status: BATCH_STATUS.CANCELLED } },
+      { new: true }
+    );
+    if (!cancelled) return res.status(409).json({ message: "Batch has already been started" });
+    await recordAudit(req, { action: AUDIT_ACTIONS.STATUS_CHANGE, model: "ProductionBatch", before, after: cancelled });
+
+    res.json({ message: "✅ Production batch cancelled", batch: cancelled });
+  } catch (err) {
+    console.error("❌ Error cancelling batch:", err);
+    res.status(500).json({ message: "Failed to cancel production batch", error: err.message });
+  }
+});
+
+export default router;
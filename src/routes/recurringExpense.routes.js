@@ -0,0 +1,114 @@
+// src/routes/recurringExpense.routes.js
+import express from "express";
+import { body, param, query, validationResult } from "express-validator";
+import {
+  listRecurringExpenses,
+  getRecurringExpense,
+  createRecurringExpense,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipOccurrence,
+  unskipOccurrence,
+  deleteRecurringExpense,
+} from "../controllers/recurringExpense.controller.js";
+import { verifyToken } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { EXPENSE_CATEGORIES, RECURRING_FREQUENCIES, RECURRING_STATUS } from "../constants/expenses.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const FREQUENCIES = Object.values(RECURRING_FREQUENCIES);
+
+const templateRules = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("title").isString().trim().notEmpty().withMessage("Title is required"),
+    field("amount").isFloat({ min: 0 }).withMessage("Amount must be 0 or more").toFloat(),
+    field("frequency").isIn(FREQUENCIES).withMessage(`Frequency must be one of: ${FREQUENCIES.join(", ")}`),
+    field("startDate").isISO8601().withMessage("Start date must be a valid date").toDate(),
+    body("category")
+      .optional()
+      .isIn(EXPENSE_CATEGORIES)
+      .withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")}`),
+    body("description").optional().isString().trim(),
+    body("costCentre").optional().isString().trim(),
+    body("interval").optional().isInt({ min: 1, max: 52 }).withMessage("Interval must be 1–52").toInt(),
+    body("dayOfWeek")
+      .optional({ values: "null" })
+      .isInt({ min: 0, max: 6 })
+      .withMessage("Day of week must be 0 (Sunday) to 6")
+      .toInt(),
+    body("dayOfMonth")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: 31 })
+      .withMessage("Day of month must be 1–31")
+      .toInt(),
+    body("endDate").optional({ values: "null" }).isISO8601().withMessage("End date must be a valid date").toDate(),
+  ];
+};
+
+// Templates and their upcoming occurrences (Admin & Manager)
+router.get(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_VIEW),
+  [query("status").optional().isIn(Object.values(RECURRING_STATUS)).withMessage("Unknown status")],
+  validate,
+  listRecurringExpenses
+);
+router.get("/:id", verifyToken, requirePermission(PERMISSIONS.EXPENSES_VIEW), getRecurringExpense);
+
+// Create, change or delete a template (Admin & Manager)
+router.post(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_RECURRING),
+  templateRules(),
+  validate,
+  createRecurringExpense
+);
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_RECURRING),
+  templateRules(true),
+  validate,
+  updateRecurringExpense
+);
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.EXPENSES_RECURRING), deleteRecurringExpense);
+
+// Pause / resume a schedule
+router.post("/:id/pause", verifyToken, requirePermission(PERMISSIONS.EXPENSES_RECURRING), pauseRecurringExpense);
+router.post("/:id/resume", verifyToken, requirePermission(PERMISSIONS.EXPENSES_RECURRING), resumeRecurringExpense);
+
+// Skip one occurrence (default: the next) or undo a skip
+router.post(
+  "/:id/skip",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_RECURRING),
+  [body("date").optional().matches(DAY).withMessage("Date must be in YYYY-MM-DD format")],
+  validate,
+  skipOccurrence
+);
+router.delete(
+  "/:id/skip/:date",
+  verifyToken,
+  requirePermission(PERMISSIONS.EXPENSES_RECURRING),
+  [param("date").matches(DAY).withMessage("Date must be in YYYY-MM-DD format")],
+  validate,
+  unskipOccurrence
+);
+
+export default router;
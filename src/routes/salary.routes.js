@@ -1,16 +1,74 @@
 import express from "express";
-import { addSalary, getSalaries, deleteSalary } from "../controllers/salary.controller.js";
+import { body, validationResult } from "express-validator";
+import {
+  addSalary,
+  getSalaries,
+  getSalary,
+  updateSalary,
+  submitSalary,
+  approveSalary,
+  rejectSalary,
+  deleteSalary,
+} from "../controllers/salary.controller.js";
 import { verifyToken } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 
 const router = express.Router();
 
-// Add new salary (Manager only)
-router.post("/", verifyToken, addSalary);
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
 
-// Get all salaries for logged-in manager
-router.get("/", verifyToken, getSalaries);
+/* Salary record fields — required on create, optional on update */
+const salaryRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name").isString().trim().notEmpty().withMessage("Name is required"),
+    field("jobTitle").isString().trim().notEmpty().withMessage("Job title is required"),
+    field("salary").isFloat({ min: 0 }).withMessage("Salary must be 0 or more").toFloat(),
+    field("month").isString().trim().notEmpty().withMessage("Month is required"),
+    body("staffId").optional().isString().trim(),
+    body("contact").optional().isString().trim(),
+    body("date").optional().isISO8601().withMessage("Date must be ISO 8601"),
+  ];
+};
 
-// Delete salary record
-router.delete("/:id", verifyToken, deleteSalary);
+// Add new salary as a draft (Admin & Manager)
+router.post("/", verifyToken, requirePermission(PERMISSIONS.SALARIES_EDIT), salaryRules(), validate, addSalary);
+
+// Own salaries for managers; all managers' salaries for admins
+router.get("/", verifyToken, requirePermission(PERMISSIONS.SALARIES_VIEW), getSalaries);
+router.get("/:id", verifyToken, requirePermission(PERMISSIONS.SALARIES_VIEW), getSalary);
+
+// Edit a draft or rejected record (owner or Admin)
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.SALARIES_EDIT),
+  salaryRules(true),
+  validate,
+  updateSalary
+);
+
+// Approval workflow: submit (owner or Admin) → approve / reject (salaries:approve, never your own record)
+router.post("/:id/submit", verifyToken, requirePermission(PERMISSIONS.SALARIES_EDIT), submitSalary);
+router.post("/:id/approve", verifyToken, requirePermission(PERMISSIONS.SALARIES_APPROVE), approveSalary);
+router.post(
+  "/:id/reject",
+  verifyToken,
+  requirePermission(PERMISSIONS.SALARIES_APPROVE),
+  [body("reason").isString().trim().notEmpty().withMessage("A rejection reason is required")],
+  validate,
+  rejectSalary
+);
+
+// Delete salary record (owner or Admin; not once approved)
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.SALARIES_EDIT), deleteSalary);
 
 export default router;
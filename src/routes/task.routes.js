@@ -1,9 +1,13 @@
 // src/routes/task.routes.js
 import express from "express";
 import Task from "../models/Task.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 import { requireRole } from "../middleware/requireRole.js";
+import { requirePermission } from "../middleware/requirePermission.js";
 import { verifyToken } from "../middleware/auth.js";
 import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -13,7 +17,7 @@ const router = express.Router();
 router.get(
   "/",
   verifyToken,
-  requireRole(ROLES.ADMIN, ROLES.MANAGER),
+  requirePermission(PERMISSIONS.TASKS_VIEW_ALL),
   async (req, res) => {
     try {
       const tasks = await Task.find().sort({ createdAt: -1 });
@@ -115,6 +119,7 @@ router.post("/", verifyToken, async (req, res) => {
     });
 
     await newTask.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Task", after: newTask });
 
     res.status(201).json({
       message: isCustomer
@@ -136,7 +141,7 @@ router.post("/", verifyToken, async (req, res) => {
 router.post(
   "/assign",
   verifyToken,
-  requireRole(ROLES.ADMIN, ROLES.MANAGER),
+  requirePermission(PERMISSIONS.TASKS_ASSIGN),
   async (req, res) => {
     try {
       const { requestId, staffId, staffName } = req.body;
@@ -151,12 +156,20 @@ router.post(
       if (!task) return res.status(404).json({ message: "Task not found" });
 
       // ✅ Update assignment fields
+      const before = auditSnapshot(task);
       task.assignedTo = staffId;
       task.assignedName = staffName;
       task.roleType = "staff";
       task.status = "assigned";
 
       await task.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        model: "Task",
+        before,
+        after: task,
+        summary: `Assigned to ${staffName}`,
+      });
 
       res.status(200).json({
         message: "✅ Request assigned to staff successfully",
@@ -208,8 +221,10 @@ router.patch("/:id", verifyToken, async (req, res) => {
       });
     }
 
+    const before = auditSnapshot(task);
     task.status = status || task.status;
     await task.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.STATUS_CHANGE, model: "Task", before, after: task });
 
     res.status(200).json({ message: "✅ Task updated successfully", task });
   } catch (err) {
@@ -227,13 +242,14 @@ router.patch("/:id", verifyToken, async (req, res) => {
 router.delete(
   "/:id",
   verifyToken,
-  requireRole(ROLES.ADMIN, ROLES.MANAGER),
+  requirePermission(PERMISSIONS.TASKS_DELETE),
   async (req, res) => {
     try {
       const { id } = req.params;
       const deleted = await Task.findByIdAndDelete(id);
       if (!deleted)
         return res.status(404).json({ message: "Task not found" });
+      await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Task", before: deleted });
 
       res.status(200).json({ message: "🗑️ Task deleted successfully" });
     } catch (err) {
@@ -0,0 +1,340 @@
+// src/routes/timesheet.routes.js
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import Timesheet, { TIMESHEET_STATUS } from "../models/Timesheet.js";
+import Employee from "../models/Employee.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { verifyToken } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { SHIFTS } from "../constants/shifts.js";
+import { recomputeEmployeeHours } from "../utils/timesheets.js";
+import { recordAudit, auditSnapshot } from "../utils/audit.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------------
+   Helper: reject malformed timesheet ids before hitting MongoDB
+---------------------------------------------------------- */
+const validateObjectId = (req, res, next) => {
+  if (req.params.id && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid timesheet ID format" });
+  }
+  next();
+};
+
+/* ----------------------------------------------------------
+   Helper: send express-validator errors as a 400
+---------------------------------------------------------- */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+/* ----------------------------------------------------------
+   Helper: entries that start before the employee's current pay
+   period fall in a period an approved payroll run has closed —
+   no run would ever pay their hours, so they are refused.
+   Returns an error message, or null when the entry is usable
+---------------------------------------------------------- */
+const closedPeriodProblem = (employee, clockIn) =>
+  employee?.periodStart && clockIn < employee.periodStart
+    ? `Payroll has closed hours before ${employee.periodStart.toISOString().slice(0, 10)}; ` +
+      "pay these hours as a bonus on the next payroll run instead"
+    : null;
+
+const entryRules = [
+  body("shift").optional().isIn(SHIFTS).withMessage(`Shift must be one of: ${SHIFTS.join(", ")}`),
+  body("breakMinutes").optional().isInt({ min: 0 }).withMessage("Break must be 0 or more minutes").toInt(),
+  body("notes").optional().isString().trim(),
+];
+
+/* ==========================================================
+   📋 LIST Timesheet Entries — Admin & Manager
+   GET /api/timesheets?employee=&status=&shift=&from=&to=
+========================================================== */
+router.get("/", verifyToken, requirePermission(PERMISSIONS.TIMESHEETS_VIEW), async (req, res) => {
+  try {
+    const { employee, status, shift, from, to } = req.query;
+    const filter = {};
+
+    if (employee) {
+      if (!mongoose.Types.ObjectId.isValid(employee))
+        return res.status(400).json({ message: "Invalid employee ID format" });
+      filter.employee = employee;
+    }
+    if (status) filter.status = { $in: String(status).split(",") };
+    if (shift) filter.shift = String(shift);
+    if (from || to) {
+      filter.clockIn = {};
+      if (from) filter.clockIn.$gte = new Date(from);
+      if (to) filter.clockIn.$lte = new Date(to);
+    }
+
+    const entries = await Timesheet.find(filter)
+      .populate("employee", "fullName position shift")
+      .sort({ clockIn: -1 });
+    res.json(entries);
+  } catch (err) {
+    console.error("❌ Error loading timesheets:", err);
+    res.status(500).json({ message: "Failed to load timesheets", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ▶️ CLOCK IN — Admin, Manager & Staff (shift supervisors)
+   Body: { employeeId, shift?, clockIn?, notes? }
+========================================================== */
+router.post(
+  "/clock-in",
+  verifyToken,
+  requirePermission(PERMISSIONS.TIMESHEETS_CLOCK),
+  [
+    body("employeeId").isMongoId().withMessage("Valid employee ID is required"),
+    body("clockIn").optional().isISO8601().withMessage("clockIn must be ISO 8601").toDate(),
+    ...entryRules,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const employee = await Employee.findById(req.body.employeeId);
+      if (!employee) return res.status(404).json({ message: "Employee not found" });
+
+      const open = await Timesheet.findOne({ employee: employee._id, status: TIMESHEET_STATUS.OPEN });
+      if (open) {
+        return res.status(409).json({ message: "Employee is already clocked in", entry: open });
+      }
+
+      const entry = await Timesheet.create({
+        employee: employee._id,
+        shift: req.body.shift || employee.shift,
+        clockIn: req.body.clockIn || new Date(),
+        notes: req.body.notes,
+        createdBy: req.user.email,
+      });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Timesheet", after: entry, summary: "Clock in" });
+
+      res.status(201).json({ message: "✅ Clocked in", entry });
+    } catch (err) {
+      console.error("❌ Error clocking in:", err);
+      res.status(500).json({ message: "Failed to clock in", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ⏹️ CLOCK OUT — Admin, Manager & Staff
+   Body: { clockOut?, breakMinutes?, notes? }
+========================================================== */
+router.post(
+  "/:id/clock-out",
+  verifyToken,
+  requirePermission(PERMISSIONS.TIMESHEETS_CLOCK),
+  validateObjectId,
+  [body("clockOut").optional().isISO8601().withMessage("clockOut must be ISO 8601").toDate(), ...entryRules],
+  validate,
+  async (req, res) => {
+    try {
+      const entry = await Timesheet.findById(req.params.id);
+      if (!entry) return res.status(404).json({ message: "Timesheet entry not found" });
+      if (entry.status !== TIMESHEET_STATUS.OPEN)
+        return res.status(409).json({ message: "Entry is already clocked out" });
+
+      const before = auditSnapshot(entry);
+      entry.clockOut = req.body.clockOut || new Date();
+      if (req.body.breakMinutes !== undefined) entry.breakMinutes = req.body.breakMinutes;
+      if (req.body.notes !== undefined) entry.notes = req.body.notes;
+      await entry.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        model: "Timesheet",
+        before,
+        after: entry,
+        summary: "Clock out",
+      });
+
+      res.json({ message: "✅ Clocked out — awaiting approval", entry });
+    } catch (err) {
+      console.error("❌ Error clocking out:", err);
+      const status = err.name === "ValidationError" ? 400 : 500;
+      res.status(status).json({ message: "Failed to clock out", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ➕ MANUAL Entry — Admin & Manager
+   Body: { employeeId, clockIn, clockOut, shift?, breakMinutes?, notes? }
+========================================================== */
+router.post(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.TIMESHEETS_EDIT),
+  [
+    body("employeeId").isMongoId().withMessage("Valid employee ID is required"),
+    body("clockIn").isISO8601().withMessage("clockIn must be ISO 8601").toDate(),
+    body("clockOut").isISO8601().withMessage("clockOut must be ISO 8601").toDate(),
+    ...entryRules,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const employee = await Employee.findById(req.body.employeeId);
+      if (!employee) return res.status(404).json({ message: "Employee not found" });
+      const closed = closedPeriodProblem(employee, req.body.clockIn);
+      if (closed) return res.status(409).json({ message: closed });
+
+      const entry = await Timesheet.create({
+        employee: employee._id,
+        shift: req.body.shift || employee.shift,
+        clockIn: req.body.clockIn,
+        clockOut: req.body.clockOut,
+        breakMinutes: req.body.breakMinutes,
+        notes: req.body.notes,
+        createdBy: req.user.email,
+      });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "Timesheet", after: entry });
+
+      res.status(201).json({ message: "✅ Timesheet entry added — awaiting approval", entry });
+    } catch (err) {
+      console.error("❌ Error adding timesheet entry:", err);
+      const status = err.name === "ValidationError" ? 400 : 500;
+      res.status(status).json({ message: "Failed to add timesheet entry", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✏️ EDIT Entry — Admin & Manager (not once approved)
+========================================================== */
+router.patch(
+  "/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.TIMESHEETS_EDIT),
+  validateObjectId,
+  [
+    body("clockIn").optional().isISO8601().withMessage("clockIn must be ISO 8601").toDate(),
+    body("clockOut").optional().isISO8601().withMessage("clockOut must be ISO 8601").toDate(),
+    ...entryRules,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const entry = await Timesheet.findById(req.params.id);
+      if (!entry) return res.status(404).json({ message: "Timesheet entry not found" });
+      if (entry.status === TIMESHEET_STATUS.APPROVED)
+        return res.status(409).json({ message: "Reject the entry before editing an approved timesheet" });
+
+      const before = auditSnapshot(entry);
+      for (const key of ["shift", "clockIn", "clockOut", "breakMinutes", "notes"]) {
+        if (req.body[key] !== undefined) entry[key] = req.body[key];
+      }
+      const employee = await Employee.findById(entry.employee).select("periodStart");
+      const closed = closedPeriodProblem(employee, entry.clockIn);
+      if (closed) return res.status(409).json({ message: closed });
+
+      // ✏️ An edited rejected entry goes back for review
+      if (entry.status === TIMESHEET_STATUS.REJECTED && entry.clockOut) {
+        entry.status = TIMESHEET_STATUS.PENDING;
+        entry.rejectionReason = "";
+      }
+      await entry.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, model: "Timesheet", before, after: entry });
+
+      res.json({ message: "✅ Timesheet entry updated", entry });
+    } catch (err) {
+      console.error("❌ Error updating timesheet entry:", err);
+      const status = err.name === "ValidationError" ? 400 : 500;
+      res.status(status).json({ message: "Failed to update timesheet entry", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   ✅ APPROVE Entry — Admin & Manager
+   Recomputes the employee's hoursWorked and salary; entries
+   from a period payroll has closed are refused
+========================================================== */
+router.post("/:id/approve", verifyToken, requirePermission(PERMISSIONS.TIMESHEETS_APPROVE), validateObjectId, async (req, res) => {
+  try {
+    const entry = await Timesheet.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Timesheet entry not found" });
+    if (![TIMESHEET_STATUS.PENDING, TIMESHEET_STATUS.REJECTED].includes(entry.status))
+      return res.status(409).json({ message: `Cannot approve an ${entry.status} entry` });
+    const closed = closedPeriodProblem(await Employee.findById(entry.employee).select("periodStart"), entry.clockIn);
+    if (closed) return res.status(409).json({ message: closed });
+
+    const before = auditSnapshot(entry);
+    entry.status = TIMESHEET_STATUS.APPROVED;
+    entry.reviewedBy = req.user.email;
+    entry.reviewedAt = new Date();
+    entry.rejectionReason = "";
+    await entry.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.APPROVE, model: "Timesheet", before, after: entry });
+
+    const employee = await recomputeEmployeeHours(entry.employee);
+    res.json({ message: "✅ Timesheet approved", entry, employee });
+  } catch (err) {
+    console.error("❌ Error approving timesheet:", err);
+    res.status(500).json({ message: "Failed to approve timesheet", error: err.message });
+  }
+});
+
+/* ==========================================================
+   ⛔ REJECT Entry — Admin & Manager
+   Rejecting an approved entry removes its hours again
+========================================================== */
+router.post(
+  "/:id/reject",
+  verifyToken,
+  requirePermission(PERMISSIONS.TIMESHEETS_APPROVE),
+  validateObjectId,
+  [body("reason").isString().trim().notEmpty().withMessage("A rejection reason is required")],
+  validate,
+  async (req, res) => {
+    try {
+      const entry = await Timesheet.findById(req.params.id);
+      if (!entry) return res.status(404).json({ message: "Timesheet entry not found" });
+      if (![TIMESHEET_STATUS.PENDING, TIMESHEET_STATUS.APPROVED].includes(entry.status))
+        return res.status(409).json({ message: `Cannot reject an ${entry.status} entry` });
+
+      const wasApproved = entry.status === TIMESHEET_STATUS.APPROVED;
+      const before = auditSnapshot(entry);
+      entry.status = TIMESHEET_STATUS.REJECTED;
+      entry.reviewedBy = req.user.email;
+      entry.reviewedAt = new Date();
+      entry.rejectionReason = req.body.reason;
+      await entry.save();
+      await recordAudit(req, { action: AUDIT_ACTIONS.REJECT, model: "Timesheet", before, after: entry });
+
+      const employee = wasApproved ? await recomputeEmployeeHours(entry.employee) : undefined;
+      res.json({ message: "✅ Timesheet rejected", entry, employee });
+    } catch (err) {
+      console.error("❌ Error rejecting timesheet:", err);
+      res.status(500).json({ message: "Failed to reject timesheet", error: err.message });
+    }
+  }
+);
+
+/* ==========================================================
+   🗑️ DELETE Entry — Admin & Manager (not once approved)
+========================================================== */
+router.delete("/:id", verifyToken, requirePermission(PERMISSIONS.TIMESHEETS_EDIT), validateObjectId, async (req, res) => {
+  try {
+    const entry = await Timesheet.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Timesheet entry not found" });
+    if (entry.status === TIMESHEET_STATUS.APPROVED)
+      return res.status(409).json({ message: "Reject the entry before deleting an approved timesheet" });
+
+    await entry.deleteOne();
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "Timesheet", before: entry });
+    res.json({ message: "✅ Timesheet entry removed" });
+  } catch (err) {
+    console.error("❌ Error deleting timesheet entry:", err);
+    res.status(500).json({ message: "Failed to delete timesheet entry", error: err.message });
+  }
+});
+
+export default router;
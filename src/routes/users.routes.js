@@ -4,10 +4,17 @@ import { body, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import User from "../models/User.js";
-import { requireRole } from "../middleware/requireRole.js";
-import { ROLES, ELEVATED } from "../constants/roles.js";
+import Employee from "../models/Employee.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 import { sendEmail } from "../utils/sendEmail.js";
 import { verifyToken } from "../middleware/auth.js"; // ✅ Correct middleware import
+import { issueSession, revokeAllSessions, revokeUserRefreshTokens } from "../utils/tokens.js";
+import { hasPermission } from "../utils/permissions.js";
+import { manageError, grantError, isLastActiveAdmin, LAST_ADMIN_MESSAGE } from "../utils/roleGuards.js";
+import { recordAudit } from "../utils/audit.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 
 const router = express.Router();
 
@@ -24,7 +31,7 @@ const validateObjectId = (req, res, next) => {
 /* ==========================================================
    👥 GET ALL USERS — Manager & Admin
    ========================================================== */
-router.get("/", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), async (req, res) => {
+router.get("/", verifyToken, requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     let query = {};
 
@@ -53,7 +60,7 @@ router.get("/", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), async (req
 router.post(
   "/",
   verifyToken,
-  requireRole(ROLES.MANAGER, ROLES.ADMIN),
+  requirePermission(PERMISSIONS.USERS_CREATE),
   [
     body("fullName").notEmpty().withMessage("Full name is required"),
     body("email").isEmail().withMessage("Valid email is required"),
@@ -77,6 +84,9 @@ router.post(
       const { fullName, email, password, role, phone } = req.body;
       const normalizedEmail = email.toLowerCase();
 
+      const denied = grantError(req.user, role);
+      if (denied) return res.status(403).json({ message: denied });
+
       const existing = await User.findOne({ email: normalizedEmail });
       if (existing) return res.status(409).json({ message: "Email already in use" });
 
@@ -87,6 +97,7 @@ router.post(
         role: role.toLowerCase(),
         phone,
       });
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, model: "User", after: user });
 
       res.status(201).json({
         message: "✅ User created successfully",
@@ -133,14 +144,33 @@ router.get("/profile", verifyToken, async (req, res) => {
    ========================================================== */
 router.patch("/profile", verifyToken, async (req, res) => {
   try {
-    const updates = { ...req.body };
-    delete updates.password;
+    const current = await User.findById(req.user.id).select("fullName email phone role isActive");
+    if (!current) return res.status(404).json({ message: "User not found" });
+
+    // 🛡️ Role and status are managed by admins, never by the user themselves
+    if (req.body.role !== undefined && String(req.body.role).toLowerCase() !== current.role)
+      return res.status(403).json({ message: "You can't change your own role." });
+    if (req.body.isActive !== undefined && Boolean(req.body.isActive) !== current.isActive)
+      return res.status(403).json({ message: "You can't change your own account status." });
+
+    const updates = {};
+    for (const field of ["fullName", "email", "phone"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.email) updates.email = String(updates.email).toLowerCase();
 
     const updatedUser = await User.findByIdAndUpdate(req.user.id, updates, {
       new: true,
     }).select("-password");
 
     if (!updatedUser) return res.status(404).json({ message: "User not found" });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      model: "User",
+      targetId: current._id,
+      before: current,
+      after: updates,
+    });
 
     res.json({
       message: "✅ Profile updated successfully",
@@ -172,9 +202,13 @@ router.patch("/change-password", verifyToken, async (req, res) => {
     if (!isMatch) return res.status(400).json({ message: "Old password incorrect" });
 
     user.password = newPassword;
-    await user.save();
+    await user.save(); // 🔑 bumps tokenVersion — every other session is signed out
+
+    await revokeUserRefreshTokens(user._id, "password changed");
+    await recordAudit(req, { action: AUDIT_ACTIONS.PASSWORD_CHANGE, model: "User", targetId: user._id });
+    const session = await issueSession(user, req);
 
-    res.json({ message: "✅ Password changed successfully" });
+    res.json({ message: "✅ Password changed successfully", ...session });
   } catch (error) {
     console.error("❌ Error changing password:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -184,7 +218,7 @@ router.patch("/change-password", verifyToken, async (req, res) => {
 /* ==========================================================
    📊 DASHBOARD STATS — Admin & Manager
    ========================================================== */
-router.get("/admin-stats", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), async (_req, res) => {
+router.get("/admin-stats", verifyToken, requirePermission(PERMISSIONS.USERS_VIEW), async (_req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const managers = await User.countDocuments({ role: ROLES.MANAGER });
@@ -207,25 +241,49 @@ router.get("/admin-stats", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN),
 /* ==========================================================
    ✏️ UPDATE STAFF INFO — Admin & Manager
    ========================================================== */
-router.patch("/staff/:id", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), validateObjectId, async (req, res) => {
+router.patch("/staff/:id", verifyToken, requirePermission(PERMISSIONS.USERS_EDIT), validateObjectId, async (req, res) => {
   try {
     const targetUser = await User.findById(req.params.id);
     if (!targetUser) return res.status(404).json({ message: "User not found" });
 
+    const denied = manageError(req.user, targetUser);
+    if (denied) return res.status(403).json({ message: denied });
+
     const { fullName, email, phone, role, password } = req.body;
     const updates = {};
 
     if (fullName) updates.fullName = fullName;
     if (email) updates.email = email.toLowerCase();
     if (phone) updates.phone = phone;
-    if (role) updates.role = role.toLowerCase();
-    if (password && password.trim() !== "") {
+    if (role && role.toLowerCase() !== targetUser.role) {
+      const newRole = role.toLowerCase();
+      if (!Object.values(ROLES).includes(newRole)) return res.status(400).json({ message: "Invalid role provided" });
+      if (!(await hasPermission(req.user, PERMISSIONS.USERS_CHANGE_ROLE)))
+        return res.status(403).json({ message: "You don't have permission to change user roles." });
+
+      const grantDenied = grantError(req.user, newRole);
+      if (grantDenied) return res.status(403).json({ message: grantDenied });
+      if (await isLastActiveAdmin(targetUser)) return res.status(403).json({ message: LAST_ADMIN_MESSAGE });
+      updates.role = newRole;
+    }
+    const passwordChanged = Boolean(password && password.trim() !== "");
+    if (passwordChanged) {
       updates.password = await bcrypt.hash(password, 10);
+      updates.passwordChangedAt = new Date();
+      updates.$inc = { tokenVersion: 1 }; // 🔑 sign the user out everywhere
     }
 
     const updated = await User.findByIdAndUpdate(req.params.id, updates, {
       new: true,
     }).select("fullName email phone role isActive updatedAt");
+    if (passwordChanged) await revokeUserRefreshTokens(updated._id, "password reset by admin");
+    await recordAudit(req, {
+      action: updates.role ? AUDIT_ACTIONS.ROLE_CHANGE : AUDIT_ACTIONS.UPDATE,
+      model: "User",
+      before: targetUser,
+      after: { ...updated.toObject(), ...(passwordChanged && { password: updates.password }) },
+      summary: passwordChanged ? "Password set by admin" : "",
+    });
 
     res.json({ message: "✅ User updated successfully", staff: updated });
   } catch (error) {
@@ -237,13 +295,28 @@ router.patch("/staff/:id", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN),
 /* ==========================================================
    🔄 TOGGLE USER STATUS — Admin & Manager
    ========================================================== */
-router.patch("/staff/:id/toggle", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), validateObjectId, async (req, res) => {
+router.patch("/staff/:id/toggle", verifyToken, requirePermission(PERMISSIONS.USERS_DEACTIVATE), validateObjectId, async (req, res) => {
   try {
     const staff = await User.findById(req.params.id);
     if (!staff) return res.status(404).json({ message: "User not found" });
 
+    if (String(staff._id) === String(req.user.id))
+      return res.status(403).json({ message: "You can't deactivate your own account." });
+    const denied = manageError(req.user, staff);
+    if (denied) return res.status(403).json({ message: denied });
+    if (await isLastActiveAdmin(staff)) return res.status(403).json({ message: LAST_ADMIN_MESSAGE });
+
     staff.isActive = !staff.isActive;
     await staff.save();
+    if (!staff.isActive) await revokeAllSessions(staff._id, "deactivated");
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STATUS_CHANGE,
+      model: "User",
+      targetId: staff._id,
+      before: { isActive: !staff.isActive },
+      after: { isActive: staff.isActive },
+      summary: staff.isActive ? "Activated" : "Deactivated",
+    });
 
     res.json({
       message: `Status updated (${staff.isActive ? "Activated" : "Deactivated"})`,
@@ -258,12 +331,19 @@ router.patch("/staff/:id/toggle", verifyToken, requireRole(ROLES.MANAGER, ROLES.
 /* ==========================================================
    ❌ DELETE USER — Admin & Manager
    ========================================================== */
-router.delete("/staff/:id", verifyToken, requireRole(ROLES.MANAGER, ROLES.ADMIN), validateObjectId, async (req, res) => {
+router.delete("/staff/:id", verifyToken, requirePermission(PERMISSIONS.USERS_DELETE), validateObjectId, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: "User not found" });
 
+    const denied = manageError(req.user, user);
+    if (denied) return res.status(403).json({ message: denied });
+    if (await isLastActiveAdmin(user)) return res.status(403).json({ message: LAST_ADMIN_MESSAGE });
+
     await user.deleteOne();
+    await revokeUserRefreshTokens(user._id, "user deleted");
+    await Employee.updateMany({ userId: user._id }, { userId: null }); // 🔗 keep the employee, drop the link
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, model: "User", before: user });
     res.json({ message: `🗑️ User "${user.fullName}" deleted successfully`, id: user._id });
   } catch (error) {
     console.error("❌ Error deleting user:", error);
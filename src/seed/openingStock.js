@@ -0,0 +1,27 @@
+import "dotenv/config.js";
+import { connectDB } from "../config/db.js";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { recordOpeningBalances } from "../utils/inventory.js";
+
+/* ==========================================================
+   🧾 Write opening ledger balances for stock that existed
+   before stock movements were recorded. Run once after
+   upgrading; re-running only fixes products still out of step.
+   ========================================================== */
+async function run() {
+  await connectDB(process.env.MONGODB_URI);
+
+  const admin = await User.findOne({ role: ROLES.ADMIN }).sort({ createdAt: 1 });
+  if (!admin) throw new Error("No admin account found; run `npm run seed` first");
+
+  const written = await recordOpeningBalances({ id: admin._id, email: admin.email, role: admin.role });
+
+  console.log(`✅ Opening balances recorded for ${written.length} product(s)`);
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error("❌ Error recording opening balances:", err.message);
+  process.exit(1);
+});
@@ -16,12 +16,42 @@ import expenseRoutes from "./routes/expense.routes.js";
 import employeeRoutes from "./routes/employee.routes.js";
 import salaryRoutes from "./routes/salary.routes.js"; // ✅ Salary management (new)
 import taskRoutes from "./routes/task.routes.js";
+import orderRoutes from "./routes/order.routes.js";
+import productRoutes from "./routes/product.routes.js";
+import inventoryRoutes from "./routes/inventory.routes.js";
+import productionRoutes from "./routes/production.routes.js";
+import analyticsRoutes from "./routes/analytics.routes.js";
+import payrollRoutes from "./routes/payroll.routes.js";
+import timesheetRoutes from "./routes/timesheet.routes.js";
+import payRulesRoutes from "./routes/payRules.routes.js";
+import payslipRoutes from "./routes/payslip.routes.js";
+import mfaRoutes from "./routes/mfa.routes.js";
+import budgetRoutes from "./routes/budget.routes.js";
+import recurringExpenseRoutes from "./routes/recurringExpense.routes.js";
+import { startRecurringExpenseScheduler } from "./utils/recurringExpenses.js";
 
 /* ==========================
    🚀 Express App Setup
    ========================== */
 const app = express();
 
+/* 🌐 TRUST_PROXY — who may set the client IP via X-Forwarded-For
+   Unset / "false": nobody; req.ip is the socket address.
+   "true": trust every hop (only behind a proxy that strips the header).
+   A number: trust that many hops, e.g. 1 behind Render's proxy.
+   Anything else is passed to Express as is ("loopback", IP/CIDR list).
+   Trusting a proxy that isn't there lets clients pick their own IP
+   and slip past the per-IP login throttle. */
+const parseTrustProxy = (value) => {
+  const setting = String(value ?? "").trim().toLowerCase();
+  if (setting === "" || setting === "false") return false;
+  if (setting === "true") return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return value.trim();
+};
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 /* ==========================
    🧰 Global Middleware Setup
    ========================== */
@@ -33,14 +63,26 @@ app.use(morgan("dev"));
 /* ==========================
    🧩 API Routes
    ========================== */
+app.use("/api/auth/mfa", mfaRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/users", usersRoutes);
 app.use("/api/customers", customersRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/expenses", expenseRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/recurring-expenses", recurringExpenseRoutes);
 app.use("/api/employees", employeeRoutes);
 app.use("/api/salaries", salaryRoutes); // ✅ Salary routes connected
 app.use("/api/tasks", taskRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/products", productRoutes);
+app.use("/api/inventory", inventoryRoutes);
+app.use("/api/production", productionRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/payroll", payrollRoutes);
+app.use("/api/timesheets", timesheetRoutes);
+app.use("/api/pay-rules", payRulesRoutes);
+app.use("/api/payslips", payslipRoutes);
 
 /* ==========================
    🩺 Health Check Route
@@ -84,6 +126,9 @@ connectDB(process.env.MONGODB_URI)
       console.log("✅ MongoDB connected successfully");
       console.log(`🚀 Server running at http://localhost:${PORT}`);
     });
+
+    // 🔁 Post due recurring expenses (rent, utilities …) on schedule
+    startRecurringExpenseScheduler();
   })
   .catch((err) => {
     console.error("❌ MongoDB connection failed:", err.message);
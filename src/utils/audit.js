@@ -0,0 +1,69 @@
+import AuditLog from "../models/AuditLog.js";
+
+/* ==========================================================
+   📜 Audit trail helpers
+   ----------------------------------------------------------
+   recordAudit() is called by routes after a change succeeds.
+   It never throws: a failed audit write is logged, and the
+   request carries on.
+   ========================================================== */
+// History arrays a document keeps about itself would repeat in every entry
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt", "revisions", "statusHistory"]);
+const REDACTED_FIELDS = new Set(["password", "mfa", "tokenVersion", "passwordChangedAt"]);
+
+/* Plain object for a document, a lean result or nothing */
+export const auditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true, flattenMaps: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/* Top-level fields that differ between two snapshots. With both
+   present, only fields in `after` count, so a partial `after`
+   (e.g. a select()ed result) still diffs cleanly. */
+export function diffSnapshots(before, after) {
+  const from = auditSnapshot(before) || {};
+  const to = auditSnapshot(after) || {};
+  const fields = new Set(before && after ? Object.keys(to) : [...Object.keys(from), ...Object.keys(to)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    changes.push(
+      REDACTED_FIELDS.has(field)
+        ? { field, from: "[redacted]", to: "[redacted]" }
+        : { field, from: from[field] ?? null, to: to[field] ?? null }
+    );
+  }
+  return changes;
+}
+
+/**
+ * Write one audit entry.
+ * @param req      the request (actor from req.user, IP, user agent)
+ * @param entry    { action, model, targetId?, before?, after?, summary?, actor? }
+ *                 `actor` overrides req.user (e.g. at login)
+ */
+export async function recordAudit(req, { action, model, targetId, before = null, after = null, summary = "", actor }) {
+  try {
+    const who = actor || req?.user || {};
+    const id = targetId ?? after?._id ?? before?._id ?? "";
+
+    await AuditLog.create({
+      action,
+      targetModel: model,
+      targetId: String(id),
+      summary,
+      changes: diffSnapshots(before, after),
+      actorId: who._id || who.id || null,
+      actorEmail: who.email || "",
+      actorRole: who.role || "",
+      ip: req?.ip || "",
+      userAgent: req?.get?.("user-agent") || "",
+    });
+  } catch (err) {
+    console.error("❌ Error writing audit log:", err);
+  }
+}
@@ -0,0 +1,150 @@
+import Budget from "../models/Budget.js";
+import Expense from "../models/Expense.js";
+import { COUNTED_EXPENSE_MATCH, BUDGET_THRESHOLDS } from "../constants/expenses.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { emailsWithPermission } from "./permissions.js";
+import { sendEmail } from "./sendEmail.js";
+
+/* ==========================================================
+   📊 Budget vs actual
+   ----------------------------------------------------------
+   Actual spending is the sum of approved expenses dated in
+   the budget's month (UTC) that match its category and cost
+   centre. Budget owners (budgets:view) are emailed once when
+   a budget crosses 80% and once when it crosses 100%; the
+   alert re-arms if spending drops back below, or if the
+   email could not be sent.
+   ========================================================== */
+const round = (value) => Math.round(value * 100) / 100;
+
+/* "YYYY-MM" for a date (UTC) */
+export const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+/* First instant of the month and of the next one (UTC) */
+export const monthBounds = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return { start: new Date(Date.UTC(year, monthNumber - 1, 1)), end: new Date(Date.UTC(year, monthNumber, 1)) };
+};
+
+const budgetLabel = (budget) =>
+  `${budget.category || "All categories"}${budget.costCentre ? ` / ${budget.costCentre}` : ""} (${budget.month})`;
+
+const statusOf = (ratio) =>
+  ratio >= BUDGET_THRESHOLDS.EXCEEDED ? "exceeded" : ratio >= BUDGET_THRESHOLDS.WARNING ? "warning" : "ok";
+
+/* Every budget of a month with its actual spending and share used */
+async function evaluateMonth(month) {
+  const { start, end } = monthBounds(month);
+  const [budgets, spending] = await Promise.all([
+    Budget.find({ month }).sort({ category: 1, costCentre: 1 }),
+    Expense.aggregate([
+      { $match: { ...COUNTED_EXPENSE_MATCH, date: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { category: "$category", costCentre: { $ifNull: ["$costCentre", ""] } },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+
+  return budgets.map((budget) => {
+    const actual = round(
+      spending
+        .filter(({ _id }) => !budget.category || _id.category === budget.category)
+        .filter(({ _id }) => !budget.costCentre || _id.costCentre === budget.costCentre)
+        .reduce((sum, row) => sum + row.amount, 0)
+    );
+    const ratio = budget.amount > 0 ? actual / budget.amount : actual > 0 ? Infinity : 0;
+    return { budget, actual, ratio };
+  });
+}
+
+/* Report rows for a month: budget, actual, remaining, % used, status */
+export async function budgetReport(month) {
+  const rows = await evaluateMonth(month);
+  return rows.map(({ budget, actual, ratio }) => ({
+    _id: budget._id,
+    month: budget.month,
+    category: budget.category,
+    costCentre: budget.costCentre,
+    budget: budget.amount,
+    actual,
+    remaining: round(budget.amount - actual),
+    percentUsed: Number.isFinite(ratio) ? round(ratio * 100) : null,
+    status: statusOf(ratio),
+    warnedAt: budget.warnedAt,
+    exceededAt: budget.exceededAt,
+  }));
+}
+
+async function sendBudgetAlert(budget, actual, exceeded) {
+  const to = await emailsWithPermission(PERMISSIONS.BUDGETS_VIEW);
+  if (to.length === 0) return false;
+
+  const label = budgetLabel(budget);
+  return sendEmail(
+    to.join(", "),
+    exceeded ? `Budget exceeded: ${label}` : `Budget ${BUDGET_THRESHOLDS.WARNING * 100}% used: ${label}`,
+    `Approved spending for ${label} is ${actual} of a ${budget.amount} budget` +
+      ` (${budget.amount > 0 ? round((actual / budget.amount) * 100) : "—"}%).`
+  );
+}
+
+/* Stamp an alert on a budget unless it is already stamped —
+   true only for the caller that set it, so each alert is sent once */
+const claimAlert = async (budget, field, now) => {
+  const { modifiedCount } = await Budget.updateOne({ _id: budget._id, [field]: null }, { $set: { [field]: now } });
+  return modifiedCount > 0;
+};
+
+/* Clear a stamp, but only if it still holds the value we know of —
+   a stamp set meanwhile by a newer check is left alone */
+const clearAlert = (budget, field, stamp) =>
+  Budget.updateOne({ _id: budget._id, [field]: stamp }, { $set: { [field]: null } });
+
+/* Clear a stamp once spending drops back below its threshold */
+const rearmAlert = (budget, field) => (budget[field] ? clearAlert(budget, field, budget[field]) : null);
+
+/* Send a claimed alert; if it doesn't go out, release the claim so the next check retries */
+const deliverAlert = async (budget, field, stamp, actual, exceeded) => {
+  let sent = false;
+  try {
+    sent = await sendBudgetAlert(budget, actual, exceeded);
+  } finally {
+    if (!sent) await clearAlert(budget, field, stamp);
+  }
+};
+
+/**
+ * Re-check the budgets of the months these dates fall in and
+ * send any alerts that are due. Call after an expense starts or
+ * stops counting, or a budget changes. Never throws, so expense
+ * writes call it without await and don't wait on the month's
+ * aggregation or the mail server.
+ */
+export async function checkBudgetAlerts(...dates) {
+  try {
+    const months = [...new Set(dates.filter(Boolean).map(monthOf))];
+    for (const month of months) {
+      for (const { budget, actual, ratio } of await evaluateMonth(month)) {
+        const now = new Date();
+        const exceeded = ratio >= BUDGET_THRESHOLDS.EXCEEDED;
+        const warned = ratio >= BUDGET_THRESHOLDS.WARNING;
+
+        if (!exceeded) await rearmAlert(budget, "exceededAt");
+        if (!warned) await rearmAlert(budget, "warnedAt");
+
+        // An exceeded budget is past the warning too, but only the exceeded alert is sent
+        const exceededNow = exceeded && (await claimAlert(budget, "exceededAt", now));
+        const warnedNow = warned && (await claimAlert(budget, "warnedAt", now));
+
+        if (exceeded ? exceededNow : warnedNow) {
+          await deliverAlert(budget, exceeded ? "exceededAt" : "warnedAt", now, actual, exceeded);
+        }
+      }
+    }
+  } catch (err) {
+    console.warn("⚠️ Could not check budget alerts:", err.message);
+  }
+}
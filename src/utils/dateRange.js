@@ -0,0 +1,35 @@
+/* ==========================================================
+   📅 Parse ?from=&to= query params into a date range
+   ----------------------------------------------------------
+   Both ends are optional. A bare date for `to` (YYYY-MM-DD)
+   covers that whole day. Throws an error with status 400 on
+   invalid input so routes can pass it straight through.
+   ========================================================== */
+export function parseDateRange({ from, to } = {}) {
+  const range = {};
+
+  if (from) {
+    range.from = new Date(from);
+    if (Number.isNaN(range.from.getTime())) throw badRange("from must be a valid date");
+  }
+
+  if (to) {
+    range.to = new Date(to);
+    if (Number.isNaN(range.to.getTime())) throw badRange("to must be a valid date");
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) range.to.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (range.from && range.to && range.from > range.to) throw badRange("from must be before to");
+  return range;
+}
+
+/* Mongo condition for a date field, or undefined for an open range */
+export function rangeMatch({ from, to } = {}) {
+  if (!from && !to) return undefined;
+  const match = {};
+  if (from) match.$gte = from;
+  if (to) match.$lte = to;
+  return match;
+}
+
+const badRange = (message) => Object.assign(new Error(message), { status: 400 });
@@ -0,0 +1,107 @@
+import ExpenseLimits from "../models/ExpenseLimits.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_STATUS,
+  LIMITED_ROLES,
+  DEFAULT_EXPENSE_LIMITS,
+} from "../constants/expenses.js";
+import { emailsWithPermission } from "./permissions.js";
+import { sendEmail } from "./sendEmail.js";
+import { clientUrl } from "./userTokens.js";
+
+/* ==========================================================
+   💳 Expense approval
+   ----------------------------------------------------------
+   Limits are read on every expense write, so the saved
+   settings are cached in memory; call
+   invalidateExpenseLimits() after changing them.
+   ========================================================== */
+let cached = null;
+
+const mergeLimits = (saved = {}) =>
+  Object.fromEntries(
+    LIMITED_ROLES.map((role) => {
+      const defaults = DEFAULT_EXPENSE_LIMITS[role];
+      const stored = saved.roles?.[role] || {};
+      return [
+        role,
+        {
+          limit: stored.limit !== undefined ? stored.limit : defaults.limit,
+          categories: Object.fromEntries(
+            EXPENSE_CATEGORIES.map((category) => [
+              category,
+              stored.categories?.[category] ?? defaults.categories[category] ?? null,
+            ])
+          ),
+        },
+      ];
+    })
+  );
+
+export async function getExpenseLimits() {
+  if (!cached) {
+    const saved = await ExpenseLimits.findOne({ key: "default" }).lean();
+    cached = mergeLimits(saved || {});
+  }
+  return cached;
+}
+
+export function invalidateExpenseLimits() {
+  cached = null;
+}
+
+/* Largest amount a role may record without approval (null = no limit) */
+export async function approvalLimitFor(role, category) {
+  const key = String(role || "").toLowerCase();
+  if (key === ROLES.ADMIN) return null;
+
+  const limits = (await getExpenseLimits())[key];
+  if (!limits) return 0; // unknown roles always need approval
+  return limits.categories[category] ?? limits.limit;
+}
+
+/**
+ * Set an expense's status from the recording user's limit.
+ * Clears any earlier review; returns the limit that was exceeded, or null.
+ */
+export async function applyApprovalLimit(expense, user) {
+  const limit = await approvalLimitFor(user?.role, expense.category);
+  const exceeded = limit !== null && expense.amount > limit;
+
+  expense.status = exceeded ? EXPENSE_STATUS.PENDING : EXPENSE_STATUS.APPROVED;
+  expense.reviewedBy = "";
+  expense.reviewedAt = null;
+  expense.reviewNote = "";
+  return exceeded ? limit : null;
+}
+
+/* 📩 Tell approvers an expense is waiting — failures are logged, not thrown */
+export async function notifyApprovers(expense) {
+  try {
+    const to = await emailsWithPermission(PERMISSIONS.EXPENSES_APPROVE);
+    if (to.length === 0) return false;
+
+    return sendEmail(
+      to.join(", "),
+      `Expense awaiting approval: ${expense.title}`,
+      `${expense.createdBy} recorded a ${expense.category} expense that needs approval.\n\n` +
+        `Title: ${expense.title}\nAmount: ${expense.amount}\n` +
+        (expense.description ? `Description: ${expense.description}\n` : "") +
+        `\nReview it at ${clientUrl()}/expenses/${expense._id}`
+    );
+  } catch (err) {
+    console.warn("⚠️ Could not notify expense approvers:", err.message);
+    return false;
+  }
+}
+
+/* 📩 Tell the creator an approver decided on their expense */
+export const notifyExpenseDecision = (expense) =>
+  sendEmail(
+    expense.createdBy,
+    `Expense ${expense.status}: ${expense.title}`,
+    `Your expense "${expense.title}" (${expense.amount}) was ${expense.status} by ${expense.reviewedBy}.` +
+      (expense.reviewNote ? `\n\nReason: ${expense.reviewNote}` : "")
+  );
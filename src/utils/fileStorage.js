@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/* ==========================================================
+   🗂️ File Storage
+   ----------------------------------------------------------
+   Uploaded files (e.g. expense receipts) go through a store
+   with save / open / remove, addressed by a key the store
+   hands out. Local disk (UPLOAD_STORAGE=local, the default)
+   writes under UPLOAD_DIR (default ./uploads); other backends
+   (S3, GridFS …) plug in through setFileStorage().
+   ========================================================== */
+const notFound = () => Object.assign(new Error("File not found"), { status: 404 });
+
+export function createLocalStorage(root = process.env.UPLOAD_DIR || "uploads") {
+  const base = path.resolve(root);
+
+  // 🔒 Keys are generated here, but never let one point outside the upload directory
+  const resolve = (key) => {
+    const full = path.resolve(base, String(key));
+    if (!full.startsWith(base + path.sep)) throw notFound();
+    return full;
+  };
+
+  return {
+    async save(buffer, { folder = "", extension = "" } = {}) {
+      const key = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+      const full = resolve(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, buffer, { flag: "wx" });
+      return key;
+    },
+    async open(key) {
+      const full = resolve(key);
+      try {
+        const { size } = await fs.promises.stat(full);
+        return { stream: fs.createReadStream(full), size };
+      } catch (err) {
+        if (err.code === "ENOENT") throw notFound();
+        throw err;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+let storage = null;
+export const getFileStorage = () => {
+  if (!storage) {
+    const kind = String(process.env.UPLOAD_STORAGE || "local").toLowerCase();
+    if (kind !== "local") console.warn(`⚠️ Unknown UPLOAD_STORAGE "${kind}", using local disk`);
+    storage = createLocalStorage();
+  }
+  return storage;
+};
+
+/* Swap the backing store (e.g. object storage for several instances) */
+export function setFileStorage(nextStorage) {
+  storage = nextStorage;
+}
+
+/* ==========================================================
+   🔎 File type from its first bytes — the client's declared
+   MIME type is not trusted on its own
+   ========================================================== */
+const SIGNATURES = [
+  { mimeType: "application/pdf", extension: ".pdf", matches: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+  { mimeType: "image/jpeg", extension: ".jpg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimeType: "image/png",
+    extension: ".png",
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: "image/webp",
+    extension: ".webp",
+    matches: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+/* { mimeType, extension } for a known file type, or null */
+export function detectFileType(buffer) {
+  const match = SIGNATURES.find(({ matches }) => buffer?.length >= 12 && matches(buffer));
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+}
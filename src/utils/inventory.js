@@ -0,0 +1,230 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import StockMovement from "../models/StockMovement.js";
+import { MOVEMENT_TYPES, MOVEMENT_DIRECTION } from "../constants/inventory.js";
+
+/* Small helper so routes can surface the right HTTP status */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/* Audit stamp taken from the decoded JWT (req.user) */
+const stampFrom = (user) => ({ id: user.id, email: user.email, role: user.role || "" });
+
+/* ==========================================================
+   📒 Record one stock movement
+   ----------------------------------------------------------
+   Applies the signed change to Product.stockOnHand atomically
+   (never below zero) and writes the matching ledger entry.
+   For adjustments `quantity` is signed; for every other type
+   it is positive and the direction comes from the type.
+   ========================================================== */
+export async function recordMovement(entry, user) {
+  const { product: productId, type } = entry;
+  const direction = MOVEMENT_DIRECTION[type];
+  if (direction === undefined) throw httpError(400, `Unknown movement type: ${type}`);
+
+  const raw = Number(entry.quantity);
+  if (!Number.isFinite(raw) || raw === 0) throw httpError(400, "Quantity must be a non-zero number");
+  if (direction !== 0 && raw < 0) throw httpError(400, "Quantity must be positive");
+
+  const delta = direction === 0 ? raw : direction * raw;
+  const guard = delta < 0 ? { stockOnHand: { $gte: -delta } } : {};
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, ...guard },
+    { $inc: { stockOnHand: delta } },
+    { new: true }
+  );
+
+  if (!product) {
+    const exists = await Product.exists({ _id: productId });
+    if (!exists) throw httpError(404, "Product not found");
+    throw httpError(409, `Not enough stock on hand to remove ${-delta}`);
+  }
+
+  const unitCost = Number(entry.unitCost) || 0;
+
+  try {
+    return await StockMovement.create({
+      product: product._id,
+      type,
+      quantity: Math.abs(delta),
+      delta,
+      balanceAfter: product.stockOnHand,
+      unitCost,
+      totalCost: entry.totalCost !== undefined ? Number(entry.totalCost) || 0 : unitCost * Math.abs(delta),
+      supplier: entry.supplier,
+      reference: entry.reference,
+      order: entry.order || null,
+      batch: entry.batch || null,
+      note: entry.note,
+      date: entry.date || new Date(),
+      createdBy: stampFrom(user),
+    });
+  } catch (err) {
+    // ↩️ Keep the cached balance in step with the ledger
+    await Product.updateOne({ _id: product._id }, { $inc: { stockOnHand: -delta } });
+    throw err;
+  }
+}
+
+/* ==========================================================
+   📊 Balances from the ledger
+   ----------------------------------------------------------
+   The ledger is summed (up to `asOf` when given). It matches
+   Product.stockOnHand once every product has an opening
+   balance — see recordOpeningBalances().
+   ========================================================== */
+export async function getBalances({ asOf, productId } = {}) {
+  const match = {};
+  if (productId) match.product = new mongoose.Types.ObjectId(String(productId));
+  if (asOf) match.date = { $lte: asOf };
+
+  return StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$product",
+        balance: { $sum: "$delta" },
+        received: { $sum: { $cond: [{ $gt: ["$delta", 0] }, "$delta", 0] } },
+        removed: { $sum: { $cond: [{ $lt: ["$delta", 0] }, { $multiply: ["$delta", -1] }, 0] } },
+        lastMovementAt: { $max: "$date" },
+      },
+    },
+    { $lookup: { from: "products", localField: "_id", foreignField: "_id", as: "product" } },
+    { $unwind: "$product" },
+    {
+      $project: {
+        _id: 0,
+        productId: "$_id",
+        sku: "$product.sku",
+        name: "$product.name",
+        unit: "$product.unit",
+        kind: "$product.kind",
+        balance: 1,
+        received: 1,
+        removed: 1,
+        lastMovementAt: 1,
+      },
+    },
+    { $sort: { name: 1 } },
+  ]);
+}
+
+/* ==========================================================
+   🧾 Opening balances
+   ----------------------------------------------------------
+   Stock entered before the ledger existed has no movements,
+   so the ledger sum falls short of Product.stockOnHand. This
+   writes one adjustment per product for the difference, dated
+   when the product was created so it comes before every other
+   movement. Safe to re-run: balanced products are skipped.
+   Returns the movements written.
+   ========================================================== */
+export async function recordOpeningBalances(user) {
+  const [products, sums] = await Promise.all([
+    Product.find().select("stockOnHand createdAt"),
+    StockMovement.aggregate([{ $group: { _id: "$product", balance: { $sum: "$delta" } } }]),
+  ]);
+  const ledger = new Map(sums.map((row) => [row._id.toString(), row.balance]));
+
+  const written = [];
+  for (const product of products) {
+    const delta = product.stockOnHand - (ledger.get(product._id.toString()) || 0);
+    if (delta === 0) continue;
+
+    written.push(
+      await StockMovement.create({
+        product: product._id,
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        quantity: Math.abs(delta),
+        delta,
+        balanceAfter: product.stockOnHand, // the ledger matches stock on hand once this is in
+        note: "Opening balance (stock on hand before the ledger)",
+        date: product.createdAt || new Date(),
+        createdBy: stampFrom(user),
+      })
+    );
+  }
+  return written;
+}
+
+/* ==========================================================
+   🏷️ Fill order lines from the product catalog
+   ----------------------------------------------------------
+   Lines with a productId take their name (and, unless a
+   price is given, their unit price) from the catalog.
+   ========================================================== */
+export async function applyCatalog(items, { keepPrices = false } = {}) {
+  const ids = items.filter((item) => item.productId).map((item) => item.productId);
+  if (ids.length === 0) return items;
+
+  const products = await Product.find({ _id: { $in: ids }, isActive: true });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return items.map((item) => {
+    if (!item.productId) return item;
+
+    const product = byId.get(item.productId.toString());
+    if (!product) throw httpError(400, `Product ${item.productId} is not available`);
+
+    return {
+      ...item,
+      product: product.name,
+      unitPrice: keepPrices && item.unitPrice !== undefined ? item.unitPrice : product.price,
+    };
+  });
+}
+
+/* ==========================================================
+   📦 Take stock out for a completed order
+   ----------------------------------------------------------
+   Stock is checked for every line first, then one "sale"
+   movement is recorded per line. If a line still fails (a
+   concurrent change), the lines already posted are reversed
+   with adjustment entries and a 409 error is thrown.
+   ========================================================== */
+export async function deductStockForOrder(order, user) {
+  const lines = order.items.filter((item) => item.productId);
+
+  const products = await Product.find({ _id: { $in: lines.map((l) => l.productId) } });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  for (const line of lines) {
+    const product = byId.get(line.productId.toString());
+    if (!product || product.stockOnHand < line.quantity) {
+      throw httpError(409, `Not enough stock for ${line.product} (needs ${line.quantity})`);
+    }
+  }
+
+  const posted = [];
+  try {
+    for (const line of lines) {
+      posted.push(
+        await recordMovement(
+          { product: line.productId, type: MOVEMENT_TYPES.SALE, quantity: line.quantity, order: order._id },
+          user
+        )
+      );
+    }
+  } catch (err) {
+    await reverseOrderStock(order, posted, user);
+    throw err;
+  }
+
+  return posted;
+}
+
+/* Put back the stock a sale took out — one adjustment per movement */
+export async function reverseOrderStock(order, movements, user) {
+  for (const movement of movements) {
+    await recordMovement(
+      {
+        product: movement.product,
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        quantity: movement.quantity,
+        order: order._id,
+        note: `Reversal of ${movement._id} (order completion failed)`,
+      },
+      user
+    );
+  }
+}
@@ -0,0 +1,219 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+import SecurityEvent, { SECURITY_EVENT_TYPES } from "../models/SecurityEvent.js";
+
+/* ==========================================================
+   🧱 Login Throttling
+   ----------------------------------------------------------
+   Failed logins are counted per account and per client IP.
+   - From the 2nd failure on an account (or half the IP limit
+     from one IP), the next attempt must wait (1s, 2s, 4s …
+     up to 30s)
+   - After LOGIN_MAX_FAILURES (account, default 5) or
+     LOGIN_IP_MAX_FAILURES (IP, default 20) failures inside
+     LOGIN_FAILURE_WINDOW_MINUTES (15), the key is locked for
+     LOGIN_LOCK_MINUTES (15) and a SecurityEvent is recorded
+   Counters live in MongoDB (LOGIN_THROTTLE_STORE=mongo, the
+   default) so they survive restarts, or in process memory
+   (LOGIN_THROTTLE_STORE=memory) for single-instance setups.
+   ========================================================== */
+const MINUTE = 60 * 1000;
+const config = () => ({
+  accountMax: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  ipMax: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  windowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * MINUTE,
+  lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE,
+  maxDelayMs: 30 * 1000,
+});
+
+const accountKey = (email) => `account:${String(email || "").trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const expiryOf = (record, windowMs) =>
+  new Date(Math.max(record.lockedUntil?.getTime() || 0, (record.lastFailureAt?.getTime() || 0) + windowMs));
+
+/* ==========================================================
+   🗄️ Stores — get / recordFailure / update / clear
+   ========================================================== */
+export function createMemoryStore() {
+  const records = new Map();
+
+  const get = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      return get(key);
+    },
+    async recordFailure(key, now, windowMs) {
+      const current = get(key);
+      const inWindow = current?.lastFailureAt && now - current.lastFailureAt < windowMs;
+      const record = {
+        ...(current || {}),
+        key,
+        failures: inWindow ? current.failures + 1 : 1,
+        lastFailureAt: now,
+      };
+      record.expiresAt = expiryOf(record, windowMs);
+      records.set(key, record);
+      return record;
+    },
+    async update(key, fields, windowMs) {
+      const record = { ...(get(key) || { key, failures: 0 }), ...fields };
+      record.expiresAt = expiryOf(record, windowMs);
+      records.set(key, record);
+      return record;
+    },
+    async clear(key) {
+      records.delete(key);
+    },
+  };
+}
+
+export function createMongoStore() {
+  return {
+    async get(key) {
+      return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    },
+    async recordFailure(key, now, windowMs) {
+      // 🔒 One atomic upsert: restart the count when the last failure fell outside the window
+      const windowStart = new Date(now.getTime() - windowMs);
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              failures: {
+                $cond: [
+                  { $gt: [{ $ifNull: ["$lastFailureAt", new Date(0)] }, windowStart] },
+                  { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+                  1,
+                ],
+              },
+              lastFailureAt: now,
+              expiresAt: { $max: [{ $ifNull: ["$lockedUntil", new Date(0)] }, new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      ).lean();
+    },
+    async update(key, fields, windowMs) {
+      const current = (await LoginAttempt.findOne({ key }).lean()) || {};
+      const record = { ...current, ...fields };
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        { $set: { ...fields, expiresAt: expiryOf(record, windowMs) } },
+        { upsert: true, new: true }
+      ).lean();
+    },
+    async clear(key) {
+      await LoginAttempt.deleteOne({ key });
+    },
+  };
+}
+
+let store = null;
+const getStore = () => {
+  if (!store) {
+    store = String(process.env.LOGIN_THROTTLE_STORE || "mongo").toLowerCase() === "memory"
+      ? createMemoryStore()
+      : createMongoStore();
+  }
+  return store;
+};
+
+/* Swap the backing store (e.g. a shared store for several instances) */
+export function setLoginThrottleStore(nextStore) {
+  store = nextStore;
+}
+
+/* ==========================================================
+   🚦 Before checking a password: may this attempt proceed?
+   Returns null, or { reason, retryAfter (seconds), message }
+   ========================================================== */
+export async function checkLoginAllowed(email, ip) {
+  const now = new Date();
+  const [account, client] = await Promise.all([getStore().get(accountKey(email)), getStore().get(ipKey(ip))]);
+
+  for (const [record, locked] of [
+    [account, "Too many failed attempts — this account is temporarily locked."],
+    [client, "Too many failed attempts from your network — please try again later."],
+  ]) {
+    if (!record) continue;
+    if (record.lockedUntil && record.lockedUntil > now) {
+      return { reason: "locked", message: locked, retryAfter: Math.ceil((record.lockedUntil - now) / 1000) };
+    }
+    if (record.nextAttemptAt && record.nextAttemptAt > now) {
+      return {
+        reason: "slow-down",
+        message: "Please wait a moment before trying again.",
+        retryAfter: Math.ceil((record.nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+  return null;
+}
+
+/* ==========================================================
+   ❌ After a failed login: count it, delay or lock
+   ========================================================== */
+export async function registerLoginFailure({ email, ip, userAgent = "", user = null }) {
+  const { accountMax, ipMax, windowMs, lockMs, maxDelayMs } = config();
+  const now = new Date();
+
+  const targets = [
+    { key: accountKey(email), max: accountMax, delayFrom: 2, type: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED },
+    // Many users can share one IP (office NAT), so slow it down later
+    { key: ipKey(ip), max: ipMax, delayFrom: Math.max(Math.ceil(ipMax / 2), 2), type: SECURITY_EVENT_TYPES.IP_LOCKED },
+  ];
+
+  for (const { key, max, delayFrom, type } of targets) {
+    const record = await getStore().recordFailure(key, now, windowMs);
+
+    if (record.failures >= max) {
+      // 🔒 Lock, and start counting afresh once the lock ends
+      const lockedUntil = new Date(now.getTime() + lockMs);
+      await getStore().update(key, { failures: 0, nextAttemptAt: null, lockedUntil }, windowMs);
+      await SecurityEvent.create({
+        type,
+        email: String(email || "").toLowerCase(),
+        user: user?._id || null,
+        ip: ip || "",
+        userAgent,
+        failures: record.failures,
+        lockedUntil,
+      });
+      console.warn(`🛡️ Login locked (${key}) until ${lockedUntil.toISOString()}`);
+    } else if (record.failures >= delayFrom) {
+      const delay = Math.min(1000 * 2 ** (record.failures - delayFrom), maxDelayMs);
+      await getStore().update(key, { nextAttemptAt: new Date(now.getTime() + delay) }, windowMs);
+    }
+  }
+}
+
+/* ✅ After a successful login the account starts clean */
+export async function registerLoginSuccess(email) {
+  await getStore().clear(accountKey(email));
+}
+
+/* ==========================================================
+   🔓 Admin unlock — by account email and/or IP
+   ========================================================== */
+export async function unlockLogin({ email, ip, user = null }, actor) {
+  if (email) await getStore().clear(accountKey(email));
+  if (ip) await getStore().clear(ipKey(ip));
+
+  return SecurityEvent.create({
+    type: SECURITY_EVENT_TYPES.UNLOCKED,
+    email: email ? String(email).toLowerCase() : "",
+    user: user?._id || null,
+    ip: ip || "",
+    actor,
+  });
+}
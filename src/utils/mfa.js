@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { ELEVATED } from "../constants/roles.js";
+import { generateSecret, provisioningUri, verifyTotp } from "./totp.js";
+
+/* ==========================================================
+   🔐 Two-Factor Authentication helpers
+   ----------------------------------------------------------
+   - Secrets are stored AES-256-GCM encrypted with
+     MFA_ENCRYPTION_KEY (falls back to JWT_SECRET)
+   - Recovery codes are stored as SHA-256 hashes, one use each
+   - MFA_ENFORCE_ELEVATED=false turns off the rule that admins
+     and managers must enroll
+   ========================================================== */
+export const MFA_SECRET_FIELDS = "+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep";
+const RECOVERY_CODE_COUNT = 10;
+
+const issuer = () => process.env.MFA_ISSUER || process.env.FACTORY_NAME || "Rabwah Factory";
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(String(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)).digest();
+
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+const mfaError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const mfaRequiredFor = (user) =>
+  String(process.env.MFA_ENFORCE_ELEVATED || "true").toLowerCase() !== "false" &&
+  ELEVATED.includes(String(user.role || "").toLowerCase());
+
+export const loadUserWithMfa = (id) => User.findById(id).select(MFA_SECRET_FIELDS);
+
+/* ----------------------------------------------------------
+   Secret storage: "iv.tag.ciphertext" (base64url)
+---------------------------------------------------------- */
+function sealSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+}
+
+function openSecret(sealed) {
+  const [iv, tag, encrypted] = String(sealed).split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+/* Recovery codes look like "a1b2c-3d4e5"; only hashes are kept */
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase().replace(/[\s-]/g, "");
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashCode(normalizeRecoveryCode(code))) };
+}
+
+/* ==========================================================
+   ➕ Enrollment — step 1: new pending secret + otpauth URI
+   ========================================================== */
+export async function startEnrollment(user) {
+  if (user.mfa?.enabled) throw mfaError("Two-factor authentication is already enabled", 409);
+
+  const secret = generateSecret();
+  user.mfa.pendingSecret = sealSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri({ secret, accountName: user.email, issuer: issuer() }),
+  };
+}
+
+/* ==========================================================
+   ✅ Enrollment — step 2: confirm with a code from the app.
+   Returns the recovery codes (shown to the user only once).
+   ========================================================== */
+export async function confirmEnrollment(user, code) {
+  if (user.mfa?.enabled) throw mfaError("Two-factor authentication is already enabled", 409);
+  if (!user.mfa?.pendingSecret) throw mfaError("Start two-factor setup first");
+
+  const secret = openSecret(user.mfa.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw mfaError("Invalid authentication code");
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = null;
+  user.mfa.recoveryCodes = hashes;
+  user.mfa.lastUsedStep = step;
+  user.mfa.enabled = true;
+  user.mfa.enabledAt = new Date();
+  await user.save();
+  return codes;
+}
+
+/* ==========================================================
+   🔍 Second factor check: a TOTP code (each usable once) or
+   an unused recovery code. Returns how it passed, or null.
+   ========================================================== */
+export async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (!user.mfa?.enabled || !user.mfa.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(openSecret(user.mfa.secret), code);
+    if (step === null) return null;
+
+    // 🔒 Conditional update, so two requests can't both spend the same code
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "mfa.lastUsedStep": { $not: { $gte: step } } },
+      { $set: { "mfa.lastUsedStep": step } }
+    );
+    if (modifiedCount === 0) return null;
+    syncStored(user, "mfa.lastUsedStep", step);
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(normalizeRecoveryCode(recoveryCode));
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, "mfa.recoveryCodes": hash },
+      { $pull: { "mfa.recoveryCodes": hash } },
+      { new: true, projection: "+mfa.recoveryCodes" }
+    );
+    if (!updated) return null;
+    syncStored(user, "mfa.recoveryCodes", updated.mfa.recoveryCodes);
+    return "recovery-code";
+  }
+
+  return null;
+}
+
+/* Mirror a value already written to MongoDB onto the loaded user,
+   without marking it for the next save() to write again */
+const syncStored = (user, path, value) => {
+  user.set(path, value);
+  user.unmarkModified(path);
+};
+
+/* 🔁 Replace all recovery codes; returns the new ones */
+export async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfa.recoveryCodes = hashes;
+  await user.save();
+  return codes;
+}
+
+/* 🚫 Turn two-factor off and forget the secret */
+export async function disableMfa(user) {
+  user.mfa.enabled = false;
+  user.mfa.secret = null;
+  user.mfa.pendingSecret = null;
+  user.mfa.recoveryCodes = undefined;
+  user.mfa.lastUsedStep = 0;
+  user.mfa.enabledAt = null;
+  await user.save();
+}
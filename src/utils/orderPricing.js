@@ -0,0 +1,46 @@
+/* ==========================================================
+   💵 Order pricing helpers
+   ----------------------------------------------------------
+   All money values are rounded to 2 decimals. Discount and
+   tax are percentages per line; tax applies after discount.
+   ========================================================== */
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/* Default tax rate applied to lines that don't specify one */
+export const defaultTaxPercent = () => Number(process.env.ORDER_DEFAULT_TAX_PERCENT) || 0;
+
+/**
+ * Compute subtotal, discount, tax and total for a single line.
+ * Mutates and returns the given line so it works on subdocuments too.
+ */
+export function priceLine(line) {
+  const quantity = Number(line.quantity) || 0;
+  const unitPrice = Number(line.unitPrice) || 0;
+  const discountPercent = Math.min(Math.max(Number(line.discountPercent) || 0, 0), 100);
+  const taxPercent = Math.max(Number(line.taxPercent) || 0, 0);
+
+  line.lineSubtotal = roundMoney(quantity * unitPrice);
+  line.lineDiscount = roundMoney((line.lineSubtotal * discountPercent) / 100);
+  line.lineTax = roundMoney(((line.lineSubtotal - line.lineDiscount) * taxPercent) / 100);
+  line.lineTotal = roundMoney(line.lineSubtotal - line.lineDiscount + line.lineTax);
+  return line;
+}
+
+/**
+ * Price every line and return the order-level totals.
+ */
+export function computeOrderTotals(items = []) {
+  const totals = { subtotal: 0, discountTotal: 0, taxTotal: 0, grandTotal: 0 };
+
+  for (const line of items) {
+    priceLine(line);
+    totals.subtotal += line.lineSubtotal;
+    totals.discountTotal += line.lineDiscount;
+    totals.taxTotal += line.lineTax;
+    totals.grandTotal += line.lineTotal;
+  }
+
+  for (const key of Object.keys(totals)) totals[key] = roundMoney(totals[key]);
+  return totals;
+}
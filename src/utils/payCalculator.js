@@ -0,0 +1,53 @@
+import { DEFAULT_PAY_RULES } from "../constants/shifts.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/* ==========================================================
+   🧮 Employee pay for the current period, by component
+   ----------------------------------------------------------
+   Every hour is paid once at the hourly rate (base). Premiums
+   are added on top and stack:
+   - shift:    hours on a shift × rate × (payMultiplier − 1)
+   - overtime: overtimeHours × rate × (overtime multiplier − 1)
+   - holiday:  holidayHours × rate × (holiday multiplier − 1)
+   Hours not attributed to a shift in `shiftHours` count as
+   the employee's own shift.
+   ========================================================== */
+export function computePay(
+  { hourlyRate = 0, hoursWorked = 0, overtimeHours = 0, holidayHours = 0, shiftHours, shift } = {},
+  rules = DEFAULT_PAY_RULES
+) {
+  const rate = Number(hourlyRate) || 0;
+  const hours = Number(hoursWorked) || 0;
+  const overtime = Math.min(Number(overtimeHours) || 0, hours);
+  const holiday = Math.min(Number(holidayHours) || 0, hours);
+
+  // Map (mongoose) or plain object → [[shift, hours], ...]
+  const entries = shiftHours instanceof Map ? [...shiftHours] : Object.entries(shiftHours || {});
+  const attributed = entries.reduce((sum, [, value]) => sum + (Number(value) || 0), 0);
+  if (hours > attributed && shift) entries.push([shift, hours - attributed]);
+
+  const premium = (multiplier) => Math.max((Number(multiplier) || 1) - 1, 0);
+  const shiftPremium = entries.reduce(
+    (sum, [name, value]) => sum + (Number(value) || 0) * rate * premium(rules.shifts?.[name]?.payMultiplier),
+    0
+  );
+
+  const breakdown = {
+    base: round(hours * rate),
+    shiftPremium: round(shiftPremium),
+    overtimePremium: round(overtime * rate * premium(rules.overtime?.multiplier)),
+    holidayPremium: round(holiday * rate * premium(rules.holiday?.multiplier)),
+  };
+  breakdown.total = round(
+    breakdown.base + breakdown.shiftPremium + breakdown.overtimePremium + breakdown.holidayPremium
+  );
+  return breakdown;
+}
+
+/* Split one timesheet entry's hours into regular and overtime */
+export function splitShiftHours(hours, shift, rules = DEFAULT_PAY_RULES) {
+  const standard = rules.shifts?.[shift]?.standardHours ?? Infinity;
+  const regularHours = round(Math.min(hours, standard));
+  return { regularHours, overtimeHours: round(Math.max(hours - standard, 0)) };
+}
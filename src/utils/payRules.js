@@ -0,0 +1,42 @@
+import PayRules from "../models/PayRules.js";
+import Holiday from "../models/Holiday.js";
+import { DEFAULT_PAY_RULES } from "../constants/shifts.js";
+
+/* ==========================================================
+   💰 Pay rules lookup
+   ----------------------------------------------------------
+   Rules are read on every salary calculation, so the saved
+   settings are cached in memory; call invalidatePayRules()
+   after changing them. Missing values fall back to defaults.
+   ========================================================== */
+let cached = null;
+
+const mergeRules = (saved = {}) => ({
+  shifts: Object.fromEntries(
+    Object.entries(DEFAULT_PAY_RULES.shifts).map(([shift, defaults]) => [
+      shift,
+      { ...defaults, ...(saved.shifts?.[shift] || {}) },
+    ])
+  ),
+  overtime: { ...DEFAULT_PAY_RULES.overtime, ...(saved.overtime || {}) },
+  holiday: { ...DEFAULT_PAY_RULES.holiday, ...(saved.holiday || {}) },
+});
+
+export async function getPayRules() {
+  if (!cached) {
+    const saved = await PayRules.findOne({ key: "default" }).lean();
+    cached = mergeRules(saved || {});
+  }
+  return cached;
+}
+
+export function invalidatePayRules() {
+  cached = null;
+}
+
+/* Holiday dates (YYYY-MM-DD) on or after `from` */
+export async function getHolidayDates(from) {
+  const filter = from ? { date: { $gte: from.toISOString().slice(0, 10) } } : {};
+  const holidays = await Holiday.find(filter).select("date").lean();
+  return new Set(holidays.map((holiday) => holiday.date));
+}
@@ -0,0 +1,192 @@
+import PDFDocument from "pdfkit";
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const money = (value) => round(value).toFixed(2);
+
+/* ==========================================================
+   🏭 Factory header printed on every payslip
+   ========================================================== */
+const factoryHeader = () => ({
+  name: process.env.FACTORY_NAME || "Rabwah Factory",
+  address: process.env.FACTORY_ADDRESS || "",
+  phone: process.env.FACTORY_PHONE || "",
+});
+
+const COMPONENT_LABELS = {
+  base: "Base pay",
+  shiftPremium: "Shift premium",
+  overtimePremium: "Overtime premium",
+  holidayPremium: "Holiday premium",
+};
+
+/* ==========================================================
+   🧾 Payslip data from a Salary record or payroll run line
+   ----------------------------------------------------------
+   Run lines carry pay components, bonuses and deductions;
+   plain salary records are a single amount.
+   ========================================================== */
+export function buildPayslip(salary) {
+  const components = [];
+  if (salary.payComponents) {
+    for (const [key, label] of Object.entries(COMPONENT_LABELS)) {
+      const amount = round(salary.payComponents[key]);
+      if (amount || key === "base") components.push({ label, amount });
+    }
+  } else {
+    components.push({ label: "Salary", amount: round(salary.basePay ?? salary.salary) });
+  }
+  for (const bonus of salary.bonuses || []) components.push({ label: bonus.label, amount: round(bonus.amount) });
+
+  const deductions = (salary.deductions || []).map((item) => ({ label: item.label, amount: round(item.amount) }));
+  const gross = round(salary.grossPay ?? components.reduce((sum, item) => sum + item.amount, 0));
+  const net = round(salary.netPay ?? salary.salary);
+
+  return {
+    reference: String(salary._id),
+    factory: factoryHeader(),
+    period: salary.month,
+    issuedAt: new Date(),
+    employee: {
+      name: salary.name,
+      jobTitle: salary.jobTitle,
+      staffId: salary.staffId || "",
+    },
+    hours:
+      salary.hoursWorked !== undefined && salary.hoursWorked !== null
+        ? {
+            worked: round(salary.hoursWorked),
+            overtime: round(salary.overtimeHours),
+            holiday: round(salary.holidayHours),
+            rate: round(salary.hourlyRate),
+          }
+        : null,
+    components,
+    deductions,
+    gross,
+    totalDeductions: round(deductions.reduce((sum, item) => sum + item.amount, 0)),
+    net,
+  };
+}
+
+/* ==========================================================
+   🌐 HTML — one or more payslips, one per printed page
+   ========================================================== */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const rows = (items) =>
+  items.map((item) => `<tr><td>${escapeHtml(item.label)}</td><td class="num">${money(item.amount)}</td></tr>`).join("");
+
+const payslipSection = (slip) => `
+<section class="payslip">
+  <header>
+    <h1>${escapeHtml(slip.factory.name)}</h1>
+    ${slip.factory.address ? `<p>${escapeHtml(slip.factory.address)}</p>` : ""}
+    ${slip.factory.phone ? `<p>${escapeHtml(slip.factory.phone)}</p>` : ""}
+    <h2>Payslip — ${escapeHtml(slip.period)}</h2>
+  </header>
+  <table class="meta">
+    <tr><th>Employee</th><td>${escapeHtml(slip.employee.name)}</td></tr>
+    <tr><th>Job title</th><td>${escapeHtml(slip.employee.jobTitle)}</td></tr>
+    ${slip.employee.staffId ? `<tr><th>Staff ID</th><td>${escapeHtml(slip.employee.staffId)}</td></tr>` : ""}
+    ${
+      slip.hours
+        ? `<tr><th>Hours</th><td>${slip.hours.worked} (overtime ${slip.hours.overtime}, holiday ${slip.hours.holiday}) @ ${money(slip.hours.rate)}/h</td></tr>`
+        : ""
+    }
+    <tr><th>Reference</th><td>${escapeHtml(slip.reference)}</td></tr>
+  </table>
+  <table class="lines">
+    <tr><th colspan="2">Earnings</th></tr>
+    ${rows(slip.components)}
+    <tr class="total"><td>Gross pay</td><td class="num">${money(slip.gross)}</td></tr>
+    ${slip.deductions.length ? `<tr><th colspan="2">Deductions</th></tr>${rows(slip.deductions)}` : ""}
+    <tr class="total"><td>Total deductions</td><td class="num">${money(slip.totalDeductions)}</td></tr>
+    <tr class="net"><td>Net pay</td><td class="num">${money(slip.net)}</td></tr>
+  </table>
+  <footer>Issued ${slip.issuedAt.toISOString().slice(0, 10)}</footer>
+</section>`;
+
+export function renderPayslipsHtml(slips) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Payslips</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; }
+  .payslip { max-width: 640px; margin: 24px auto; page-break-after: always; }
+  .payslip:last-child { page-break-after: auto; }
+  h1 { margin: 0; font-size: 22px; } h2 { font-size: 16px; margin: 12px 0; }
+  header p { margin: 2px 0; color: #555; }
+  table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; }
+  .num { text-align: right; } .total td { font-weight: bold; }
+  .net td { font-weight: bold; font-size: 16px; border-top: 2px solid #222; }
+  footer { color: #777; font-size: 12px; }
+</style>
+</head>
+<body>${slips.map(payslipSection).join("")}
+</body>
+</html>`;
+}
+
+/* ==========================================================
+   📄 PDF — one or more payslips, one per page
+   ========================================================== */
+export function renderPayslipsPdf(slips) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const line = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(11);
+      doc.text(label, 50, y, { width: 350 });
+      doc.text(money(amount), 400, y, { width: 145, align: "right" });
+    };
+
+    slips.forEach((slip, index) => {
+      if (index > 0) doc.addPage();
+
+      doc.font("Helvetica-Bold").fontSize(18).text(slip.factory.name);
+      doc.font("Helvetica").fontSize(10);
+      if (slip.factory.address) doc.text(slip.factory.address);
+      if (slip.factory.phone) doc.text(slip.factory.phone);
+      doc.moveDown().font("Helvetica-Bold").fontSize(14).text(`Payslip — ${slip.period}`);
+
+      doc.moveDown(0.5).font("Helvetica").fontSize(11);
+      doc.text(`Employee: ${slip.employee.name}`);
+      doc.text(`Job title: ${slip.employee.jobTitle}`);
+      if (slip.employee.staffId) doc.text(`Staff ID: ${slip.employee.staffId}`);
+      if (slip.hours) {
+        doc.text(
+          `Hours: ${slip.hours.worked} (overtime ${slip.hours.overtime}, holiday ${slip.hours.holiday}) @ ${money(slip.hours.rate)}/h`
+        );
+      }
+      doc.text(`Reference: ${slip.reference}`);
+
+      doc.moveDown().font("Helvetica-Bold").text("Earnings", 50);
+      slip.components.forEach((item) => line(item.label, item.amount));
+      line("Gross pay", slip.gross, { bold: true });
+
+      if (slip.deductions.length) {
+        doc.moveDown().font("Helvetica-Bold").text("Deductions", 50);
+        slip.deductions.forEach((item) => line(item.label, item.amount));
+      }
+      line("Total deductions", slip.totalDeductions, { bold: true });
+
+      doc.moveDown();
+      line("Net pay", slip.net, { bold: true });
+
+      doc.moveDown(2).font("Helvetica").fontSize(9).fillColor("#777");
+      doc.text(`Issued ${slip.issuedAt.toISOString().slice(0, 10)}`, 50);
+      doc.fillColor("black");
+    });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,51 @@
+import RolePermission from "../models/RolePermission.js";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from "../constants/permissions.js";
+
+/* ==========================================================
+   🔐 Permission lookup
+   ----------------------------------------------------------
+   Checked on every protected request, so the role → permission
+   map is cached in memory; call invalidatePermissions() after
+   changing it. Roles that were never customised use the
+   defaults, and admins always hold every permission.
+   ========================================================== */
+let cached = null;
+
+export async function getRolePermissions() {
+  if (!cached) {
+    const saved = await RolePermission.find().lean();
+    const map = Object.fromEntries(
+      Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+    );
+    for (const { role, permissions } of saved) map[role] = new Set(permissions);
+    map[ROLES.ADMIN] = new Set(ALL_PERMISSIONS);
+    cached = map;
+  }
+  return cached;
+}
+
+export function invalidatePermissions() {
+  cached = null;
+}
+
+/* Permissions granted to a role (empty for unknown roles) */
+export async function permissionsFor(role) {
+  const map = await getRolePermissions();
+  return map[String(role || "").toLowerCase()] || new Set();
+}
+
+/* Does the user (req.user) hold every listed permission? */
+export async function hasPermission(user, ...permissions) {
+  const granted = await permissionsFor(user?.role);
+  return permissions.flat().every((permission) => granted.has(permission));
+}
+
+/* Emails of active users whose role holds a permission (e.g. who to notify) */
+export async function emailsWithPermission(permission) {
+  const map = await getRolePermissions();
+  const roles = Object.keys(map).filter((role) => map[role].has(permission));
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select("email").lean();
+  return users.map((user) => user.email);
+}
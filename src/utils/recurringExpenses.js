@@ -0,0 +1,204 @@
+import Expense from "../models/Expense.js";
+import RecurringExpense from "../models/RecurringExpense.js";
+import User from "../models/User.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { RECURRING_FREQUENCIES, RECURRING_STATUS } from "../constants/expenses.js";
+import { recordAudit } from "./audit.js";
+import { applyApprovalLimit, approvalLimitFor, notifyApprovers } from "./expenseApproval.js";
+import { checkBudgetAlerts } from "./budgets.js";
+
+/* ==========================================================
+   🔁 Recurring expense scheduler
+   ----------------------------------------------------------
+   Every RECURRING_EXPENSE_INTERVAL_MINUTES (default 60) the
+   scheduler posts one Expense per due occurrence of each
+   active template, dated on the occurrence. A unique index on
+   (recurringExpense, occurrenceDate) makes this idempotent:
+   restarts or several instances never post an occurrence
+   twice. RECURRING_EXPENSE_SCHEDULER=off disables the timer.
+   ========================================================== */
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_CATCH_UP = 60; // occurrences per template per run, after long downtime
+
+/* YYYY-MM-DD (UTC) */
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+/* First occurrence on or after `from`, or null once past the end date */
+export function occurrenceOnOrAfter(template, from) {
+  const start = startOfDay(template.startDate);
+  const target = new Date(Math.max(start, startOfDay(from)));
+  const interval = template.interval || 1;
+  let occurrence;
+
+  if (template.frequency === RECURRING_FREQUENCIES.WEEKLY) {
+    const weekday = template.dayOfWeek ?? start.getUTCDay();
+    const first = start.getTime() + ((weekday - start.getUTCDay() + 7) % 7) * DAY;
+    const step = 7 * interval * DAY;
+    occurrence = new Date(first + Math.max(0, Math.ceil((target - first) / step)) * step);
+  } else {
+    const day = template.dayOfMonth ?? start.getUTCDate();
+    const year = start.getUTCFullYear();
+    const monthAt = (k) => {
+      const month = start.getUTCMonth() + k * interval;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+    };
+    const monthsAhead =
+      (target.getUTCFullYear() - year) * 12 + target.getUTCMonth() - start.getUTCMonth();
+    let k = Math.max(0, Math.floor(monthsAhead / interval) - 1);
+    while (monthAt(k) < target) k++;
+    occurrence = monthAt(k);
+  }
+
+  if (template.endDate && occurrence > startOfDay(template.endDate)) return null;
+  return occurrence;
+}
+
+/* Next few occurrences from nextRunAt, marking skipped ones */
+export function upcomingOccurrences(template, count = 5) {
+  const upcoming = [];
+  let occurrence = template.nextRunAt;
+  while (occurrence && upcoming.length < count) {
+    upcoming.push({ date: dayKey(occurrence), skipped: template.skipDates.includes(dayKey(occurrence)) });
+    occurrence = occurrenceOnOrAfter(template, occurrence.getTime() + DAY);
+  }
+  return upcoming;
+}
+
+/**
+ * Point nextRunAt at the first occurrence from today on (never
+ * before the start date or an occurrence already generated).
+ * Occurrences missed while paused are not back-filled.
+ */
+export function reschedule(template, now = new Date()) {
+  let from = startOfDay(now);
+  if (template.lastOccurrenceAt) from = new Date(Math.max(from, startOfDay(template.lastOccurrenceAt).getTime() + DAY));
+
+  template.nextRunAt = occurrenceOnOrAfter(template, from);
+  if (template.status !== RECURRING_STATUS.PAUSED) {
+    template.status = template.nextRunAt ? RECURRING_STATUS.ACTIVE : RECURRING_STATUS.ENDED;
+  }
+  return template;
+}
+
+/**
+ * Role whose approval limit applies to a template's occurrences:
+ * the stricter of the role recorded on the template and its
+ * owner's current role. Owners who were removed or deactivated
+ * get no limit at all (null), so every occurrence needs approval.
+ */
+async function approvalRole(template) {
+  const owner = await User.findOne({ email: template.createdBy }).select("role isActive").lean();
+  if (!owner || owner.isActive === false) return null;
+
+  const [recorded, current] = await Promise.all(
+    [template.createdByRole, owner.role].map((role) => approvalLimitFor(role, template.category))
+  );
+  const rank = (limit) => (limit === null ? Infinity : limit);
+  return rank(current) < rank(recorded) ? owner.role : template.createdByRole;
+}
+
+/* Post one occurrence — false if it already exists */
+async function postOccurrence(template, occurrence) {
+  const expense = new Expense({
+    category: template.category,
+    title: template.title,
+    amount: template.amount,
+    description: template.description,
+    costCentre: template.costCentre,
+    date: occurrence,
+    createdBy: template.createdBy,
+    recurringExpense: template._id,
+    occurrenceDate: occurrence,
+  });
+  const exceededLimit = await applyApprovalLimit(expense, { role: await approvalRole(template) });
+
+  try {
+    await expense.save();
+  } catch (err) {
+    if (err.code === 11000) return false; // ♻️ already posted (restart or another instance)
+    throw err;
+  }
+
+  await recordAudit(null, {
+    action: AUDIT_ACTIONS.CREATE,
+    model: "Expense",
+    after: expense,
+    actor: { email: template.createdBy, role: template.createdByRole },
+    summary: `Generated from recurring expense "${template.title}" for ${dayKey(occurrence)}`,
+  });
+  if (exceededLimit !== null) await notifyApprovers(expense);
+  await checkBudgetAlerts(expense.date);
+  return true;
+}
+
+/* Post every due occurrence of one template; returns how many were posted */
+async function runTemplate(template, now) {
+  let occurrence = template.nextRunAt;
+  let lastOccurrenceAt = template.lastOccurrenceAt;
+  let posted = 0;
+
+  for (let i = 0; occurrence && occurrence <= now && i < MAX_CATCH_UP; i++) {
+    if (!template.skipDates.includes(dayKey(occurrence)) && (await postOccurrence(template, occurrence))) posted++;
+    lastOccurrenceAt = occurrence;
+    occurrence = occurrenceOnOrAfter(template, occurrence.getTime() + DAY);
+  }
+
+  // 🔒 Only move on from the nextRunAt this run started from
+  await RecurringExpense.updateOne(
+    { _id: template._id, nextRunAt: template.nextRunAt },
+    {
+      $set: { nextRunAt: occurrence, lastOccurrenceAt, ...(!occurrence && { status: RECURRING_STATUS.ENDED }) },
+      $inc: { generatedCount: posted },
+    }
+  );
+  return posted;
+}
+
+let running = false;
+
+/* Post everything due now — returns the number of expenses posted */
+export async function runRecurringExpenses(now = new Date()) {
+  if (running) return 0;
+  running = true;
+  try {
+    const due = await RecurringExpense.find({ status: RECURRING_STATUS.ACTIVE, nextRunAt: { $ne: null, $lte: now } });
+    let posted = 0;
+    for (const template of due) {
+      try {
+        posted += await runTemplate(template, now);
+      } catch (err) {
+        console.error(`❌ Error posting recurring expense ${template._id}:`, err);
+      }
+    }
+    if (posted > 0) console.log(`🔁 Posted ${posted} recurring expense(s)`);
+    return posted;
+  } finally {
+    running = false;
+  }
+}
+
+let timer = null;
+
+export function startRecurringExpenseScheduler() {
+  if (timer || String(process.env.RECURRING_EXPENSE_SCHEDULER).toLowerCase() === "off") return;
+
+  const minutes = Number(process.env.RECURRING_EXPENSE_INTERVAL_MINUTES) || 60;
+  const tick = () =>
+    runRecurringExpenses().catch((err) => console.error("❌ Recurring expense run failed:", err));
+
+  tick();
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`🔁 Recurring expense scheduler running every ${minutes} min`);
+}
+
+export function stopRecurringExpenseScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,36 @@
+import User from "../models/User.js";
+import { ROLES, roleLevel } from "../constants/roles.js";
+
+/* ==========================================================
+   🛡️ Role hierarchy guards for user management
+   ----------------------------------------------------------
+   Each guard returns a 403 message, or null when allowed.
+   Admins are the top role, so they may manage other admins;
+   the last active admin is protected instead.
+   ========================================================== */
+
+/* Acting on a user at or above your own level */
+export function manageError(actor, target) {
+  if (actor.role === ROLES.ADMIN) return null;
+  if (roleLevel(target.role) >= roleLevel(actor.role)) {
+    return `You can't modify this ${target.role} account — you can only manage users below your own role.`;
+  }
+  return null;
+}
+
+/* Handing out a role above your own */
+export function grantError(actor, role) {
+  if (roleLevel(role) > roleLevel(actor.role)) {
+    return `You can't assign the ${role} role — it is above your own.`;
+  }
+  return null;
+}
+
+/* Is this the only active admin left? */
+export async function isLastActiveAdmin(target) {
+  if (target.role !== ROLES.ADMIN || !target.isActive) return false;
+  const others = await User.countDocuments({ role: ROLES.ADMIN, isActive: true, _id: { $ne: target._id } });
+  return others === 0;
+}
+
+export const LAST_ADMIN_MESSAGE = "This is the last active admin account — add or activate another admin first.";
@@ -0,0 +1,11 @@
+/* ==========================================================
+   🔎 Free-text search helpers
+   ----------------------------------------------------------
+   Search boxes match literally: RegExp metacharacters in the
+   user's input are escaped, so "(" or "a+" never reach the
+   regex engine as syntax.
+   ========================================================== */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/* Case-insensitive "contains" match for a search term */
+export const searchRegex = (q) => new RegExp(escapeRegex(q), "i");
@@ -1,6 +1,11 @@
 import nodemailer from "nodemailer";
 
-export const sendEmail = async (to, subject, text) => {
+/**
+ * Send an email. Failures are logged, not thrown.
+ * @param {object} [options] — optional { html, attachments } (nodemailer format)
+ * @returns {Promise<boolean>} whether the email was sent
+ */
+export const sendEmail = async (to, subject, text, options = {}) => {
   try {
     // Create transporter
     const transporter = nodemailer.createTransport({
@@ -17,12 +22,16 @@ export const sendEmail = async (to, subject, text) => {
       to,
       subject,
       text,
+      ...(options.html && { html: options.html }),
+      ...(options.attachments && { attachments: options.attachments }),
     };
 
     // Send email
     await transporter.sendMail(mailOptions);
     console.log(`📩 Email sent successfully to ${to}`);
+    return true;
   } catch (error) {
     console.warn("⚠️ Email sending failed:", error.message);
+    return false;
   }
 };
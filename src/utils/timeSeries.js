@@ -0,0 +1,98 @@
+/* ==========================================================
+   📈 Time-series helpers for chart endpoints
+   ----------------------------------------------------------
+   Buckets are UTC; weeks start on Monday to match MongoDB's
+   $dateTrunc with startOfWeek: "monday".
+   ========================================================== */
+
+export const INTERVALS = ["day", "week", "month"];
+
+/* Default look-back when no `from` is given */
+const DEFAULT_SPAN = { day: 30, week: 12, month: 12 };
+
+/* Upper bound on buckets so a typo can't build a huge response */
+const MAX_BUCKETS = 1000;
+
+/* Start of the bucket that contains `date` */
+export function truncate(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+}
+
+/* Start of the bucket after `date` (which must already be truncated) */
+function step(date, interval) {
+  const d = new Date(date);
+  if (interval === "day") d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === "week") d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+/* Label used for a bucket start: YYYY-MM-DD, or YYYY-MM for months */
+export function bucketLabel(date, interval) {
+  const iso = date.toISOString();
+  return interval === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Resolve the interval and range for a chart request.
+ * Throws an error with status 400 on invalid input.
+ */
+export function resolveSeriesRange({ interval = "month", from, to }) {
+  if (!INTERVALS.includes(interval)) {
+    throw Object.assign(new Error(`interval must be one of: ${INTERVALS.join(", ")}`), { status: 400 });
+  }
+
+  const end = to || new Date();
+  let start = from;
+  if (!start) {
+    start = truncate(end, interval);
+    for (let i = 1; i < DEFAULT_SPAN[interval]; i++) {
+      if (interval === "month") start.setUTCMonth(start.getUTCMonth() - 1);
+      else start.setUTCDate(start.getUTCDate() - (interval === "week" ? 7 : 1));
+    }
+  }
+
+  const labels = [];
+  for (let b = truncate(start, interval); b <= end; b = step(b, interval)) {
+    labels.push(bucketLabel(b, interval));
+    if (labels.length > MAX_BUCKETS) {
+      throw Object.assign(new Error("Date range is too large for this interval"), { status: 400 });
+    }
+  }
+
+  return { interval, from: start, to: end, labels };
+}
+
+/**
+ * Zero-fill aggregation rows into chart series.
+ * rows: [{ bucket: Date, group?: string, value: number }]
+ * Returns { labels, series: [{ name, data: number[], total }] }
+ */
+export function toSeries(rows, { labels, interval }, { defaultName = "total" } = {}) {
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const byGroup = new Map();
+
+  for (const row of rows) {
+    const i = index.get(bucketLabel(new Date(row.bucket), interval));
+    if (i === undefined) continue;
+
+    const name = row.group ?? defaultName;
+    if (!byGroup.has(name)) byGroup.set(name, new Array(labels.length).fill(0));
+    byGroup.get(name)[i] += row.value;
+  }
+
+  const series = [...byGroup.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([name, data]) => ({
+      name,
+      data: data.map((v) => Math.round(v * 100) / 100),
+      total: Math.round(data.reduce((sum, v) => sum + v, 0) * 100) / 100,
+    }));
+
+  if (series.length === 0) series.push({ name: defaultName, data: new Array(labels.length).fill(0), total: 0 });
+
+  return { labels, series };
+}
@@ -0,0 +1,110 @@
+import Employee from "../models/Employee.js";
+import Timesheet, { TIMESHEET_STATUS } from "../models/Timesheet.js";
+import { splitShiftHours } from "./payCalculator.js";
+import { getPayRules, getHolidayDates } from "./payRules.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/* Monday (UTC) of the week an entry starts in — overtime weeks run Mon–Sun */
+const weekKey = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+/* ==========================================================
+   ⏱️ Hours from approved timesheet entries
+   ----------------------------------------------------------
+   Totals for entries that started within [from, to] (either
+   end optional), under the current pay rules:
+   - overtime: hours past the shift's standard hours in an
+     entry, plus regular hours past the weekly threshold
+   - holiday hours: entries that start on a calendar holiday
+   - hours per shift, for shift premiums
+   ========================================================== */
+export async function timesheetHours(employeeId, { from, to } = {}) {
+  const clockIn = { $gte: from || new Date(0) };
+  if (to) clockIn.$lte = to;
+
+  const [rules, holidays, entries] = await Promise.all([
+    getPayRules(),
+    getHolidayDates(from),
+    Timesheet.find({ employee: employeeId, status: TIMESHEET_STATUS.APPROVED, clockIn })
+      .select("shift clockIn hours")
+      .lean(),
+  ]);
+
+  let hours = 0;
+  let overtime = 0;
+  let holidayHours = 0;
+  const shiftHours = {};
+  const weeklyRegular = {};
+
+  for (const entry of entries) {
+    const split = splitShiftHours(entry.hours, entry.shift, rules);
+    hours += entry.hours;
+    overtime += split.overtimeHours;
+    shiftHours[entry.shift] = (shiftHours[entry.shift] || 0) + entry.hours;
+
+    const week = weekKey(entry.clockIn);
+    weeklyRegular[week] = (weeklyRegular[week] || 0) + split.regularHours;
+    if (holidays.has(entry.clockIn.toISOString().slice(0, 10))) holidayHours += entry.hours;
+  }
+
+  const threshold = Number(rules.overtime.weeklyThreshold) || 0;
+  if (threshold > 0) {
+    for (const regular of Object.values(weeklyRegular)) overtime += Math.max(regular - threshold, 0);
+  }
+
+  return {
+    hoursWorked: round(hours),
+    overtimeHours: round(overtime),
+    holidayHours: round(holidayHours),
+    shiftHours: Object.fromEntries(Object.entries(shiftHours).map(([shift, value]) => [shift, round(value)])),
+  };
+}
+
+/* Whether an employee's current-period hours come from timesheets */
+export const tracksTimesheets = (employee) =>
+  Timesheet.exists({
+    employee: employee._id,
+    status: TIMESHEET_STATUS.APPROVED,
+    clockIn: { $gte: employee.periodStart || new Date(0) },
+  });
+
+/* ==========================================================
+   🔄 Rebuild an employee's current-period hours
+   ----------------------------------------------------------
+   From approved timesheet entries that started on or after
+   Employee.periodStart. Entries already paid by an approved
+   payroll run lie before periodStart, so they never count
+   twice. Saving the employee recomputes salary.
+   ========================================================== */
+export async function recomputeEmployeeHours(employeeId) {
+  const employee = await Employee.findById(employeeId);
+  if (!employee) return null;
+
+  Object.assign(employee, await timesheetHours(employee._id, { from: employee.periodStart }));
+  await employee.save();
+  return employee;
+}
+
+/* ==========================================================
+   💰 Re-price every employee after pay rules or holidays change
+   Employees with approved timesheets this period get their
+   hours rebuilt; the rest keep their hours and are re-priced.
+   ========================================================== */
+export async function repriceAllEmployees() {
+  const rules = await getPayRules();
+  const employees = await Employee.find();
+
+  for (const employee of employees) {
+    if (await tracksTimesheets(employee)) {
+      await recomputeEmployeeHours(employee._id);
+    } else {
+      employee.applyPayRules(rules);
+      await employee.save();
+    }
+  }
+  return employees.length;
+}
@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+import User from "../models/User.js";
+import { mfaRequiredFor } from "./mfa.js";
+
+/* ==========================================================
+   🔑 Access & Refresh Tokens
+   ----------------------------------------------------------
+   - Access token: short-lived JWT (ACCESS_TOKEN_TTL, default 15m)
+     carrying the user's tokenVersion
+   - Refresh token: random string, stored hashed, rotated on
+     every use (REFRESH_TOKEN_TTL_DAYS, default 30)
+   ========================================================== */
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const authError = (message, code) => Object.assign(new Error(message), { status: 401, ...(code && { code }) });
+
+export function signAccessToken(user) {
+  return jwt.sign(
+    {
+      id: user._id,
+      role: user.role?.toLowerCase(), // ✅ normalize role
+      email: user.email,
+      fullName: user.fullName,
+      tv: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+/* ==========================================================
+   🎟️ Scoped tokens — short-lived JWTs that only unlock one
+   step (e.g. "mfa" for the second login step, "mfa-setup"
+   for forced 2FA enrollment). verifyToken refuses them.
+   ========================================================== */
+export function signScopedToken(user, scope, expiresIn = "5m") {
+  return jwt.sign({ id: user._id, scope, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, { expiresIn });
+}
+
+/* Decoded payload, or a thrown 401 error */
+export async function verifyScopedToken(token, scope) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+  } catch {
+    throw authError("This sign-in step has expired — please log in again");
+  }
+  if (decoded.scope !== scope) throw authError("Invalid sign-in token");
+
+  const user = await User.findById(decoded.id).select("isActive tokenVersion");
+  if (!user || !user.isActive || (decoded.tv ?? 0) !== (user.tokenVersion || 0)) {
+    throw authError("Invalid sign-in token");
+  }
+  return decoded;
+}
+
+/* Create and store a refresh token; returns the raw token (shown once) */
+export async function issueRefreshToken(user, req, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    createdByIp: req?.ip || "",
+    userAgent: req?.get?.("user-agent") || "",
+  });
+  return token;
+}
+
+/* Access + refresh token pair for a fresh login */
+export async function issueSession(user, req) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user, req),
+  };
+}
+
+/* ==========================================================
+   🔁 Rotate: revoke the presented token, issue the next one
+   Throws a 401 error for unknown, expired, revoked or
+   reused tokens, or if the user can no longer sign in.
+   ========================================================== */
+export async function rotateRefreshToken(rawToken, req) {
+  const tokenHash = hashToken(rawToken);
+
+  // 🔒 Claim the token atomically so it can only be rotated once
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+  if (!stored) {
+    const revoked = await RefreshToken.findOne({ tokenHash });
+    if (!revoked) throw authError("Invalid refresh token");
+
+    // ♻️ A rotated token came back: treat the whole session as compromised
+    await revokeFamily(revoked.family, "reuse detected");
+    throw authError("Refresh token has been revoked");
+  }
+  if (stored.expiresAt <= new Date()) throw authError("Refresh token has expired");
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family, "user unavailable");
+    throw authError("Account is no longer active");
+  }
+  if (mfaRequiredFor(user) && !user.mfa?.enabled) {
+    // 🔐 Sessions from before 2FA became mandatory must log in again and enroll
+    await revokeFamily(stored.family, "two-factor setup required");
+    throw authError("Two-factor authentication setup is required — please log in again", "MFA_SETUP_REQUIRED");
+  }
+
+  const refreshToken = await issueRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(refreshToken) });
+
+  return { user, token: signAccessToken(user), refreshToken };
+}
+
+/* Revoke one session (logout) — returns the user id, or null for unknown tokens */
+export async function revokeRefreshToken(rawToken, reason = "logout") {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored) return null;
+  await revokeFamily(stored.family, reason);
+  return stored.user;
+}
+
+async function revokeFamily(family, reason) {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+}
+
+/* ==========================================================
+   🚪 Log out everywhere: revoke every refresh token and
+   invalidate outstanding access tokens via tokenVersion
+   ========================================================== */
+export async function revokeAllSessions(userId, reason = "logout-all") {
+  await revokeUserRefreshTokens(userId, reason);
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+/* Revoke refresh tokens only (e.g. the password change already bumped tokenVersion) */
+export async function revokeUserRefreshTokens(userId, reason) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
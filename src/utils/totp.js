@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+/* ==========================================================
+   ⏱️ TOTP (RFC 6238) on top of HOTP (RFC 4226)
+   ----------------------------------------------------------
+   Secrets are exchanged in base32 (RFC 4648), the format
+   authenticator apps expect in otpauth:// URIs.
+   ========================================================== */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/* HOTP value for a counter — key is a Buffer */
+export function hotp(key, counter, { digits = 6, algorithm = "sha1" } = {}) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/* Time step for a moment (ms since epoch) */
+export const timeStep = (time = Date.now(), step = 30) => Math.floor(time / 1000 / step);
+
+/* TOTP code — key is a Buffer or a base32 string */
+export function totp(key, { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}) {
+  const secret = Buffer.isBuffer(key) ? key : base32Decode(key);
+  return hotp(secret, timeStep(time, step), { digits, algorithm });
+}
+
+/* ==========================================================
+   ✅ Check a code, allowing ±window steps of clock drift.
+   Returns the matching time step (to stop replays) or null.
+   ========================================================== */
+export function verifyTotp(key, code, { time = Date.now(), step = 30, digits = 6, window = 1, algorithm = "sha1" } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const secret = Buffer.isBuffer(key) ? key : base32Decode(key);
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(secret, current + offset, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return current + offset;
+  }
+  return null;
+}
+
+/* New random secret (160 bits, base32) */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/* otpauth:// URI for authenticator apps (render it as a QR code) */
+export function provisioningUri({ secret, accountName, issuer, digits = 6, step = 30 }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = { secret, issuer, algorithm: "SHA1", digits, period: step };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${query}`;
+}
@@ -0,0 +1,43 @@
+import crypto from "crypto";
+import UserToken, { USER_TOKEN_PURPOSE } from "../models/UserToken.js";
+import { hashToken } from "./tokens.js";
+
+/* Lifetimes in minutes — PASSWORD_RESET_TTL_MINUTES / EMAIL_VERIFICATION_TTL_HOURS */
+const ttlMinutes = (purpose) =>
+  purpose === USER_TOKEN_PURPOSE.PASSWORD_RESET
+    ? Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+    : (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60;
+
+/* Link base for emails (the frontend page that posts the token back) */
+export const clientUrl = () => (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+/* ==========================================================
+   ✉️ Create a single-use token for a user
+   Earlier unused tokens for the same purpose stop working.
+   Returns the raw token — it is never stored.
+   ========================================================== */
+export async function createUserToken(user, purpose) {
+  await UserToken.updateMany({ user: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes(purpose) * 60 * 1000),
+  });
+  return token;
+}
+
+/* ==========================================================
+   ✅ Spend a token: returns its user id, or throws a 400
+   error if it is unknown, used or expired
+   ========================================================== */
+export async function consumeUserToken(rawToken, purpose) {
+  const token = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(rawToken), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!token) throw Object.assign(new Error("This link is invalid or has expired"), { status: 400 });
+  return token.user;
+}
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computePay, splitShiftHours } from "../src/utils/payCalculator.js";
+import { DEFAULT_PAY_RULES } from "../src/constants/shifts.js";
+
+/* ==========================================================
+   computePay — default rules: Night × 1.25, overtime × 1.5,
+   holiday × 2; every hour is paid once at the base rate
+   ========================================================== */
+test("shift, overtime and holiday premiums stack on top of base pay", () => {
+  const pay = computePay({ hourlyRate: 10, hoursWorked: 10, overtimeHours: 2, holidayHours: 3, shift: "Night" });
+  assert.deepEqual(pay, { base: 100, shiftPremium: 25, overtimePremium: 10, holidayPremium: 30, total: 165 });
+});
+
+test("hours missing from shiftHours count as the employee's own shift", () => {
+  const pay = computePay({ hourlyRate: 10, hoursWorked: 10, shiftHours: new Map([["Morning", 4]]), shift: "Night" });
+  assert.equal(pay.shiftPremium, 15); // 6 Night hours × 10 × 0.25
+  assert.equal(pay.total, 115);
+});
+
+test("overtime and holiday hours are capped at the hours worked", () => {
+  const pay = computePay({ hourlyRate: 10, hoursWorked: 4, overtimeHours: 20, holidayHours: 20, shift: "Morning" });
+  assert.equal(pay.overtimePremium, 20); // 4 × 10 × 0.5
+  assert.equal(pay.holidayPremium, 40); // 4 × 10 × 1
+  assert.equal(pay.total, 100);
+});
+
+test("custom rules change the multipliers", () => {
+  const rules = { ...DEFAULT_PAY_RULES, overtime: { weeklyThreshold: 40, multiplier: 2 } };
+  assert.equal(computePay({ hourlyRate: 10, hoursWorked: 5, overtimeHours: 1, shift: "Morning" }, rules).total, 60);
+});
+
+test("splitShiftHours puts hours past the shift's standard hours into overtime", () => {
+  assert.deepEqual(splitShiftHours(9.5, "Night"), { regularHours: 7, overtimeHours: 2.5 });
+  assert.deepEqual(splitShiftHours(6, "Morning"), { regularHours: 6, overtimeHours: 0 });
+});
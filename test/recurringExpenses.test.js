@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dayKey, occurrenceOnOrAfter } from "../src/utils/recurringExpenses.js";
+import { RECURRING_FREQUENCIES } from "../src/constants/expenses.js";
+
+/* ==========================================================
+   occurrenceOnOrAfter — dates are UTC; 2026-01-05 is a Monday
+   ========================================================== */
+const monthly = (fields) => ({ frequency: RECURRING_FREQUENCIES.MONTHLY, interval: 1, ...fields });
+const weekly = (fields) => ({ frequency: RECURRING_FREQUENCIES.WEEKLY, interval: 1, ...fields });
+const next = (template, from) => {
+  const occurrence = occurrenceOnOrAfter(template, new Date(from));
+  return occurrence && dayKey(occurrence);
+};
+
+test("monthly day 31 clamps into February without drifting", () => {
+  const template = monthly({ startDate: new Date("2026-01-31"), dayOfMonth: 31 });
+  assert.equal(next(template, "2026-02-01"), "2026-02-28");
+  assert.equal(next(template, "2026-03-01"), "2026-03-31");
+  assert.equal(next(template, "2026-04-01"), "2026-04-30");
+  assert.equal(next(template, "2028-02-01"), "2028-02-29");
+});
+
+test("monthly interval > 1 skips the months in between", () => {
+  const template = monthly({ startDate: new Date("2026-01-15"), interval: 2 });
+  assert.equal(next(template, "2026-01-15"), "2026-01-15");
+  assert.equal(next(template, "2026-01-16"), "2026-03-15");
+  assert.equal(next(template, "2026-12-01"), "2027-01-15");
+});
+
+test("weekly interval > 1 keeps to every other week", () => {
+  const template = weekly({ startDate: new Date("2026-01-05"), interval: 2 });
+  assert.equal(next(template, "2026-01-06"), "2026-01-19");
+  assert.equal(next(template, "2026-01-19"), "2026-01-19");
+  assert.equal(next(template, "2026-01-20"), "2026-02-02");
+});
+
+test("weekly dayOfWeek before the start weekday begins the following week", () => {
+  // Starts on a Wednesday, runs on Mondays
+  const template = weekly({ startDate: new Date("2026-01-07"), dayOfWeek: 1 });
+  assert.equal(next(template, "2026-01-01"), "2026-01-12");
+  assert.equal(next(template, "2026-01-07"), "2026-01-12");
+  assert.equal(next(template, "2026-01-13"), "2026-01-19");
+});
+
+test("nothing is due after the end date, which is itself included", () => {
+  const template = monthly({ startDate: new Date("2026-01-10"), endDate: new Date("2026-03-10") });
+  assert.equal(next(template, "2026-03-01"), "2026-03-10");
+  assert.equal(next(template, "2026-03-11"), null);
+  assert.equal(next({ ...template, endDate: new Date("2026-03-09") }, "2026-03-01"), null);
+});
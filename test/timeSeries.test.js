@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSeriesRange } from "../src/utils/timeSeries.js";
+
+/* ==========================================================
+   resolveSeriesRange — UTC buckets, weeks start on Monday
+   ========================================================== */
+test("without from it looks back the default span", () => {
+  const { labels } = resolveSeriesRange({ interval: "month", to: new Date("2026-10-19T12:00:00Z") });
+  assert.equal(labels.length, 12);
+  assert.equal(labels[0], "2025-11");
+  assert.equal(labels.at(-1), "2026-10");
+
+  const days = resolveSeriesRange({ interval: "day", to: new Date("2026-03-01T08:00:00Z") }).labels;
+  assert.equal(days.length, 30);
+  assert.equal(days[0], "2026-01-31");
+});
+
+test("week buckets start on the Monday of the from date", () => {
+  const { labels } = resolveSeriesRange({
+    interval: "week",
+    from: new Date("2026-10-14T00:00:00Z"), // a Wednesday
+    to: new Date("2026-10-19T00:00:00Z"),
+  });
+  assert.deepEqual(labels, ["2026-10-12", "2026-10-19"]);
+});
+
+test("month buckets cover every month the range touches", () => {
+  const { labels } = resolveSeriesRange({
+    interval: "month",
+    from: new Date("2026-01-31T00:00:00Z"),
+    to: new Date("2026-03-01T00:00:00Z"),
+  });
+  assert.deepEqual(labels, ["2026-01", "2026-02", "2026-03"]);
+});
+
+test("unknown intervals and oversized ranges are 400 errors", () => {
+  assert.throws(() => resolveSeriesRange({ interval: "hour" }), { status: 400 });
+  assert.throws(
+    () => resolveSeriesRange({ interval: "day", from: new Date("2020-01-01"), to: new Date("2026-10-19") }),
+    { status: 400, message: "Date range is too large for this interval" }
+  );
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { base32Decode, base32Encode, hotp, totp, verifyTotp } from "../src/utils/totp.js";
+
+/* ==========================================================
+   RFC 4226 Appendix D and RFC 6238 Appendix B (SHA-1)
+   ========================================================== */
+const RFC_KEY = Buffer.from("12345678901234567890", "ascii");
+
+test("hotp matches the RFC 4226 test values", () => {
+  const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+  expected.forEach((code, counter) => assert.equal(hotp(RFC_KEY, counter), code));
+});
+
+test("totp matches the RFC 6238 SHA-1 test vectors", () => {
+  const vectors = [
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+    [20000000000, "65353130"],
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(totp(RFC_KEY, { time: seconds * 1000, digits: 8 }), code, `T=${seconds}`);
+  }
+});
+
+test("base32 round-trips the RFC key", () => {
+  const encoded = base32Encode(RFC_KEY);
+  assert.equal(encoded, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.deepEqual(base32Decode(encoded.toLowerCase()), RFC_KEY);
+});
+
+test("verifyTotp accepts one step of drift and returns the matching step", () => {
+  const time = 1111111109 * 1000;
+  const previous = totp(RFC_KEY, { time: time - 30000 });
+
+  assert.equal(verifyTotp(RFC_KEY, previous, { time }), Math.floor(1111111109 / 30) - 1);
+  assert.equal(verifyTotp(RFC_KEY, previous, { time, window: 0 }), null);
+  assert.equal(verifyTotp(RFC_KEY, totp(RFC_KEY, { time: time - 90000 }), { time }), null);
+});
+
+test("verifyTotp rejects malformed codes", () => {
+  assert.equal(verifyTotp(RFC_KEY, "12345"), null);
+  assert.equal(verifyTotp(RFC_KEY, "abcdef"), null);
+  assert.equal(verifyTotp(RFC_KEY, ""), null);
+});